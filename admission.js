@@ -0,0 +1,281 @@
+const { MessageChannel } = require('worker_threads');
+const { ApiError } = require('./api_errors');
+
+/**
+ * Admission control in front of the Piscina pool
+ *
+ * Renders wait in one of two lanes and are handed to the pool only while a worker
+ * is free, so Piscina's own queue stays empty and priority is decided here:
+ *   interactive  GET/POST /pdf, a client is waiting on the response
+ *   batch        batch items and async jobs, dispatched only when no interactive render waits
+ *
+ * A render is refused with 503 QUEUE_FULL and Retry-After when its lane is full or
+ * when the estimated wait already exceeds its deadline. The wait of every render that
+ * starts is measured per lane (onAdmit) and keeps the estimate honest. Every task handed to the pool
+ * carries a deadline the worker enforces (the caller's, or renderTimeout from dispatch).
+ * Aborting the render's signal (client gone, request deadline passed) drops it from
+ * the lane, or, once running, kills the bridge's process group (its pid arrives on the
+ * task's controlPort). The worker then fails the task itself and reaps the bridge; only
+ * a task still running ABORT_GRACE_MS later has its Piscina task aborted, which
+ * terminates the worker thread (a terminated thread leaves its children unreaped).
+ *
+ * Streaming tasks ({ stream: true }) deliver the PDF as { start } and { chunk } messages
+ * on the same port; run() passes them to onStream together with { pause, resume }
+ * for backpressure, and resolves only after the worker's { end } message.
+ */
+
+const LANES = ['interactive', 'batch'];
+
+// Starting point for the wait estimate until real renders have been timed
+const INITIAL_RENDER_MS = 2000;
+
+// Weight of the latest render in the moving average of render time (and of lane wait)
+const RENDER_TIME_SMOOTHING = 0.2;
+
+// How long an aborted task's port stays open for pids the worker posted just before it was terminated
+const PID_REPORT_GRACE_MS = 1000;
+
+// How long an aborted task may take to fail on its own once its bridge is killed
+const ABORT_GRACE_MS = 1000;
+
+class AdmissionController {
+    /**
+     * @param {object} options
+     * @param {Piscina} options.pool
+     * @param {number} options.concurrency renders handed to the pool at once (its thread count)
+     * @param {object} options.maxQueued  { interactive, batch } waiting renders per lane
+     * @param {number} options.renderTimeout ms a render without a deadline may run once started
+     * @param {function} [options.onReject] called with { lane, reason } for every refused or shed render
+     * @param {function} [options.onAdmit]  called with { lane, waitMs } for every render handed to the pool
+     */
+    constructor({ pool, concurrency, maxQueued, renderTimeout, onReject = () => {}, onAdmit = () => {} }) {
+        this.pool = pool;
+        this.concurrency = concurrency;
+        this.maxQueued = maxQueued;
+        this.renderTimeout = renderTimeout;
+        this.onReject = onReject;
+        this.onAdmit = onAdmit;
+        this.queues = { interactive: [], batch: [] };
+        this.inFlight = 0;
+        this.running = new Set();
+        this.closedError = null;
+        this.averageRenderMs = INITIAL_RENDER_MS;
+        this.averageWaitMs = { interactive: 0, batch: 0 };
+    }
+
+    /**
+     * Estimated milliseconds before a new render in `lane` would start: the queue
+     * depth ahead of it in average renders, or the lane's measured wait when renders
+     * there have been waiting longer (batch renders pass over by interactive ones)
+     */
+    estimatedWait(lane) {
+        const ahead = lane === 'interactive'
+            ? this.queues.interactive.length
+            : this.queues.interactive.length + this.queues.batch.length;
+        const busy = this.inFlight + ahead;
+        if (busy < this.concurrency) {
+            return 0;
+        }
+        const byDepth = Math.ceil((busy - this.concurrency + 1) / this.concurrency) * this.averageRenderMs;
+        return Math.max(byDepth, Math.round(this.averageWaitMs[lane]));
+    }
+
+    /**
+     * Run a task on the pool once admitted
+     * @param {object} task   pool task ({ html, css, options, fetchPolicy })
+     * @param {object} [opts]
+     * @param {string} [opts.lane]     'interactive' (default) or 'batch'
+     * @param {AbortSignal} [opts.signal] aborted when the result is no longer wanted; its reason is the rejection
+     * @param {number} [opts.deadline]  epoch ms by which the render must have finished
+     * @param {function} [opts.onStream] receives (message, flow) for streaming tasks
+     * @param {function} [opts.onStart]  called when the task leaves its lane for the pool
+     */
+    run(task, { lane = 'interactive', signal = null, deadline = null, onStream = null, onStart = null } = {}) {
+        if (signal && signal.aborted) {
+            return Promise.reject(signal.reason);
+        }
+        if (this.closedError) {
+            return Promise.reject(this.closedError);
+        }
+
+        const wait = this.estimatedWait(lane);
+        if (this.queues[lane].length >= this.maxQueued[lane]) {
+            return Promise.reject(this.reject(lane, 'queue_full', 'Too many renders waiting, retry later', wait));
+        }
+        if (deadline !== null && Date.now() + wait > deadline) {
+            return Promise.reject(this.reject(lane, 'deadline', 'Renders are taking longer than this request may wait, retry later', wait));
+        }
+
+        return new Promise((resolve, reject) => {
+            const entry = { task, lane, signal, deadline, onStream, onStart, resolve, reject, pids: null, queuedAt: Date.now() };
+
+            if (signal) {
+                entry.onAbort = () => {
+                    if (entry.pids) {
+                        entry.abortRunning();
+                        return;
+                    }
+                    const queue = this.queues[lane];
+                    const index = queue.indexOf(entry);
+                    if (index !== -1) {
+                        queue.splice(index, 1);
+                        this.onReject({ lane, reason: 'aborted' });
+                        reject(signal.reason);
+                    }
+                };
+                signal.addEventListener('abort', entry.onAbort, { once: true });
+            }
+
+            this.queues[lane].push(entry);
+            this.dispatch();
+        });
+    }
+
+    /**
+     * Hand waiting renders to the pool while workers are free, interactive lane first
+     */
+    dispatch() {
+        while (this.inFlight < this.concurrency) {
+            const lane = LANES.find(name => this.queues[name].length > 0);
+            if (!lane) {
+                return;
+            }
+
+            const entry = this.queues[lane].shift();
+            if (entry.deadline !== null && Date.now() > entry.deadline) {
+                // The client has had its timeout response already
+                this.release(entry);
+                entry.reject(this.reject(lane, 'expired', 'Render could not start before the request deadline', 0));
+                continue;
+            }
+            this.start(entry);
+        }
+    }
+
+    start(entry) {
+        const { port1, port2 } = new MessageChannel();
+        const startedAt = Date.now();
+        const deadline = entry.deadline !== null ? entry.deadline : startedAt + this.renderTimeout;
+        const waitMs = startedAt - entry.queuedAt;
+        this.averageWaitMs[entry.lane] += (waitMs - this.averageWaitMs[entry.lane]) * RENDER_TIME_SMOOTHING;
+        this.onAdmit({ lane: entry.lane, waitMs });
+
+        const aborted = () => entry.signal !== null && entry.signal.aborted;
+        const flow = {
+            pause: () => port1.postMessage({ flow: 'pause' }),
+            resume: () => port1.postMessage({ flow: 'resume' })
+        };
+        let streamEnded = null;
+        const ended = new Promise(resolve => {
+            streamEnded = resolve;
+        });
+
+        // Killing the bridge fails the task in the worker; the thread is only terminated
+        // when the task outlives the grace period (stuck without a bridge to kill)
+        const poolAbort = new AbortController();
+        let abortTimer = null;
+        entry.abortRunning = () => {
+            entry.pids.forEach(killProcessGroup);
+            abortTimer = setTimeout(() => poolAbort.abort(entry.signal.reason), ABORT_GRACE_MS);
+        };
+
+        entry.pids = new Set();
+        this.running.add(entry);
+        port1.on('message', (message) => {
+            if (message.pid) {
+                entry.pids.add(message.pid);
+                if (aborted()) {
+                    killProcessGroup(message.pid);
+                }
+            } else if (message.end) {
+                streamEnded();
+            } else if (entry.onStream) {
+                entry.onStream(message, flow);
+            }
+        });
+        this.inFlight++;
+        if (entry.onStart) {
+            entry.onStart();
+        }
+
+        const task = { ...entry.task, deadline, controlPort: port2 };
+        const run = this.pool.run(task, { transferList: [port2], signal: poolAbort.signal });
+        // Port messages and the task result travel separately; wait for the last chunk
+        const finished = entry.task.stream ? Promise.all([run, ended]).then(([result]) => result) : run;
+
+        finished
+            .then(entry.resolve, (error) => entry.reject(aborted() ? entry.signal.reason : error))
+            .finally(() => {
+                clearTimeout(abortTimer);
+                this.inFlight--;
+                this.running.delete(entry);
+                if (aborted()) {
+                    setTimeout(() => port1.close(), PID_REPORT_GRACE_MS);
+                } else {
+                    port1.close();
+                }
+                this.release(entry);
+                if (!aborted()) {
+                    const elapsed = Date.now() - startedAt;
+                    this.averageRenderMs += (elapsed - this.averageRenderMs) * RENDER_TIME_SMOOTHING;
+                }
+                this.dispatch();
+            });
+    }
+
+    release(entry) {
+        if (entry.signal) {
+            entry.signal.removeEventListener('abort', entry.onAbort);
+        }
+    }
+
+    /**
+     * Stop for good: refuse new renders and waiting ones with `error`, and kill the
+     * bridges of running ones (the caller destroys the pool, which fails their tasks)
+     */
+    shutdown(error) {
+        this.closedError = error;
+        for (const lane of LANES) {
+            for (const entry of this.queues[lane].splice(0)) {
+                this.release(entry);
+                this.onReject({ lane, reason: 'shutdown' });
+                entry.reject(error);
+            }
+        }
+        for (const entry of this.running) {
+            entry.pids.forEach(killProcessGroup);
+        }
+    }
+
+    reject(lane, reason, message, waitMs) {
+        this.onReject({ lane, reason });
+        return new ApiError(503, 'QUEUE_FULL', message, {},
+            { 'Retry-After': Math.max(1, Math.ceil(waitMs / 1000)) });
+    }
+
+    stats() {
+        return {
+            inFlight: this.inFlight,
+            concurrency: this.concurrency,
+            queued: { interactive: this.queues.interactive.length, batch: this.queues.batch.length },
+            averageRenderMs: Math.round(this.averageRenderMs),
+            averageWaitMs: { interactive: Math.round(this.averageWaitMs.interactive), batch: Math.round(this.averageWaitMs.batch) },
+            estimatedWaitMs: { interactive: this.estimatedWait('interactive'), batch: this.estimatedWait('batch') }
+        };
+    }
+}
+
+/**
+ * Kill a bridge process group (bridges lead their own group, see pdf_worker.js)
+ */
+function killProcessGroup(pid) {
+    try {
+        process.kill(-pid, 'SIGKILL');
+    } catch (error) {
+        // ESRCH: the group has exited already
+    }
+}
+
+module.exports = {
+    AdmissionController
+};
@@ -0,0 +1,156 @@
+/**
+ * Error envelope shared by every route:
+ *   { error: "Validation failed", code: "INVALID_INPUT", message: "...", details?: [{ field, message }], timestamp }
+ * `code` is the machine-readable part; `message` never echoes raw client input.
+ */
+
+const ERROR_TITLES = {
+    INVALID_INPUT: 'Validation failed',
+    PAYLOAD_TOO_LARGE: 'Payload too large',
+    UNSUPPORTED_MEDIA_TYPE: 'Unsupported media type',
+    UNAUTHORIZED: 'Unauthorized',
+    ORIGIN_NOT_ALLOWED: 'Forbidden',
+    FORBIDDEN: 'Forbidden',
+    RATE_LIMITED: 'Too many requests',
+    CONCURRENCY_LIMIT: 'Too many requests',
+    QUOTA_EXCEEDED: 'Quota exceeded',
+    TEMPLATE_NOT_FOUND: 'Template not found',
+    TEMPLATE_ERROR: 'Template error',
+    ASSET_NOT_FOUND: 'Asset not found',
+    JOB_NOT_FOUND: 'Job not found',
+    JOB_NOT_COMPLETED: 'Job not completed',
+    BATCH_FAILED: 'Batch failed',
+    NOT_FOUND: 'Not found',
+    REQUEST_TIMEOUT: 'Request timeout',
+    RENDER_TIMEOUT: 'Render timed out',
+    DOCUMENT_TOO_LARGE: 'Document too large',
+    RANGE_NOT_SATISFIABLE: 'Range not satisfiable',
+    POSTPROCESS_FAILED: 'Post-processing failed',
+    QUEUE_FULL: 'Service busy',
+    SHUTTING_DOWN: 'Service unavailable',
+    BRIDGE_UNAVAILABLE: 'Service unavailable',
+    RENDER_FAILED: 'PDF generation failed',
+    INTERNAL_ERROR: 'Internal server error'
+};
+
+// Seconds clients are asked to wait when the render queue is full
+const QUEUE_FULL_RETRY_AFTER = 5;
+
+// Render failure categories a later attempt of the same document may get past
+const TRANSIENT_RENDER_ERRORS = ['timeout', 'queue_full', 'unavailable'];
+
+class ApiError extends Error {
+    /**
+     * @param {number} status  HTTP status
+     * @param {string} code    key of ERROR_TITLES
+     * @param {string} message client-safe description
+     * @param {object} [extra] details and any additional envelope fields
+     * @param {object} [headers] response headers, e.g. Retry-After
+     */
+    constructor(status, code, message, extra = {}, headers = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.details = extra.details;
+        this.extra = extra;
+        this.headers = headers;
+    }
+
+    toJSON() {
+        return {
+            error: ERROR_TITLES[this.code],
+            code: this.code,
+            message: this.message,
+            ...this.extra,
+            timestamp: new Date().toISOString()
+        };
+    }
+}
+
+function invalidInput(details, message = 'Request is invalid') {
+    return new ApiError(400, 'INVALID_INPUT', message, { details });
+}
+
+/**
+ * Map a render failure onto one of the error categories (also used by metrics.js)
+ */
+function classifyRenderError(error) {
+    const message = (error && error.message) || '';
+    if (/timed out/i.test(message)) {
+        return 'timeout';
+    }
+    if (message.includes('Request ID mismatch')) {
+        return 'request_id_mismatch';
+    }
+    if (message.includes('Invalid PDF data')) {
+        return 'invalid_pdf';
+    }
+    if (/exceeds? the limit of \d+ (bytes|pixels)/.test(message)) {
+        return 'too_large';
+    }
+    if (/queue is at limit/i.test(message) || (error instanceof ApiError && error.code === 'QUEUE_FULL')) {
+        return 'queue_full';
+    }
+    if (/cancelled/i.test(message)) {
+        return 'cancelled';
+    }
+    if (error instanceof ApiError && error.code === 'BRIDGE_UNAVAILABLE') {
+        return 'unavailable';
+    }
+    return 'bridge_error';
+}
+
+/**
+ * True for render failures worth retrying: timeouts and 503s (queue full, bridge
+ * circuit open, shutting down). Documents that failed for what they contain fail
+ * the same way every time.
+ */
+function isTransientRenderError(error) {
+    return (error instanceof ApiError && error.status === 503) || TRANSIENT_RENDER_ERRORS.includes(classifyRenderError(error));
+}
+
+/**
+ * Client-facing error for a failed render; internal details stay in the logs
+ */
+function renderFailure(error) {
+    if (error instanceof ApiError) {
+        return error; // already client-safe, e.g. refused by admission control
+    }
+    switch (classifyRenderError(error)) {
+        case 'timeout':
+            return new ApiError(504, 'RENDER_TIMEOUT', 'Rendering exceeded the time limit');
+        case 'too_large':
+            return new ApiError(422, 'DOCUMENT_TOO_LARGE', /pixels|Images/.test(error.message)
+                ? 'The page images exceed the size limit'
+                : 'The rendered PDF exceeds the size limit');
+        case 'queue_full':
+            return new ApiError(503, 'QUEUE_FULL', 'Too many renders in progress, retry later', {},
+                { 'Retry-After': QUEUE_FULL_RETRY_AFTER });
+        default:
+            return new ApiError(500, 'RENDER_FAILED', 'Unable to generate PDF document');
+    }
+}
+
+/**
+ * Write an ApiError as the response (no-op once headers are sent)
+ */
+function sendError(res, error) {
+    if (res.headersSent) {
+        return;
+    }
+    for (const [name, value] of Object.entries(error.headers)) {
+        res.setHeader(name, value);
+    }
+    res.status(error.status).json(error);
+}
+
+module.exports = {
+    ApiError,
+    QUEUE_FULL_RETRY_AFTER,
+    classifyRenderError,
+    invalidInput,
+    isTransientRenderError,
+    renderFailure,
+    sendError
+};
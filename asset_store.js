@@ -0,0 +1,258 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+
+/**
+ * Fonts and images uploaded for templates, referenced from HTML and CSS as
+ * asset://fonts/<name> and asset://images/<name>
+ * Content is stored once per SHA-256 as <dir>/blobs/<sha256>; <dir>/<kind>/<name>.json
+ * points a name at its current content. The bridge resolves asset:// URLs from the
+ * same files (see weasyprint_bridge_secure.py), so assets always live on disk.
+ */
+
+const ASSET_KINDS = ['fonts', 'images'];
+const ASSET_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+
+/**
+ * Raised when an asset does not exist
+ */
+class AssetNotFoundError extends Error {
+    constructor(kind, name) {
+        super(`Asset ${kind}/${name} does not exist`);
+        this.name = 'AssetNotFoundError';
+        this.kind = kind;
+        this.assetName = name;
+    }
+}
+
+function isValidAssetName(name) {
+    return typeof name === 'string' && ASSET_NAME_PATTERN.test(name);
+}
+
+/**
+ * Media type of an upload from its leading bytes, or null when it is not a
+ * supported font (TrueType, OpenType, WOFF, WOFF2, collections) or image
+ * (PNG, JPEG, GIF, WebP, SVG) for its kind
+ */
+function detectMimeType(kind, data) {
+    const magic = data.toString('latin1', 0, 4);
+    if (kind === 'fonts') {
+        if (magic === '\x00\x01\x00\x00' || magic === 'true') {
+            return 'font/ttf';
+        }
+        return { OTTO: 'font/otf', wOFF: 'font/woff', wOF2: 'font/woff2', ttcf: 'font/collection' }[magic] || null;
+    }
+
+    if (data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+        return 'image/png';
+    }
+    if (data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) {
+        return 'image/jpeg';
+    }
+    if (magic === 'GIF8') {
+        return 'image/gif';
+    }
+    if (magic === 'RIFF' && data.toString('latin1', 8, 12) === 'WEBP') {
+        return 'image/webp';
+    }
+    const head = data.toString('utf8', 0, 1024).replace(/^\uFEFF/, '').trimStart();
+    if ((head.startsWith('<?xml') || head.startsWith('<svg')) && head.includes('<svg')) {
+        return 'image/svg+xml';
+    }
+    return null;
+}
+
+/**
+ * Assets on disk, indexed in memory by load() (this process is the only writer)
+ */
+class AssetStore {
+    constructor(dir) {
+        this.dir = path.resolve(dir);
+        this.index = new Map(ASSET_KINDS.map(kind => [kind, new Map()]));
+    }
+
+    /**
+     * Manifest path of one asset; kinds and names outside the grammar never reach the filesystem
+     */
+    manifestPath(kind, name) {
+        if (!ASSET_KINDS.includes(kind) || !isValidAssetName(name)) {
+            throw new AssetNotFoundError(kind, name);
+        }
+        return path.join(this.dir, kind, `${name}.json`);
+    }
+
+    blobPath(sha256) {
+        return path.join(this.dir, 'blobs', sha256);
+    }
+
+    /**
+     * Read the manifests a previous process left
+     */
+    async load() {
+        for (const kind of ASSET_KINDS) {
+            let files;
+            try {
+                files = await fs.promises.readdir(path.join(this.dir, kind));
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    continue;
+                }
+                throw error;
+            }
+            for (const file of files.filter(file => file.endsWith('.json')).sort()) {
+                const name = file.slice(0, -'.json'.length);
+                if (isValidAssetName(name)) {
+                    const entry = JSON.parse(await fs.promises.readFile(this.manifestPath(kind, name), 'utf8'));
+                    this.index.get(kind).set(name, entry);
+                }
+            }
+        }
+        return this.size();
+    }
+
+    size() {
+        return ASSET_KINDS.reduce((total, kind) => total + this.index.get(kind).size, 0);
+    }
+
+    /**
+     * Public descriptions of the assets of one kind, by name
+     */
+    list(kind) {
+        return [...this.index.get(kind).values()]
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(entry => ({ ...entry, url: `asset://${kind}/${entry.name}` }));
+    }
+
+    get(kind, name) {
+        const entry = ASSET_KINDS.includes(kind) ? this.index.get(kind).get(name) : undefined;
+        if (!entry) {
+            throw new AssetNotFoundError(kind, name);
+        }
+        return { ...entry, url: `asset://${kind}/${name}` };
+    }
+
+    /**
+     * Resolve with { ...entry, data }
+     */
+    async read(kind, name) {
+        const entry = this.get(kind, name);
+        return { ...entry, data: await fs.promises.readFile(this.blobPath(entry.sha256)) };
+    }
+
+    /**
+     * Store data under kind/name. mimeType comes from detectMimeType; fonts carry
+     * { family, weight, style } in meta. Re-uploading identical content and metadata
+     * changes nothing. Resolves with the entry and created.
+     */
+    async write(kind, name, data, mimeType, meta = {}) {
+        const manifestPath = this.manifestPath(kind, name);
+        const sha256 = crypto.createHash('sha256').update(data).digest('hex');
+        const previous = this.index.get(kind).get(name);
+        const entry = { name, sha256, size: data.length, mimeType, ...meta, createdAt: new Date().toISOString() };
+
+        if (previous && stableEntry(previous) === stableEntry(entry)) {
+            return { ...this.get(kind, name), created: false };
+        }
+
+        await fs.promises.mkdir(path.dirname(this.blobPath(sha256)), { recursive: true });
+        try {
+            await fs.promises.writeFile(this.blobPath(sha256), data, { flag: 'wx' });
+        } catch (error) {
+            // Content another asset already stored
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+        }
+
+        // Rename so the bridge never reads a half-written manifest
+        await fs.promises.mkdir(path.dirname(manifestPath), { recursive: true });
+        const temporary = `${manifestPath}.${process.pid}.tmp`;
+        await fs.promises.writeFile(temporary, JSON.stringify(entry, null, 2));
+        await fs.promises.rename(temporary, manifestPath);
+        this.index.get(kind).set(name, entry);
+
+        if (previous && previous.sha256 !== sha256) {
+            await this.removeUnreferencedBlob(previous.sha256);
+        }
+        return { ...this.get(kind, name), created: true };
+    }
+
+    async remove(kind, name) {
+        const entry = this.get(kind, name);
+        await fs.promises.rm(this.manifestPath(kind, name), { force: true });
+        this.index.get(kind).delete(name);
+        await this.removeUnreferencedBlob(entry.sha256);
+    }
+
+    async removeUnreferencedBlob(sha256) {
+        const referenced = ASSET_KINDS.some(kind => [...this.index.get(kind).values()].some(entry => entry.sha256 === sha256));
+        if (!referenced) {
+            await fs.promises.rm(this.blobPath(sha256), { force: true });
+        }
+    }
+
+    /**
+     * The @font-face descriptors the bridge registers for every render
+     */
+    fontFaces() {
+        return this.list('fonts').map(({ name, family, weight, style }) => ({ name, family, weight, style }));
+    }
+
+    /**
+     * Digest of every asset's name, content and metadata (null while the store is
+     * empty), so the render cache can tell renders against other assets apart
+     */
+    revision() {
+        if (this.size() === 0) {
+            return null;
+        }
+        const entries = ASSET_KINDS.flatMap(kind => this.list(kind).map(entry => `${kind}/${stableEntry(entry)}`));
+        return crypto.createHash('sha256').update(entries.join('\n')).digest('hex');
+    }
+}
+
+/**
+ * An entry without its timestamp, for comparing content and metadata
+ */
+function stableEntry({ name, sha256, mimeType, family = null, weight = null, style = null }) {
+    return JSON.stringify([name, sha256, mimeType, family, weight, style]);
+}
+
+let systemFonts = null;
+
+/**
+ * Font families fontconfig knows besides the uploaded ones (the fonts baked into
+ * the image); empty where fc-list is not installed. Looked up once per process.
+ */
+function systemFontFamilies() {
+    if (!systemFonts) {
+        systemFonts = new Promise((resolve) => {
+            execFile('fc-list', [':', 'family'], { timeout: 5000 }, (error, stdout) => {
+                if (error) {
+                    return resolve([]);
+                }
+                const families = stdout.split('\n').flatMap(line => line.split(',')).map(family => family.trim()).filter(Boolean);
+                resolve([...new Set(families)].sort());
+            });
+        });
+    }
+    return systemFonts;
+}
+
+/**
+ * Build the store in ASSET_STORE_DIR
+ */
+function createAssetStore() {
+    return new AssetStore(process.env.ASSET_STORE_DIR || path.join(__dirname, 'asset_store'));
+}
+
+module.exports = {
+    ASSET_KINDS,
+    AssetNotFoundError,
+    AssetStore,
+    createAssetStore,
+    detectMimeType,
+    isValidAssetName,
+    systemFontFamilies
+};
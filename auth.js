@@ -0,0 +1,457 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const cors = require('cors');
+const { ApiError } = require('./api_errors');
+
+/**
+ * Multi-tenant authentication and limits, configured by a JSON file (TENANTS_FILE):
+ *
+ * {
+ *   "defaults": { ...any tenant field... },
+ *   "tenants": {
+ *     "billing": {
+ *       "apiKeys": ["sha256:<hex digest of the key>", "<plain key>"],
+ *       "hmacSecret": "<shared secret>",
+ *       "rateLimit": { "requests": 120, "perSeconds": 60 },
+ *       "maxConcurrentRenders": 4,
+ *       "maxPendingJobs": 100,
+ *       "dailyQuota": { "pages": 50000, "bytes": 2147483648 },
+ *       "corsOrigins": ["https://billing.example.com"],
+ *       "scopes": ["templates:write", "assets:write"]
+ *     }
+ *   }
+ * }
+ *
+ * Requests authenticate with `Authorization: Bearer <key>` / `X-API-Key: <key>`, or
+ * are HMAC-signed: X-Tenant-Id, X-Timestamp (unix seconds) and
+ * X-Signature: sha256=HMAC(hmacSecret, "<timestamp>.<METHOD>.<path?query>.<sha256 hex of body>").
+ *
+ * Counters live in process memory; each replica enforces its own limits.
+ */
+
+// Reachable without credentials (load balancer probes and Prometheus)
+const PUBLIC_PATHS = ['/health', '/health/live', '/health/ready', '/metrics'];
+
+// Permissions a tenant can be granted on top of rendering; templates and assets are
+// shared by every tenant, so only tenants holding the scope may change them
+const TENANT_SCOPES = ['templates:write', 'assets:write'];
+
+// Signed requests older or newer than this are rejected as replays
+const SIGNATURE_MAX_SKEW = 300; // seconds
+
+const EMPTY_BODY_SHA256 = crypto.createHash('sha256').digest('hex');
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function timingSafeEqualStrings(a, b) {
+    const left = Buffer.from(a);
+    const right = Buffer.from(b);
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Seconds until the next UTC midnight, when daily quotas reset
+ */
+function secondsUntilUtcMidnight(now) {
+    const midnight = new Date(now);
+    midnight.setUTCHours(24, 0, 0, 0);
+    return Math.ceil((midnight.getTime() - now) / 1000);
+}
+
+/**
+ * Refills `requests` tokens every `perSeconds`, one request per token
+ */
+class TokenBucket {
+    constructor({ requests, perSeconds }) {
+        this.capacity = requests;
+        this.refillPerMs = requests / (perSeconds * 1000);
+        this.tokens = requests;
+        this.updatedAt = Date.now();
+    }
+
+    /**
+     * Take a token; returns 0 on success or the seconds until one is available
+     */
+    take() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillPerMs);
+        this.updatedAt = now;
+
+        if (this.tokens >= 1) {
+            this.tokens -= 1;
+            return 0;
+        }
+        return Math.ceil((1 - this.tokens) / this.refillPerMs / 1000);
+    }
+}
+
+/**
+ * Validate one tenant entry; throws on configuration mistakes so startup fails loudly
+ */
+function normalizeTenant(id, entry) {
+    const problems = [];
+    const positive = value => Number.isInteger(value) && value > 0;
+
+    const apiKeys = entry.apiKeys || [];
+    if (!Array.isArray(apiKeys) || !apiKeys.every(key => typeof key === 'string' && key.length >= 16)) {
+        problems.push('apiKeys must be a list of strings of at least 16 characters');
+    }
+    if (entry.hmacSecret !== undefined && (typeof entry.hmacSecret !== 'string' || entry.hmacSecret.length < 16)) {
+        problems.push('hmacSecret must be a string of at least 16 characters');
+    }
+    if (apiKeys.length === 0 && !entry.hmacSecret) {
+        problems.push('needs at least one of apiKeys or hmacSecret');
+    }
+    if (entry.rateLimit && !(positive(entry.rateLimit.requests) && positive(entry.rateLimit.perSeconds))) {
+        problems.push('rateLimit needs positive integer requests and perSeconds');
+    }
+    if (entry.maxConcurrentRenders !== undefined && !positive(entry.maxConcurrentRenders)) {
+        problems.push('maxConcurrentRenders must be a positive integer');
+    }
+    if (entry.maxPendingJobs !== undefined && !positive(entry.maxPendingJobs)) {
+        problems.push('maxPendingJobs must be a positive integer');
+    }
+    const quota = entry.dailyQuota || {};
+    if ((quota.pages !== undefined && !positive(quota.pages)) || (quota.bytes !== undefined && !positive(quota.bytes))) {
+        problems.push('dailyQuota pages and bytes must be positive integers');
+    }
+    if (entry.corsOrigins !== undefined && !(Array.isArray(entry.corsOrigins) && entry.corsOrigins.every(o => typeof o === 'string'))) {
+        problems.push('corsOrigins must be a list of origins');
+    }
+    if (entry.scopes !== undefined && !(Array.isArray(entry.scopes) && entry.scopes.every(scope => TENANT_SCOPES.includes(scope)))) {
+        problems.push(`scopes must be a list of ${TENANT_SCOPES.join(', ')}`);
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid tenant '${id}': ${problems.join('; ')}`);
+    }
+
+    return {
+        id,
+        apiKeys,
+        hmacSecret: entry.hmacSecret || null,
+        rateLimit: entry.rateLimit || null,
+        maxConcurrentRenders: entry.maxConcurrentRenders || null,
+        maxPendingJobs: entry.maxPendingJobs || null,
+        dailyQuota: { pages: quota.pages || null, bytes: quota.bytes || null },
+        corsOrigins: entry.corsOrigins || null,
+        scopes: entry.scopes || []
+    };
+}
+
+class TenantAuth {
+    /**
+     * @param {object|null} config parsed tenants file; null disables authentication
+     * @param {object} log
+     */
+    constructor(config, log) {
+        this.log = log;
+        this.enabled = config !== null;
+        this.tenants = new Map();
+        this.keyIndex = new Map(); // sha256(key) -> tenant
+        this.buckets = new Map();
+        this.activeRenders = new Map();
+        this.renderWaiters = new Map();
+        this.usage = new Map();
+
+        if (!this.enabled) {
+            return;
+        }
+
+        const defaults = config.defaults || {};
+        for (const [id, entry] of Object.entries(config.tenants || {})) {
+            const tenant = normalizeTenant(id, { ...defaults, ...entry });
+            this.tenants.set(id, tenant);
+            for (const key of tenant.apiKeys) {
+                const digest = key.startsWith('sha256:') ? key.slice(7).toLowerCase() : sha256(key);
+                this.keyIndex.set(digest, tenant);
+            }
+            if (tenant.rateLimit) {
+                this.buckets.set(id, new TokenBucket(tenant.rateLimit));
+            }
+        }
+        if (this.tenants.size === 0) {
+            throw new Error('Tenants file defines no tenants');
+        }
+    }
+
+    /**
+     * Load TENANTS_FILE; without one the service runs unauthenticated
+     */
+    static fromFile(file, log) {
+        if (!file) {
+            return new TenantAuth(null, log);
+        }
+        return new TenantAuth(JSON.parse(fs.readFileSync(file, 'utf8')), log);
+    }
+
+    /**
+     * CORS middleware: open when authentication is disabled, otherwise limited to
+     * the union of tenant origins (preflights carry no credentials to pick a tenant by);
+     * authorize() then checks the origin against the authenticated tenant
+     */
+    cors() {
+        if (!this.enabled) {
+            return cors();
+        }
+        const origins = new Set([...this.tenants.values()].flatMap(tenant => tenant.corsOrigins || []));
+        return cors({
+            origin: (origin, callback) => callback(null, origins.has('*') || origins.has(origin)),
+            allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Tenant-Id', 'X-Timestamp', 'X-Signature',
+                'If-None-Match', 'Cache-Control', 'X-Request-Id', 'traceparent'],
+            exposedHeaders: ['ETag', 'X-Cache', 'X-Processing-Time', 'X-Blocked-Resources', 'Retry-After', 'Location', 'X-Request-Id']
+        });
+    }
+
+    /**
+     * `verify` hook for the body parsers: remembers the body hash for signature checks
+     */
+    captureBodyHash(req, res, buffer) {
+        req.bodySha256 = sha256(buffer);
+    }
+
+    /**
+     * Runs before body parsing: resolves the tenant from an API key, or reads the
+     * signature headers so authorize() can check them once the body has been hashed
+     */
+    identify(req, res, next) {
+        if (!this.enabled || req.method === 'OPTIONS' || PUBLIC_PATHS.includes(req.path)) {
+            return next();
+        }
+
+        const bearer = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+        const apiKey = bearer ? bearer[1].trim() : req.get('X-API-Key');
+        if (apiKey) {
+            const tenant = this.keyIndex.get(sha256(apiKey));
+            if (!tenant) {
+                return next(unauthorized('Invalid API key'));
+            }
+            req.tenant = tenant;
+            return next();
+        }
+
+        const signature = req.get('X-Signature');
+        if (signature) {
+            const tenant = this.tenants.get(req.get('X-Tenant-Id'));
+            const timestamp = parseInt(req.get('X-Timestamp'));
+            if (!tenant || !tenant.hmacSecret) {
+                return next(unauthorized('Unknown tenant or tenant without a signing secret'));
+            }
+            if (!Number.isFinite(timestamp) || Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_MAX_SKEW) {
+                return next(unauthorized(`X-Timestamp must be within ${SIGNATURE_MAX_SKEW} seconds of the server clock`));
+            }
+            if (req.is('multipart/form-data')) {
+                return next(unauthorized('Multipart requests must authenticate with an API key'));
+            }
+            req.pendingSignature = { tenant, timestamp, signature };
+            return next();
+        }
+
+        next(unauthorized('Send an API key (Authorization: Bearer <key>) or a signed request'));
+    }
+
+    /**
+     * Runs after body parsing: verifies a pending signature, then enforces the
+     * tenant's CORS origins and request rate
+     */
+    authorize(req, res, next) {
+        if (!this.enabled || req.method === 'OPTIONS' || PUBLIC_PATHS.includes(req.path)) {
+            return next();
+        }
+
+        if (req.pendingSignature) {
+            const { tenant, timestamp, signature } = req.pendingSignature;
+            const payload = `${timestamp}.${req.method}.${req.originalUrl}.${req.bodySha256 || EMPTY_BODY_SHA256}`;
+            const expected = `sha256=${crypto.createHmac('sha256', tenant.hmacSecret).update(payload).digest('hex')}`;
+            if (!timingSafeEqualStrings(signature, expected)) {
+                return next(unauthorized('Request signature does not match'));
+            }
+            req.tenant = tenant;
+        }
+
+        const tenant = req.tenant;
+        const origin = req.get('Origin');
+        if (origin && tenant.corsOrigins && !tenant.corsOrigins.includes('*') && !tenant.corsOrigins.includes(origin)) {
+            return next(new ApiError(403, 'ORIGIN_NOT_ALLOWED', 'Origin is not allowed for this tenant'));
+        }
+
+        const bucket = this.buckets.get(tenant.id);
+        const retryAfter = bucket ? bucket.take() : 0;
+        if (retryAfter > 0) {
+            this.log.warn(`Tenant ${tenant.id} rate limited`);
+            return next(tooManyRequests('RATE_LIMITED', 'Request rate limit exceeded', retryAfter));
+        }
+        next();
+    }
+
+    /**
+     * Middleware letting only tenants granted `scope` through; everyone when
+     * authentication is disabled
+     */
+    requireScope(scope) {
+        return (req, res, next) => {
+            if (!this.enabled || req.tenant.scopes.includes(scope)) {
+                return next();
+            }
+            next(new ApiError(403, 'FORBIDDEN', `This tenant is not allowed to change shared resources (needs scope ${scope})`));
+        };
+    }
+
+    /**
+     * Reject renders once the tenant has used up today's page or byte quota
+     */
+    checkQuota(req, res, next) {
+        const tenant = req.tenant;
+        if (!tenant || (!tenant.dailyQuota.pages && !tenant.dailyQuota.bytes)) {
+            return next();
+        }
+
+        const usage = this.usageFor(tenant.id);
+        const { pages, bytes } = tenant.dailyQuota;
+        if ((pages && usage.pages >= pages) || (bytes && usage.bytes >= bytes)) {
+            return next(tooManyRequests('QUOTA_EXCEEDED', 'Daily render quota exhausted', secondsUntilUtcMidnight(Date.now())));
+        }
+        next();
+    }
+
+    /**
+     * Hold one of the tenant's render slots until the response ends; 429 when all are busy
+     */
+    renderSlot(req, res, next) {
+        const tenant = req.tenant;
+        if (!tenant || !tenant.maxConcurrentRenders) {
+            return next();
+        }
+
+        const release = this.tryAcquireRender(tenant);
+        if (!release) {
+            return next(tooManyRequests('CONCURRENCY_LIMIT', 'Too many renders in progress for this tenant', 1));
+        }
+        res.on('close', release);
+        next();
+    }
+
+    /**
+     * Take a render slot without waiting; returns a release function or null
+     */
+    tryAcquireRender(tenant) {
+        const active = this.activeRenders.get(tenant.id) || 0;
+        if (active >= tenant.maxConcurrentRenders) {
+            return null;
+        }
+        this.activeRenders.set(tenant.id, active + 1);
+
+        let released = false;
+        return () => {
+            if (released) {
+                return;
+            }
+            released = true;
+            this.activeRenders.set(tenant.id, this.activeRenders.get(tenant.id) - 1);
+            const waiters = this.renderWaiters.get(tenant.id);
+            if (waiters && waiters.length > 0) {
+                waiters.shift()();
+            }
+        };
+    }
+
+    /**
+     * Wait for a render slot (batch items); resolves with a release function.
+     * Stops waiting when signal aborts (rejecting with its reason) or at deadline
+     * (epoch ms), so a waiter never outlives the render it was queued for.
+     */
+    async acquireRender(tenant, { signal = null, deadline = null } = {}) {
+        if (!tenant || !tenant.maxConcurrentRenders) {
+            return () => {};
+        }
+        for (;;) {
+            if (signal && signal.aborted) {
+                throw signal.reason;
+            }
+            const release = this.tryAcquireRender(tenant);
+            if (release) {
+                return release;
+            }
+            await this.waitForRender(tenant.id, signal, deadline);
+        }
+    }
+
+    /**
+     * Resolve when a slot of the tenant is released; the waiter is removed again
+     * when signal aborts or deadline passes first
+     */
+    waitForRender(tenantId, signal, deadline) {
+        return new Promise((resolve, reject) => {
+            const waiters = this.renderWaiters.get(tenantId) || [];
+            let timer = null;
+
+            const settle = (error) => {
+                const index = waiters.indexOf(wake);
+                if (index !== -1) {
+                    waiters.splice(index, 1);
+                }
+                if (waiters.length === 0 && this.renderWaiters.get(tenantId) === waiters) {
+                    this.renderWaiters.delete(tenantId);
+                }
+                clearTimeout(timer);
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve();
+                }
+            };
+            const wake = () => settle(null);
+            const onAbort = () => settle(signal.reason);
+
+            waiters.push(wake);
+            this.renderWaiters.set(tenantId, waiters);
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+            if (deadline !== null) {
+                timer = setTimeout(() => settle(new Error('Render timed out waiting for a tenant render slot')),
+                    Math.max(0, deadline - Date.now()));
+            }
+        });
+    }
+
+    usageFor(tenantId) {
+        const day = new Date().toISOString().slice(0, 10);
+        let usage = this.usage.get(tenantId);
+        if (!usage || usage.day !== day) {
+            usage = { day, renders: 0, pages: 0, bytes: 0 };
+            this.usage.set(tenantId, usage);
+        }
+        return usage;
+    }
+
+    /**
+     * Count a finished render against the tenant's daily quota
+     */
+    recordUsage(tenantId, pages, bytes) {
+        if (!this.enabled || !tenantId) {
+            return;
+        }
+        const usage = this.usageFor(tenantId);
+        usage.renders++;
+        usage.pages += pages || 0;
+        usage.bytes += bytes;
+    }
+}
+
+function unauthorized(message) {
+    return new ApiError(401, 'UNAUTHORIZED', message, {}, { 'WWW-Authenticate': 'Bearer' });
+}
+
+function tooManyRequests(code, message, retryAfter) {
+    return new ApiError(429, code, message, {}, { 'Retry-After': retryAfter });
+}
+
+module.exports = {
+    TenantAuth
+};
@@ -0,0 +1,82 @@
+const { PDFDocument } = require('pdf-lib');
+
+/**
+ * Helpers for POST /pdf/batch: bounded-concurrency rendering and PDF merging
+ */
+
+/**
+ * Render every item with at most `concurrency` renders in flight.
+ * Failures are captured per item so one bad document never fails the batch.
+ *
+ * @param {Array} items
+ * @param {Function} render           async (item, index) => Buffer
+ * @param {object} config
+ * @param {number} config.concurrency
+ * @param {Function} [config.onSettled]  called with each result as it finishes
+ * @param {Function} [config.isCancelled] stop starting new items once this returns true
+ * @returns {Promise<Array>} results in input order:
+ *   { index, success: true, pdf } or { index, success: false, code, error, details }
+ */
+async function renderBatch(items, render, { concurrency, onSettled = () => {}, isCancelled = () => false }) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function lane() {
+        while (next < items.length && !isCancelled()) {
+            const index = next++;
+            let result;
+            try {
+                result = { index, success: true, pdf: await render(items[index], index) };
+            } catch (error) {
+                result = { index, success: false, code: error.code, error: error.message, details: error.details || undefined };
+            }
+            results[index] = result;
+            await onSettled(result);
+        }
+    }
+
+    const lanes = Array.from({ length: Math.min(concurrency, items.length) }, () => lane());
+    await Promise.all(lanes);
+
+    // Items never started because the batch was cancelled
+    for (let index = 0; index < items.length; index++) {
+        if (!results[index]) {
+            results[index] = { index, success: false, error: 'Batch cancelled before this item was rendered' };
+        }
+    }
+    return results;
+}
+
+/**
+ * Concatenate PDFs in order into a single document
+ */
+async function mergePdfs(buffers) {
+    const merged = await PDFDocument.create();
+    for (const buffer of buffers) {
+        const source = await PDFDocument.load(buffer);
+        const pages = await merged.copyPages(source, source.getPageIndices());
+        pages.forEach(page => merged.addPage(page));
+    }
+    return Buffer.from(await merged.save());
+}
+
+/**
+ * Make file names unique within an archive: a.pdf, a-2.pdf, a-3.pdf
+ */
+function uniqueFilenames(filenames) {
+    const used = new Set();
+    return filenames.map(filename => {
+        let candidate = filename;
+        for (let count = 2; used.has(candidate); count++) {
+            candidate = filename.replace(/\.pdf$/, `-${count}.pdf`);
+        }
+        used.add(candidate);
+        return candidate;
+    });
+}
+
+module.exports = {
+    mergePdfs,
+    renderBatch,
+    uniqueFilenames
+};
@@ -0,0 +1,103 @@
+/**
+ * Length-prefixed framing for the worker <-> bridge stdin/stdout protocol
+ *
+ * Frame layout (all integers unsigned 32-bit big-endian):
+ *   [header length][body length][header JSON, UTF-8][body bytes]
+ *
+ * Requests carry the HTML as the body, responses carry the raw PDF bytes,
+ * so no base64 encoding or JSON escaping is applied to document payloads.
+ */
+
+const PREFIX_SIZE = 8;
+const EMPTY = Buffer.alloc(0);
+
+/**
+ * Encode a header object and optional body into a single frame
+ */
+function encodeFrame(header, body = EMPTY) {
+    const headerBytes = Buffer.from(JSON.stringify(header), 'utf8');
+    const bodyBytes = typeof body === 'string' ? Buffer.from(body, 'utf8') : body;
+
+    const prefix = Buffer.allocUnsafe(PREFIX_SIZE);
+    prefix.writeUInt32BE(headerBytes.length, 0);
+    prefix.writeUInt32BE(bodyBytes.length, 4);
+
+    return Buffer.concat([prefix, headerBytes, bodyBytes]);
+}
+
+/**
+ * Incremental decoder for a stream of frames
+ * Each body is copied once into its own ArrayBuffer so it can be transferred
+ * to another thread without a further copy.
+ */
+class FrameDecoder {
+    constructor(onFrame, { maxBodySize = Infinity } = {}) {
+        this.onFrame = onFrame;
+        this.maxBodySize = maxBodySize;
+        this.head = EMPTY;
+        this.header = null;
+        this.body = null;
+        this.bodyOffset = 0;
+    }
+
+    /**
+     * Feed a chunk read from the stream; throws on a malformed or oversized frame
+     */
+    push(chunk) {
+        while (chunk.length > 0) {
+            if (this.body) {
+                const count = Math.min(this.body.length - this.bodyOffset, chunk.length);
+                chunk.copy(this.body, this.bodyOffset, 0, count);
+                this.bodyOffset += count;
+                chunk = chunk.subarray(count);
+
+                if (this.bodyOffset === this.body.length) {
+                    this.finishFrame();
+                }
+                continue;
+            }
+
+            this.head = this.head.length > 0 ? Buffer.concat([this.head, chunk]) : chunk;
+            chunk = EMPTY;
+
+            if (this.head.length < PREFIX_SIZE) {
+                return;
+            }
+
+            const headerLength = this.head.readUInt32BE(0);
+            const bodyLength = this.head.readUInt32BE(4);
+            if (this.head.length < PREFIX_SIZE + headerLength) {
+                return;
+            }
+            if (bodyLength > this.maxBodySize) {
+                throw new Error(`Frame body of ${bodyLength} bytes exceeds the limit of ${this.maxBodySize} bytes`);
+            }
+
+            this.header = JSON.parse(this.head.toString('utf8', PREFIX_SIZE, PREFIX_SIZE + headerLength));
+            // allocUnsafeSlow: a dedicated ArrayBuffer rather than a slice of the shared pool
+            this.body = Buffer.allocUnsafeSlow(bodyLength);
+            this.bodyOffset = 0;
+
+            chunk = this.head.subarray(PREFIX_SIZE + headerLength);
+            this.head = EMPTY;
+
+            if (bodyLength === 0) {
+                this.finishFrame();
+            }
+        }
+    }
+
+    finishFrame() {
+        const header = this.header;
+        const body = this.body;
+        this.header = null;
+        this.body = null;
+        this.bodyOffset = 0;
+        this.onFrame(header, body);
+    }
+}
+
+module.exports = {
+    encodeFrame,
+    FrameDecoder
+};
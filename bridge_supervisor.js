@@ -0,0 +1,206 @@
+const fs = require('fs');
+const { ApiError } = require('./api_errors');
+
+/**
+ * Circuit breaker in front of the Python bridge
+ *   closed     renders run; BRIDGE_FAILURE_THRESHOLD bridge failures in a row open it
+ *   open       renders fail fast with 503 BRIDGE_UNAVAILABLE instead of spawning
+ *              processes that are bound to fail; after BRIDGE_CIRCUIT_RESET ms it half-opens
+ *   half_open  one probe render runs (renders still fail fast); success closes the
+ *              circuit, failure opens it for another BRIDGE_CIRCUIT_RESET
+ * A startup check (interpreter and script present, then a probe render) opens the
+ * circuit before the first request when the bridge cannot work at all.
+ * Only failures of the bridge itself count (see isBridgeFailure); a document
+ * WeasyPrint rejects, crashes the bridge with, a timeout or a cancelled render says
+ * nothing about its health.
+ */
+
+// What clients and /health are told about an open circuit; details stay in the logs
+const REASONS = {
+    python_not_found: 'the Python interpreter is missing or not executable',
+    bridge_not_found: 'the WeasyPrint bridge script is missing',
+    startup_check_failed: 'the startup test render failed',
+    consecutive_failures: 'renders keep failing in the WeasyPrint bridge'
+};
+
+const PROBE_HTML = '<!DOCTYPE html><html><body><p>Bridge probe</p></body></html>';
+
+/**
+ * True for errors raised because the bridge process could not be spawned, exited
+ * before it was ready, refused the request or answered garbage (messages from
+ * pdf_worker.js). A bridge that dies or overflows mid-render may have been killed by
+ * its document (out of memory, an oversized PDF); one tenant must not open the circuit
+ * for everyone, so those do not count.
+ */
+function isBridgeFailure(error) {
+    if (error instanceof ApiError) {
+        return false;
+    }
+    const message = (error && error.message) || '';
+    return /Python process error|Bridge failed to start|Failed to send request|Request ID mismatch|Invalid PDF data/.test(message);
+}
+
+class BridgeSupervisor {
+    /**
+     * @param {object} options
+     * @param {AdmissionController} options.admission
+     * @param {object} options.log
+     * @param {string} options.pythonPath interpreter the workers spawn (PYTHON_PATH)
+     * @param {string} options.bridgePath bridge script the workers run (BRIDGE_PATH)
+     * @param {object} options.probeTask  fields every probe render carries besides its HTML ({ fetchPolicy, maxPdfBytes })
+     * @param {number} options.probeTimeout ms a probe render may take
+     * @param {number} options.failureThreshold consecutive bridge failures that open the circuit
+     * @param {number} options.resetTimeout ms the circuit stays open before a probe
+     */
+    constructor({ admission, log, pythonPath, bridgePath, probeTask, probeTimeout, failureThreshold, resetTimeout }) {
+        this.admission = admission;
+        this.log = log;
+        this.pythonPath = pythonPath;
+        this.bridgePath = bridgePath;
+        this.probeTask = probeTask;
+        this.probeTimeout = probeTimeout;
+        this.failureThreshold = failureThreshold;
+        this.resetTimeout = resetTimeout;
+        this.state = 'closed';
+        this.reason = null;
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.nextProbeAt = null;
+        this.lastProbe = null;
+        this.probeTimer = null;
+    }
+
+    /**
+     * Run a pool task unless the circuit is open, recording the outcome
+     */
+    async run(task, admissionOptions) {
+        if (this.state !== 'closed') {
+            throw this.unavailableError();
+        }
+        try {
+            const result = await this.admission.run(task, admissionOptions);
+            this.consecutiveFailures = 0;
+            return result;
+        } catch (error) {
+            if (isBridgeFailure(error)) {
+                this.recordFailure(error);
+            }
+            throw error;
+        }
+    }
+
+    recordFailure(error) {
+        this.consecutiveFailures++;
+        if (this.state === 'closed' && this.consecutiveFailures >= this.failureThreshold) {
+            this.log.error(`Bridge failed ${this.consecutiveFailures} times in a row, last: ${error.message}`);
+            this.open('consecutive_failures');
+        }
+    }
+
+    unavailableError() {
+        const retryAfter = Math.max(1, Math.ceil(((this.nextProbeAt || Date.now()) - Date.now()) / 1000));
+        return new ApiError(503, 'BRIDGE_UNAVAILABLE', `PDF rendering is unavailable: ${REASONS[this.reason]}, retry later`,
+            { reason: this.reason }, { 'Retry-After': retryAfter });
+    }
+
+    open(reason) {
+        if (this.state === 'closed') {
+            this.openedAt = new Date().toISOString();
+            this.log.warn(`Bridge circuit open (${reason}); next probe in ${this.resetTimeout}ms`);
+        } else {
+            this.log.warn(`Bridge circuit still open (${reason}); next probe in ${this.resetTimeout}ms`);
+        }
+        this.state = 'open';
+        this.reason = reason;
+        this.nextProbeAt = Date.now() + this.resetTimeout;
+
+        clearTimeout(this.probeTimer);
+        this.probeTimer = setTimeout(() => {
+            this.state = 'half_open';
+            this.check('probe');
+        }, this.resetTimeout);
+        this.probeTimer.unref();
+    }
+
+    close() {
+        if (this.state !== 'closed') {
+            this.log.info(`Bridge circuit closed after a successful probe (was open since ${this.openedAt})`);
+        }
+        this.state = 'closed';
+        this.reason = null;
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.nextProbeAt = null;
+    }
+
+    /**
+     * Check the interpreter and script exist, then render a probe document; closes
+     * the circuit on success and opens it otherwise. trigger is 'startup' or 'probe'.
+     * Resolves with true when the bridge works.
+     */
+    async check(trigger) {
+        const pathReason = await this.checkPaths();
+        if (pathReason) {
+            this.recordProbe(false);
+            this.open(pathReason);
+            return false;
+        }
+
+        try {
+            await this.admission.run({ ...this.probeTask, html: PROBE_HTML, css: null, options: {}, fonts: [], stream: false },
+                { lane: 'interactive', deadline: Date.now() + this.probeTimeout });
+        } catch (error) {
+            this.log.error(`Bridge ${trigger} check failed: ${error.message}`);
+            this.recordProbe(false);
+            this.open(trigger === 'startup' ? 'startup_check_failed' : this.reason || 'consecutive_failures');
+            return false;
+        }
+        this.recordProbe(true);
+        this.close();
+        if (trigger === 'startup') {
+            this.log.info('Bridge startup check passed');
+        }
+        return true;
+    }
+
+    /**
+     * Reason the bridge cannot start at all, or null
+     */
+    async checkPaths() {
+        try {
+            await fs.promises.access(this.pythonPath, fs.constants.X_OK);
+        } catch (error) {
+            this.log.error(`Python interpreter ${this.pythonPath} is not executable: ${error.code}`);
+            return 'python_not_found';
+        }
+        try {
+            await fs.promises.access(this.bridgePath, fs.constants.R_OK);
+        } catch (error) {
+            this.log.error(`Bridge script ${this.bridgePath} is not readable: ${error.code}`);
+            return 'bridge_not_found';
+        }
+        return null;
+    }
+
+    recordProbe(ok) {
+        this.lastProbe = { at: new Date().toISOString(), ok };
+    }
+
+    stats() {
+        return {
+            state: this.state,
+            reason: this.reason,
+            message: this.reason ? REASONS[this.reason] : null,
+            consecutiveFailures: this.consecutiveFailures,
+            failureThreshold: this.failureThreshold,
+            openedAt: this.openedAt,
+            nextProbeAt: this.nextProbeAt ? new Date(this.nextProbeAt).toISOString() : null,
+            lastProbe: this.lastProbe
+        };
+    }
+}
+
+module.exports = {
+    BridgeSupervisor,
+    isBridgeFailure
+};
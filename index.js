@@ -1,8 +1,32 @@
 const express = require('express');
 const { Piscina } = require('piscina');
-const fs = require('fs');
 const path = require('path');
-const cors = require('cors');
+const os = require('os');
+const crypto = require('crypto');
+const multer = require('multer');
+const { compileTemplate, rawHtml, renderTemplate, TemplateDataError, TemplateSyntaxError } = require('./template_engine');
+const { createTemplateStore, parseTemplateRef, TemplateNotFoundError } = require('./template_store');
+const { AssetNotFoundError, createAssetStore, detectMimeType, systemFontFamilies } = require('./asset_store');
+const { createJobStore } = require('./job_store');
+const { JobRunner, publicView } = require('./job_runner');
+const { mergePdfs, renderBatch, uniqueFilenames } = require('./batch_renderer');
+const { validateRenderOptions } = require('./render_options');
+const { postProcessKey, validatePostProcess } = require('./pdf_postprocess');
+const { FURNITURE_PARTS, composeDocument, furnitureVariables, validateFurniture } = require('./page_furniture');
+const { Keystore, validateSecurity } = require('./pdf_security');
+const { RenderCache } = require('./render_cache');
+const metrics = require('./metrics');
+const { ApiError, QUEUE_FULL_RETRY_AFTER, classifyRenderError, invalidInput, isTransientRenderError, renderFailure, sendError } = require('./api_errors');
+const { integerBetween, optional, parseObjectField, rules, validateRequest, withDefault } = require('./validation');
+const { TenantAuth } = require('./auth');
+const { AdmissionController } = require('./admission');
+const { Lifecycle } = require('./lifecycle');
+const { BridgeSupervisor } = require('./bridge_supervisor');
+const { createLogger, redactUrl, resolveRequestId } = require('./logger');
+const { SPAN_KIND, createTracer, parseTraceparent } = require('./tracing');
+const archiver = require('archiver');
+const { setMaxListeners } = require('events');
+const { Readable } = require('stream');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -11,14 +35,91 @@ const PORT = process.env.PORT || 3000;
 const POOL_MIN_THREADS = parseInt(process.env.POOL_MIN_THREADS) || 2;
 const POOL_MAX_THREADS = parseInt(process.env.POOL_MAX_THREADS) || 6;
 const REQUEST_TIMEOUT = parseInt(process.env.REQUEST_TIMEOUT) || 45000; // 45 seconds
+const BRIDGE_MODE = process.env.BRIDGE_MODE || 'spawn'; // 'spawn' or 'persistent' (see pdf_worker.js)
+const PYTHON_PATH = process.env.PYTHON_PATH || '/opt/weasyprint/bin/python'; // read by pdf_worker.js too
+const BRIDGE_PATH = path.resolve(__dirname, process.env.BRIDGE_PATH || 'weasyprint_bridge_secure.py');
+const BRIDGE_FAILURE_THRESHOLD = parseInt(process.env.BRIDGE_FAILURE_THRESHOLD) || 5; // consecutive bridge failures that open the circuit
+const BRIDGE_CIRCUIT_RESET = parseInt(process.env.BRIDGE_CIRCUIT_RESET) || 30000; // ms open before a probe render
+const MAX_HTML_SIZE = parseInt(process.env.MAX_HTML_SIZE) || 5 * 1024 * 1024; // 5MB of markup
+const MAX_CSS_SIZE = parseInt(process.env.MAX_CSS_SIZE) || 1024 * 1024; // 1MB of styles
+const MAX_PDF_BYTES = (parseInt(process.env.RENDER_MAX_PDF_MB) || 100) * 1024 * 1024; // renders producing more fail
+const STREAM_RESPONSES = process.env.STREAM_RESPONSES === 'true'; // default for ?stream on GET/POST /pdf
+const RASTER_DPI = parseInt(process.env.RASTER_DPI) || 150; // default resolution of PNG/JPEG page images
+const THUMBNAIL_WIDTH = parseInt(process.env.THUMBNAIL_WIDTH) || 200; // pixels, for ?thumbnail=true
+const RASTER_MAX_PIXELS = (parseInt(process.env.RASTER_MAX_MEGAPIXELS) || 40) * 1000 * 1000; // per page image
+const POSTPROCESS_MAX_UPLOAD_SIZE = (parseInt(process.env.POSTPROCESS_MAX_UPLOAD_MB) || 20) * 1024 * 1024; // per uploaded PDF or image
+const POSTPROCESS_MAX_UPLOADS = parseInt(process.env.POSTPROCESS_MAX_UPLOADS) || 10;
+const BATCH_MAX_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS) || 500;
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY) || POOL_MAX_THREADS;
+const ADMISSION_INTERACTIVE_QUEUE = parseInt(process.env.ADMISSION_INTERACTIVE_QUEUE) || 100;
+const ADMISSION_BATCH_QUEUE = parseInt(process.env.ADMISSION_BATCH_QUEUE) || 1000;
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || POOL_MAX_THREADS;
+const JOB_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS) || 3;
+const JOB_MAX_QUEUED = parseInt(process.env.JOB_MAX_QUEUED) || 1000; // unfinished jobs across all tenants
+const JOB_RETRY_DELAY = parseInt(process.env.JOB_RETRY_DELAY) || 2000; // doubled per attempt
+const JOB_TTL = parseInt(process.env.JOB_TTL) || 60 * 60 * 1000; // finished jobs kept for 1 hour
+const JOB_CALLBACK_ALLOWED_HOSTS = (process.env.JOB_CALLBACK_ALLOWED_HOSTS || '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean); // empty: any public host
+const JOB_CALLBACK_ALLOW_PRIVATE_NETWORKS = process.env.JOB_CALLBACK_ALLOW_PRIVATE_NETWORKS === 'true';
+const SHUTDOWN_DRAIN_TIMEOUT = parseInt(process.env.SHUTDOWN_DRAIN_TIMEOUT) || 30000; // in-flight work may finish within 30 seconds of SIGTERM
+const RENDER_CACHE = process.env.RENDER_CACHE === 'true';
+const RENDER_CACHE_MEMORY_MB = parseInt(process.env.RENDER_CACHE_MEMORY_MB) || 64;
+const RENDER_CACHE_DISK_MB = process.env.RENDER_CACHE_DISK_MB !== undefined ? parseInt(process.env.RENDER_CACHE_DISK_MB) || 0 : 256; // 0 disables the disk tier
+const RENDER_CACHE_DIR = process.env.RENDER_CACHE_DIR || path.join(os.tmpdir(), 'pdf-render-cache');
+const RENDER_CACHE_TTL = parseInt(process.env.RENDER_CACHE_TTL) || 24 * 60 * 60 * 1000; // 24 hours
+const ASSETS_DIR = path.resolve(process.env.ASSETS_DIR || path.join(__dirname, 'assets'));
+const ASSET_MAX_SIZE = (parseInt(process.env.ASSET_MAX_MB) || 10) * 1024 * 1024; // per uploaded font or image
+const ASSET_UPLOAD_TYPES = ['application/octet-stream', 'font/*', 'image/*'];
 
-// Production logging
-const log = {
-    info: (msg, ...args) => console.log(`[INFO] ${new Date().toISOString()} ${msg}`, ...args),
-    error: (msg, ...args) => console.error(`[ERROR] ${new Date().toISOString()} ${msg}`, ...args),
-    warn: (msg, ...args) => console.warn(`[WARN] ${new Date().toISOString()} ${msg}`, ...args)
+// Fonts and images uploaded through /assets, referenced as asset://fonts/<name> and asset://images/<name>
+const assetStore = createAssetStore();
+
+/**
+ * Resource fetching rules enforced by the bridge's SandboxedFetcher for every
+ * <img src>, <link> and url() in a document (see weasyprint_bridge_secure.py)
+ */
+const FETCH_POLICY = {
+    allowed_schemes: (process.env.FETCH_ALLOWED_SCHEMES || 'data,file,https').split(',').map(s => s.trim().toLowerCase()).filter(Boolean),
+    allowed_hosts: (process.env.FETCH_ALLOWED_HOSTS || '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean),
+    allow_private_networks: process.env.FETCH_ALLOW_PRIVATE_NETWORKS === 'true',
+    assets_dir: ASSETS_DIR, // the only place file:// URLs (and relative URLs) may read from
+    asset_store_dir: assetStore.dir, // asset:// URLs
+    max_resource_bytes: parseInt(process.env.FETCH_MAX_RESOURCE_BYTES) || 10 * 1024 * 1024,
+    timeout_ms: parseInt(process.env.FETCH_TIMEOUT) || 10000,
+    max_resources: parseInt(process.env.FETCH_MAX_RESOURCES) || 100
 };
 
+// Structured JSON logs at LOG_LEVEL (see logger.js); requests log through req.log
+const log = createLogger();
+
+// Spans for requests and renders, exported per TRACING_EXPORTER (see tracing.js)
+const tracer = createTracer(log);
+
+// API keys, rate limits, render caps, quotas and CORS origins per tenant (TENANTS_FILE)
+const tenantAuth = TenantAuth.fromFile(process.env.TENANTS_FILE, log);
+if (tenantAuth.enabled) {
+    log.info(`Authentication enabled for ${tenantAuth.tenants.size} tenant(s)`);
+} else {
+    log.warn('TENANTS_FILE is not set: the API is open to anyone who can reach it');
+}
+
+// PKCS#12 signing keys requests may refer to by name (SIGNING_KEYSTORE)
+const keystore = Keystore.fromFile(process.env.SIGNING_KEYSTORE);
+if (keystore.keys.size > 0) {
+    log.info(`Signing enabled with ${keystore.keys.size} key(s)`);
+}
+
+// Versioned template storage (TEMPLATE_STORE / TEMPLATES_DIR)
+const templateStore = createTemplateStore();
+
+// Rendered PDFs reused for identical requests to GET/POST /pdf (RENDER_CACHE=true)
+const renderCache = RENDER_CACHE ? new RenderCache({
+    memoryMaxBytes: RENDER_CACHE_MEMORY_MB * 1024 * 1024,
+    diskMaxBytes: RENDER_CACHE_DISK_MB * 1024 * 1024,
+    diskDir: RENDER_CACHE_DIR,
+    ttl: RENDER_CACHE_TTL,
+    log
+}) : null;
+
 // Initialize Piscina worker pool
 let pool = null;
 
@@ -28,45 +129,234 @@ try {
         minThreads: POOL_MIN_THREADS,
         maxThreads: POOL_MAX_THREADS,
         idleTimeout: 120000, // Keep workers alive for 2 minutes
-        maxQueue: 100, // Explicit queue limit instead of 'auto' to handle more requests
+        maxQueue: 100, // Backstop only: admission control below keeps this queue empty
         recordTiming: true, // Track performance metrics
-        concurrentTasksPerWorker: 1 // Ensure one task per worker for isolation
+        concurrentTasksPerWorker: 1, // Ensure one task per worker for isolation
+        // Idle workers must keep their event loop running to notice a warm bridge crashing
+        atomics: BRIDGE_MODE === 'persistent' ? 'async' : 'sync'
     });
     
+    metrics.registerPoolMetrics(pool);
     log.info(`PDF worker pool initialized: ${POOL_MIN_THREADS}-${POOL_MAX_THREADS} threads`);
 } catch (error) {
     log.error('Failed to initialize worker pool:', error);
     process.exit(1);
 }
 
+// Interactive and batch lanes in front of the pool (see admission.js)
+const admission = new AdmissionController({
+    pool,
+    concurrency: POOL_MAX_THREADS,
+    maxQueued: { interactive: ADMISSION_INTERACTIVE_QUEUE, batch: ADMISSION_BATCH_QUEUE },
+    renderTimeout: REQUEST_TIMEOUT, // batch items and jobs, from the moment they start
+    onReject: (rejection) => {
+        metrics.observeAdmissionRejection(rejection);
+        if (rejection.reason !== 'aborted') {
+            log.warn(`Render refused by admission control: ${rejection.lane} lane, ${rejection.reason}`);
+        }
+    },
+    onAdmit: metrics.observeAdmissionWait
+});
+metrics.registerAdmissionMetrics(admission);
+
+// Circuit breaker failing renders fast while the Python bridge is broken (see bridge_supervisor.js)
+const bridgeSupervisor = new BridgeSupervisor({
+    admission,
+    log,
+    pythonPath: PYTHON_PATH,
+    bridgePath: BRIDGE_PATH,
+    probeTask: { fetchPolicy: FETCH_POLICY, maxPdfBytes: MAX_PDF_BYTES },
+    probeTimeout: REQUEST_TIMEOUT,
+    failureThreshold: BRIDGE_FAILURE_THRESHOLD,
+    resetTimeout: BRIDGE_CIRCUIT_RESET
+});
+metrics.registerBridgeMetrics(bridgeSupervisor);
+
+// Asynchronous render jobs (JOB_STORE / JOBS_DIR)
+const jobStore = createJobStore();
+const jobRunner = new JobRunner({
+    store: jobStore,
+    render: async (input, job) => {
+        // Jobs outlive their request: each attempt is a trace of its own, correlated by requestId
+        const requestId = job.requestId || job.id;
+        const span = tracer.startSpan('pdf.job', { attributes: { 'pdf.job.id': job.id, 'pdf.request_id': requestId } });
+        try {
+            // Jobs share the tenant's render slots with its other renders; waiting for one
+            // times out like a render, so the attempt is retried instead of blocking the runner
+            const release = await tenantAuth.acquireRender(job.tenant ? tenantAuth.tenants.get(job.tenant) : null,
+                { deadline: Date.now() + REQUEST_TIMEOUT });
+            try {
+                return await generatePDF(input, { lane: 'batch', trace: { requestId, span } });
+            } finally {
+                release();
+            }
+        } catch (error) {
+            span.recordError(error);
+            // Job status is client-visible; keep the internal error in the logs
+            log.error('Job render failed:', { jobId: job.id, requestId }, error.message);
+            const failure = renderFailure(error);
+            failure.retryable = isTransientRenderError(error);
+            throw failure;
+        } finally {
+            span.end();
+        }
+    },
+    log,
+    concurrency: JOB_CONCURRENCY,
+    maxAttempts: JOB_MAX_ATTEMPTS,
+    retryDelay: JOB_RETRY_DELAY,
+    ttl: JOB_TTL,
+    callbackSecret: process.env.JOB_CALLBACK_SECRET,
+    callbackPolicy: { allowedHosts: JOB_CALLBACK_ALLOWED_HOSTS, allowPrivateNetworks: JOB_CALLBACK_ALLOW_PRIVATE_NETWORKS }
+});
+
+// Server handle, readiness and draining shutdown (see lifecycle.js)
+const lifecycle = new Lifecycle({ admission, pool, jobRunner, log, drainTimeout: SHUTDOWN_DRAIN_TIMEOUT });
+
+// Correlation ID and trace of every request. X-Request-Id is kept when the client sends a
+// usable one and generated otherwise; it is returned on the response, added to every line
+// req.log writes and passed with the request's renders into the bridge's log lines.
+// The server span continues the caller's traceparent; http.response covers writing the response.
+app.use((req, res, next) => {
+    const requestId = resolveRequestId(req.get('X-Request-Id'));
+    res.setHeader('X-Request-Id', requestId);
+    const span = tracer.startSpan(req.method, {
+        parent: parseTraceparent(req.get('traceparent')),
+        kind: SPAN_KIND.SERVER,
+        attributes: { 'http.request.method': req.method, 'url.path': req.path, 'pdf.request_id': requestId }
+    });
+    req.log = log.child({ requestId });
+    req.trace = { requestId, span };
+
+    let responseSpan = null;
+    const writeHead = res.writeHead;
+    res.writeHead = function (...args) {
+        if (!responseSpan) {
+            responseSpan = tracer.startSpan('http.response', { parent: span });
+        }
+        return writeHead.apply(this, args);
+    };
+    res.on('close', () => {
+        if (responseSpan) {
+            responseSpan.end();
+        }
+        if (req.route) {
+            span.name = `${req.method} ${req.baseUrl}${req.route.path}`;
+            span.setAttributes({ 'http.route': `${req.baseUrl}${req.route.path}` });
+        }
+        span.setAttributes({ 'http.response.status_code': res.statusCode, 'pdf.tenant': req.tenant ? req.tenant.id : null });
+        if (!res.writableFinished) {
+            span.recordError(new Error('Client disconnected'));
+        } else if (res.statusCode >= 500) {
+            span.recordError(new Error(`HTTP ${res.statusCode}`));
+        }
+        span.end();
+    });
+    next();
+});
+
 // Middleware
-app.use(cors());
-app.use(express.json({ limit: '10mb' })); // Reasonable limit for production
+app.use(tenantAuth.cors());
+
+// Count requests in progress; refuse new ones once draining
+app.use(lifecycle.middleware());
+
+// Multipart uploads for POST /pdf: html and css may arrive as text fields or files, and
+// postprocess may name further files (PDFs to merge, watermark images); sizes are
+// checked per field by validatePdfInput
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fieldSize: MAX_HTML_SIZE,
+        fileSize: Math.max(MAX_HTML_SIZE, POSTPROCESS_MAX_UPLOAD_SIZE),
+        files: 2 + POSTPROCESS_MAX_UPLOADS,
+        fields: 10
+    }
+}).any();
 
-// Request timeout middleware
+// Request deadline: REQUEST_TIMEOUT, or sooner when the client sends X-Request-Timeout (ms).
+// req.signal aborts when the deadline passes or the client disconnects; renders carry it
+// through admission control into the pool, and the deadline into the worker.
 app.use((req, res, next) => {
-    req.setTimeout(REQUEST_TIMEOUT, () => {
-        log.warn(`Request timeout for ${req.method} ${req.path}`);
-        if (!res.headersSent) {
-            res.status(408).json({ 
-                error: 'Request timeout',
-                message: 'Request took too long to process'
-            });
+    let timeout = REQUEST_TIMEOUT;
+    const requested = req.get('X-Request-Timeout');
+    if (requested !== undefined) {
+        timeout = Number(requested);
+        if (!Number.isInteger(timeout) || timeout < 1 || timeout > REQUEST_TIMEOUT) {
+            return sendError(res, invalidInput([{
+                field: 'X-Request-Timeout',
+                message: `X-Request-Timeout must be a whole number of milliseconds between 1 and ${REQUEST_TIMEOUT}`
+            }], 'Request headers are invalid'));
+        }
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+        req.log.warn(`Request timeout for ${req.method} ${req.path}`);
+        controller.abort(new Error(`Request timed out after ${timeout}ms`));
+        sendError(res, new ApiError(408, 'REQUEST_TIMEOUT', 'Request took too long to process'));
+    }, timeout);
+    req.deadline = Date.now() + timeout;
+    req.signal = controller.signal;
+
+    // Streaming responses (batch archives) outlive the deadline; each of their renders gets its own
+    req.clearDeadline = () => {
+        clearTimeout(timer);
+        req.deadline = null;
+    };
+
+    res.on('close', () => {
+        clearTimeout(timer);
+        if (!res.writableFinished) {
+            controller.abort(new Error('Render cancelled: client disconnected'));
         }
     });
     next();
 });
 
-// Request logging middleware
+// Request logging middleware (the path only: query strings may carry template data)
 app.use((req, res, next) => {
     const start = Date.now();
     res.on('finish', () => {
         const duration = Date.now() - start;
-        log.info(`${req.method} ${req.path} - ${res.statusCode} - ${duration}ms`);
+        req.log.info(`${req.method} ${req.path} - ${res.statusCode} - ${duration}ms`, {
+            method: req.method,
+            path: req.path,
+            status: res.statusCode,
+            durationMs: duration,
+            tenant: req.tenant ? req.tenant.id : undefined
+        });
     });
     next();
 });
 
+// Prometheus counters for every response
+app.use(metrics.httpMetrics);
+
+// Authentication: credentials are read before the body is parsed, signatures
+// are checked against the body hash once it is
+app.use((req, res, next) => tenantAuth.identify(req, res, next));
+const captureBodyHash = (req, res, buffer) => tenantAuth.captureBodyHash(req, res, buffer);
+app.use(express.json({ limit: '10mb', verify: captureBodyHash })); // Reasonable limit for production
+app.use(express.text({ type: 'text/html', limit: MAX_HTML_SIZE, verify: captureBodyHash })); // PUT /templates/:name
+app.use('/assets', express.raw({ type: ASSET_UPLOAD_TYPES, limit: ASSET_MAX_SIZE, verify: captureBodyHash })); // PUT /assets/:kind/:name
+app.use((req, res, next) => tenantAuth.authorize(req, res, next));
+
+// Per-tenant daily quota and concurrent render cap for the render routes
+const checkQuota = (req, res, next) => tenantAuth.checkQuota(req, res, next);
+const renderSlot = (req, res, next) => tenantAuth.renderSlot(req, res, next);
+
+// Templates and assets are shared by all tenants; changing them takes a scope
+const canWriteTemplates = tenantAuth.requireScope('templates:write');
+const canWriteAssets = tenantAuth.requireScope('assets:write');
+
+/**
+ * Id of the authenticated tenant, null when authentication is disabled
+ */
+function tenantOf(req) {
+    return req.tenant ? req.tenant.id : null;
+}
+
 // Health check endpoint
 app.get('/health', (req, res) => {
     const stats = pool ? {
@@ -77,128 +367,1561 @@ app.get('/health', (req, res) => {
     } : null;
     
     res.json({
-        status: 'healthy',
+        status: !lifecycle.isReady() ? lifecycle.state : bridgeSupervisor.state === 'closed' ? 'healthy' : 'degraded',
         timestamp: new Date().toISOString(),
         uptime: process.uptime(),
         memory: process.memoryUsage(),
-        pool: stats
+        pool: stats,
+        admission: admission.stats(),
+        bridge: bridgeSupervisor.stats(),
+        jobs: jobRunner.stats(),
+        cache: renderCache ? renderCache.stats() : null
+    });
+});
+
+// Liveness: the process is up and its event loop answers, whatever its state
+app.get('/health/live', (req, res) => {
+    res.json({ status: 'alive', timestamp: new Date().toISOString() });
+});
+
+// Readiness: 503 before the server listens, once shutdown has begun and while the
+// bridge circuit is not closed, so orchestrators route around this instance
+app.get('/health/ready', (req, res) => {
+    const bridge = bridgeSupervisor.stats();
+    res.status(lifecycle.isReady() && bridge.state === 'closed' ? 200 : 503).json({
+        status: lifecycle.state,
+        bridge: bridge.state,
+        reason: bridge.reason,
+        timestamp: new Date().toISOString()
     });
 });
 
+// Prometheus scrape endpoint
+app.get('/metrics', async (req, res, next) => {
+    try {
+        res.setHeader('Content-Type', metrics.register.contentType);
+        res.end(await metrics.register.metrics());
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Render HTML/CSS through the worker pool.
+ * Resolves with { pdfBuffer, size, pageCount, blockedResources, diagnostics } where blockedResources
+ * lists the { url, reason } fetches the bridge refused under FETCH_POLICY and diagnostics is
+ * the bridge's { warnings, fonts, resources } report (see weasyprint_bridge_secure.py).
+ * template ("name@version", null for caller-supplied HTML) only labels metrics;
+ * the render is charged to tenant's daily quota when set.
+ * admissionOptions ({ lane, signal, deadline, onStream, trace }) go to runOnPool;
+ * with onStream the PDF is streamed to it and pdfBuffer is null.
+ */
+async function generatePDF({ html, css = null, options = {}, template = null, tenant = null }, admissionOptions = {}) {
+    const startTime = Date.now();
+    const task = {
+        html,
+        css,
+        options,
+        fetchPolicy: FETCH_POLICY,
+        fonts: assetStore.fontFaces(),
+        maxPdfBytes: MAX_PDF_BYTES,
+        stream: Boolean(admissionOptions.onStream)
+    };
+
+    let result;
+    try {
+        result = await runOnPool(task, admissionOptions);
+    } catch (error) {
+        metrics.observeRenderError({ template, seconds: (Date.now() - startTime) / 1000, error });
+        throw error;
+    }
+
+    // The worker transfers its ArrayBuffer; wrap it without copying
+    const { pdf, pageCount, blockedResources, timings } = result;
+    const diagnostics = result.diagnostics || { warnings: [], fonts: [], resources: [] };
+    const pdfBuffer = pdf ? Buffer.from(pdf.buffer, pdf.byteOffset, pdf.byteLength) : null;
+    const size = pdf ? pdfBuffer.length : result.size;
+    metrics.observeRender({ template, seconds: (Date.now() - startTime) / 1000, size, timings, blockedResources });
+    tenantAuth.recordUsage(tenant, pageCount, size);
+
+    const renderLog = admissionOptions.trace ? log.child({ requestId: admissionOptions.trace.requestId }) : log;
+    if (blockedResources.length > 0) {
+        // Audit trail for templates referencing resources outside the policy
+        renderLog.warn(`Blocked ${blockedResources.length} resource fetch(es)${template ? ` in template ${template}` : ''}: ${blockedResources.map(b => `${redactUrl(b.url)} (${b.reason})`).join(', ')}`);
+    }
+    if (diagnostics.warnings.length > 0) {
+        renderLog.warn(`${diagnostics.warnings.length} WeasyPrint warning(s)${template ? ` in template ${template}` : ''}, first: ${diagnostics.warnings[0].message}`);
+    }
+    return { pdfBuffer, size, pageCount, blockedResources, diagnostics };
+}
+
+/**
+ * Run a task on the pool through the bridge circuit breaker and admission control.
+ * trace ({ requestId, span }, optional) tags the task with the request's correlation ID
+ * and adds pdf.queue_wait, pdf.bridge_spawn and pdf.bridge_render spans under span; the
+ * bridge spans are placed from the worker's timings. Other options go to AdmissionController.run.
+ */
+async function runOnPool(task, { trace = null, ...admissionOptions } = {}) {
+    const parent = trace ? trace.span : null;
+    const attributes = { 'pdf.op': task.op || 'render', 'pdf.lane': admissionOptions.lane || 'interactive' };
+    const queueSpan = tracer.startSpan('pdf.queue_wait', { parent, attributes });
+    let startedAt = null;
+
+    // Post-processing never reaches a bridge, so the circuit breaker neither gates nor counts it
+    const runner = task.op === 'postprocess' ? admission : bridgeSupervisor;
+    let result;
+    try {
+        result = await runner.run({ ...task, correlationId: trace ? trace.requestId : null }, {
+            ...admissionOptions,
+            onStart: () => {
+                startedAt = Date.now();
+                queueSpan.end(startedAt);
+            }
+        });
+    } catch (error) {
+        const span = startedAt === null ? queueSpan : tracer.startSpan('pdf.bridge_render', { parent, startTime: startedAt, attributes });
+        span.recordError(error).end();
+        throw error;
+    }
+
+    const finishedAt = Date.now();
+    const { spawnMs, bridgeMs } = result.timings || {};
+    if (Number.isFinite(spawnMs)) {
+        tracer.startSpan('pdf.bridge_spawn', { parent, startTime: startedAt, attributes }).end(startedAt + spawnMs);
+    }
+    tracer.startSpan('pdf.bridge_render', {
+        parent,
+        startTime: Number.isFinite(bridgeMs) ? finishedAt - bridgeMs : startedAt,
+        attributes: { ...attributes, 'pdf.pages': result.pageCount }
+    }).end(finishedAt);
+    return result;
+}
+
+/**
+ * Report a render on the response: X-Page-Count (pages WeasyPrint laid out),
+ * X-Render-Warnings and X-Blocked-Resources (counts, sent when non-zero)
+ */
+function setRenderHeaders(res, { pageCount, blockedResources, diagnostics }) {
+    if (Number.isInteger(pageCount)) {
+        res.setHeader('X-Page-Count', pageCount);
+    }
+    if (diagnostics && diagnostics.warnings.length > 0) {
+        res.setHeader('X-Render-Warnings', diagnostics.warnings.length);
+    }
+    if (blockedResources.length > 0) {
+        res.setHeader('X-Blocked-Resources', blockedResources.length);
+    }
+}
+
+/**
+ * True when every resource the render fetched loaded (none blocked or failed)
+ */
+function fetchedEverything({ blockedResources, diagnostics }) {
+    return blockedResources.length === 0 && diagnostics.resources.every(resource => resource.status === 'loaded');
+}
+
+/**
+ * What setRenderHeaders reports about a render, in the form the render cache stores
+ * with the PDF so a hit sends the same headers
+ */
+function renderReport(rendered) {
+    return {
+        pageCount: rendered.pageCount,
+        blockedResources: rendered.blockedResources,
+        diagnostics: { warnings: rendered.diagnostics.warnings }
+    };
+}
+
+/**
+ * Render for an HTTP response in the interactive lane, reporting it in the
+ * response headers (see setRenderHeaders); resolves with { pdfBuffer, report, complete }
+ * where complete is false when a resource fetch was blocked or failed
+ */
+async function renderReportingDiagnostics(req, res, document) {
+    const rendered = await generatePDF(document, {
+        lane: 'interactive',
+        signal: req.signal,
+        deadline: req.deadline,
+        trace: req.trace
+    });
+    const report = renderReport(rendered);
+    setRenderHeaders(res, report);
+    return { pdfBuffer: rendered.pdfBuffer, report, complete: fetchedEverything(rendered) };
+}
+
+/**
+ * Resolve the documents a postprocess spec merges to the HTML they render, as
+ * { document, html, template } parts. The render cache keys on the resolved spec, so a
+ * merged template re-uploaded under the same name misses instead of serving the old PDF.
+ */
+async function resolvePostProcessParts(spec) {
+    const resolvedSpec = { ...spec };
+    for (const side of ['prepend', 'append']) {
+        resolvedSpec[side] = [];
+        for (const part of spec[side]) {
+            if (part.pdf) {
+                resolvedSpec[side].push(part);
+                continue;
+            }
+            const resolved = await resolveDocumentHtml(part.document);
+            if (resolved === null) {
+                throw new ApiError(400, 'TEMPLATE_NOT_FOUND', 'A template merged by postprocess does not exist');
+            }
+            resolvedSpec[side].push({ document: part.document, html: resolved.html, template: resolved.template });
+        }
+    }
+    return resolvedSpec;
+}
+
+/**
+ * Apply a document's postprocess spec (parts resolved by resolvePostProcessParts).
+ * Documents merged by it render in the interactive lane under the request's deadline
+ * and are charged to the same tenant; pdf-lib then runs as the pool's postprocess op,
+ * admitted and abortable like a render. Resolves with { pdfBuffer, complete }, complete
+ * being false when a merged document had a resource fetch blocked or failed.
+ */
+async function applyPostProcess(req, document, pdfBuffer) {
+    const spec = document.postprocess;
+    let complete = true;
+    const renderPart = async (part) => {
+        if (part.pdf) {
+            return part.pdf;
+        }
+        const rendered = await generatePDF({
+            html: part.html,
+            css: part.document.css,
+            options: part.document.options,
+            template: part.template,
+            tenant: document.tenant
+        }, { lane: 'interactive', signal: req.signal, deadline: req.deadline, trace: req.trace });
+        complete = complete && fetchedEverything(rendered);
+        return rendered.pdfBuffer;
+    };
+    const parts = { prepend: [], append: [] };
+    for (const side of ['prepend', 'append']) {
+        for (const part of spec[side]) {
+            parts[side].push(await renderPart(part));
+        }
+    }
+    // The parts travel separately, as PDFs
+    const { pdf, error } = await runOnPool({
+        op: 'postprocess',
+        pdf: pdfBuffer,
+        postprocess: { ...spec, prepend: [], append: [] },
+        parts
+    }, { lane: 'interactive', signal: req.signal, deadline: req.deadline, trace: req.trace });
+    if (error) {
+        throw new ApiError(error.status, error.code, error.message);
+    }
+    return { pdfBuffer: Buffer.from(pdf.buffer, pdf.byteOffset, pdf.byteLength), complete };
+}
+
+/**
+ * Encrypt and/or sign a finished PDF with the bridge's secure op (see pdf_security.js)
+ */
+async function securePDF(pdfBuffer, security, admissionOptions) {
+    const { pdf } = await runOnPool({ op: 'secure', pdf: pdfBuffer, security, maxPdfBytes: MAX_PDF_BYTES }, admissionOptions);
+    return Buffer.from(pdf.buffer, pdf.byteOffset, pdf.byteLength);
+}
+
+/**
+ * Rasterize a finished PDF with the bridge's rasterize op; resolves with one
+ * { page, width, height, size, data } per selected page
+ */
+async function rasterizePDF(pdfBuffer, raster, admissionOptions) {
+    const { images, imageData } = await runOnPool({ op: 'rasterize', pdf: pdfBuffer, raster, maxPdfBytes: MAX_PDF_BYTES }, admissionOptions);
+    const data = Buffer.from(imageData.buffer, imageData.byteOffset, imageData.byteLength);
+    let offset = 0;
+    return images.map(image => {
+        const bytes = data.subarray(offset, offset + image.size);
+        offset += image.size;
+        return { ...image, data: bytes };
+    });
+}
+
+/**
+ * Render for an HTTP response, then apply the document's postprocess and security specs;
+ * resolves like renderReportingDiagnostics
+ */
+async function renderFinalPdf(req, res, document) {
+    let { pdfBuffer, report, complete } = await renderReportingDiagnostics(req, res, document);
+    if (document.postprocess) {
+        const merged = await applyPostProcess(req, document, pdfBuffer);
+        pdfBuffer = merged.pdfBuffer;
+        complete = complete && merged.complete;
+    }
+    if (document.security) {
+        // Last, since any later change would invalidate the signature
+        pdfBuffer = await securePDF(pdfBuffer, document.security, { lane: 'interactive', signal: req.signal, deadline: req.deadline, trace: req.trace });
+    }
+    return { pdfBuffer, report, complete };
+}
+
+/**
+ * Stream a render into the response while the bridge writes it (chunked transfer
+ * encoding). Headers go out with the first chunk, so a render failing before that
+ * still gets an error response; the bridge is paused while the response drains.
+ */
+async function streamPDF(req, res, document, filename) {
+    const startTime = Date.now();
+    const { size } = await generatePDF(document, {
+        lane: 'interactive',
+        signal: req.signal,
+        deadline: req.deadline,
+        trace: req.trace,
+        onStream: (message, flow) => {
+            if (message.start) {
+                res.setHeader('Content-Type', 'application/pdf');
+                res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+                setRenderHeaders(res, message.start);
+                return;
+            }
+            const { chunk } = message;
+            if (!res.write(Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength))) {
+                flow.pause();
+                res.once('drain', flow.resume);
+            }
+        }
+    });
+    res.end();
+    req.log.info(`PDF streamed in ${Date.now() - startTime}ms, size: ${size} bytes, filename: ${filename}`);
+}
+
+/**
+ * True when an If-None-Match header lists the given ETag (or *)
+ */
+function etagMatches(req, etag) {
+    const header = req.get('If-None-Match');
+    if (!header) {
+        return false;
+    }
+    return header.split(',').some(tag => {
+        const candidate = tag.trim().replace(/^W\//, '');
+        return candidate === '*' || candidate === etag;
+    });
+}
+
+/**
+ * Render a document for GET/POST /pdf, going through the render cache when enabled.
+ * Sets ETag and X-Cache headers; resolves with null once the response has been sent
+ * (a 304, or a streamed PDF).
+ * Request Cache-Control: no-cache skips the lookup, no-store also skips storing.
+ * A hit repeats the render headers stored with the PDF. Renders that had a resource
+ * fetch blocked or failed are not stored, so a fixed or reachable resource shows up.
+ * With stream, a render is streamed (cache hits, Range requests and post-processed
+ * documents are still sent whole) and not stored in the cache.
+ * Encrypted and signed documents are never cached or streamed.
+ */
+async function renderForResponse(req, res, document, { filename, stream }) {
+    stream = stream && !req.get('Range') && !document.postprocess && !document.security;
+    if (!renderCache || document.security) {
+        if (stream) {
+            await streamPDF(req, res, document, filename);
+            return null;
+        }
+        return (await renderFinalPdf(req, res, document)).pdfBuffer;
+    }
+
+    const key = renderCache.keyFor({
+        ...document,
+        postprocess: document.postprocess ? postProcessKey(document.postprocess) : null,
+        assets: assetStore.revision()
+    });
+    const etag = `"${key}"`;
+    res.setHeader('ETag', etag);
+    if (etagMatches(req, etag)) {
+        res.status(304).end();
+        return null;
+    }
+
+    const cacheControl = (req.get('Cache-Control') || '').toLowerCase();
+    const noStore = cacheControl.includes('no-store');
+    const noCache = noStore || cacheControl.includes('no-cache') || /max-age=0\b/.test(cacheControl);
+
+    if (noCache) {
+        renderCache.recordBypass();
+    } else {
+        const cached = await renderCache.get(key);
+        if (cached) {
+            res.setHeader('X-Cache', `HIT-${cached.tier}`);
+            setRenderHeaders(res, cached.meta);
+            return cached.pdf;
+        }
+    }
+
+    if (stream) {
+        res.setHeader('X-Cache', noCache ? 'BYPASS' : 'MISS');
+        await streamPDF(req, res, document, filename);
+        return null;
+    }
+
+    const { pdfBuffer, report, complete } = await renderFinalPdf(req, res, document);
+    if (!noStore && complete) {
+        await renderCache.set(key, pdfBuffer, report);
+    }
+    res.setHeader('X-Cache', noCache ? 'BYPASS' : 'MISS');
+    return pdfBuffer;
+}
+
+/**
+ * The single byte range requested by Range (null to send the whole PDF, -1 when it
+ * lies outside the document). Multiple ranges, malformed headers and an If-Range
+ * that does not match the ETag get the whole PDF.
+ */
+function requestedRange(req, res, size) {
+    if (!req.get('Range')) {
+        return null;
+    }
+    const ifRange = req.get('If-Range');
+    if (ifRange && ifRange !== res.getHeader('ETag')) {
+        return null;
+    }
+
+    const ranges = req.range(size, { combine: true });
+    if (ranges === -1) {
+        return -1;
+    }
+    if (!Array.isArray(ranges) || ranges.type !== 'bytes' || ranges.length !== 1) {
+        return null;
+    }
+    return ranges[0];
+}
+
+/**
+ * Write a rendered PDF to the response with download headers; a single byte
+ * range (Range: bytes=start-end) is answered with 206 Partial Content
+ */
+function sendPDF(req, res, pdfBuffer, filename, processingTime) {
+    const range = requestedRange(req, res, pdfBuffer.length);
+    if (range === -1) {
+        res.setHeader('Content-Range', `bytes */${pdfBuffer.length}`);
+        return sendError(res, new ApiError(416, 'RANGE_NOT_SATISFIABLE', 'Requested range lies outside the document'));
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('X-Processing-Time', processingTime);
+
+    if (range) {
+        res.status(206);
+        res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${pdfBuffer.length}`);
+        res.setHeader('Content-Length', range.end - range.start + 1);
+        return res.end(pdfBuffer.subarray(range.start, range.end + 1));
+    }
+
+    res.setHeader('Content-Length', pdfBuffer.length);
+    res.send(pdfBuffer);
+}
+
+const IMAGE_TYPES = { png: 'image/png', jpeg: 'image/jpeg' };
+
+// ?format, ?dpi, ?pages, ?thumbnail, ?width and ?debug of GET/POST /pdf (see negotiateOutput)
+const outputQuery = {
+    format: rules.outputFormat,
+    dpi: integerBetween(36, 600),
+    pages: rules.pageRanges,
+    thumbnail: rules.flag,
+    width: integerBetween(16, 2048),
+    debug: rules.flag
+};
+
+/**
+ * True when the Accept header names mediaType itself (wildcards do not count)
+ */
+function acceptsExplicitly(req, mediaType) {
+    return (req.get('Accept') || '').split(',').some(part => part.split(';')[0].trim().toLowerCase() === mediaType);
+}
+
+/**
+ * Pick the response format of GET/POST /pdf: ?format wins, otherwise the Accept
+ * header chooses between application/pdf, image/png and image/jpeg (PDF when it
+ * names none of them). Images come back as { format, raster, container }, where
+ * container is 'multipart' or 'zip' when Accept names multipart/mixed or
+ * application/zip, and null to send a single page as the image itself (several
+ * pages still go out as a ZIP). ?thumbnail renders the first page THUMBNAIL_WIDTH
+ * pixels wide. Throws INVALID_INPUT for image parameters on PDF output, and for
+ * ?debug on image output.
+ */
+function negotiateOutput(req, res) {
+    const { format: requested, dpi, pages, thumbnail, width } = req.valid;
+    const container = acceptsExplicitly(req, 'multipart/mixed') ? 'multipart'
+        : acceptsExplicitly(req, 'application/zip') ? 'zip' : null;
+
+    let format = requested;
+    if (format === null) {
+        res.vary('Accept');
+        const type = req.accepts(['application/pdf', 'image/png', 'image/jpeg']);
+        format = type === 'image/png' ? 'png' : type === 'image/jpeg' ? 'jpeg' : 'pdf';
+        if (format === 'pdf' && (thumbnail || (type === false && container !== null))) {
+            format = 'png';
+        }
+    }
+
+    if (format === 'pdf') {
+        const imageOnly = ['dpi', 'pages', 'thumbnail', 'width'].filter(name => req.valid[name]);
+        if (imageOnly.length > 0) {
+            throw invalidInput(imageOnly.map(field => ({ field, message: `${field} only applies to png and jpeg output` })),
+                'Request parameters are invalid');
+        }
+        return { format };
+    }
+    if (thumbnail && pages !== null) {
+        throw invalidInput([{ field: 'pages', message: 'pages cannot be combined with thumbnail' }], 'Request parameters are invalid');
+    }
+    if (req.valid.debug) {
+        throw invalidInput([{ field: 'debug', message: 'debug only applies to pdf output' }], 'Request parameters are invalid');
+    }
+
+    return {
+        format,
+        container,
+        raster: {
+            format,
+            dpi: dpi || RASTER_DPI,
+            pages: thumbnail ? [{ from: 1, to: 1 }] : pages,
+            width: width || (thumbnail ? THUMBNAIL_WIDTH : null),
+            max_pixels: RASTER_MAX_PIXELS
+        }
+    };
+}
+
+/**
+ * Write page images to the response: one image as itself, several (or any number
+ * when Accept asked for a container) as a ZIP archive or a multipart/mixed body
+ * with one part per page, named <filename>-page-<n>.<png|jpg>
+ */
+function sendImages(res, images, { format, container }, filename, processingTime) {
+    if (images.length === 0) {
+        return sendError(res, invalidInput([{ field: 'pages', message: 'pages selects no page of the document' }],
+            'Request parameters are invalid'));
+    }
+
+    const base = filename.replace(/\.pdf$/, '');
+    const name = image => `${base}-page-${image.page}.${format === 'jpeg' ? 'jpg' : 'png'}`;
+    res.setHeader('X-Processing-Time', processingTime);
+
+    if (images.length === 1 && container === null) {
+        res.setHeader('Content-Type', IMAGE_TYPES[format]);
+        res.setHeader('Content-Disposition', `inline; filename="${name(images[0])}"`);
+        res.setHeader('Content-Length', images[0].data.length);
+        return res.send(images[0].data);
+    }
+
+    if (container === 'multipart') {
+        const boundary = crypto.randomBytes(16).toString('hex');
+        const parts = images.flatMap(image => [
+            Buffer.from(`--${boundary}\r\nContent-Type: ${IMAGE_TYPES[format]}\r\n` +
+                `Content-Disposition: attachment; filename="${name(image)}"\r\n` +
+                `Content-Length: ${image.data.length}\r\n\r\n`),
+            image.data,
+            Buffer.from('\r\n')
+        ]);
+        const body = Buffer.concat([...parts, Buffer.from(`--${boundary}--\r\n`)]);
+        res.setHeader('Content-Type', `multipart/mixed; boundary=${boundary}`);
+        res.setHeader('Content-Length', body.length);
+        return res.send(body);
+    }
+
+    const archive = archiver('zip', { store: true }); // PNG and JPEG are already compressed
+    archive.on('warning', (error) => res.req.log.warn('Image archive warning:', error.message));
+    archive.on('error', (error) => {
+        res.req.log.error('Image archive failed:', error.message);
+        res.destroy(error);
+    });
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${base}.zip"`);
+    archive.pipe(res);
+    for (const image of images) {
+        archive.append(image.data, { name: name(image) });
+    }
+    archive.finalize();
+}
+
+/**
+ * Render a document and answer with page images instead of the PDF. The render
+ * cache holds PDFs only, so image responses always render.
+ */
+async function sendPageImages(req, res, document, output, filename, startTime) {
+    const { pdfBuffer } = await renderFinalPdf(req, res, document);
+    const images = await rasterizePDF(pdfBuffer, output.raster, { lane: 'interactive', signal: req.signal, deadline: req.deadline, trace: req.trace });
+    const processingTime = Date.now() - startTime;
+    req.log.info(`${images.length} ${output.format} page image(s) generated in ${processingTime}ms, filename: ${filename}`);
+    sendImages(res, images, output, filename, processingTime);
+}
+
+/**
+ * Answer ?debug=1 with a JSON diagnostics report instead of the PDF. The document is
+ * rendered as is: the render cache, streaming, postprocess and security are skipped.
+ */
+async function sendDiagnostics(req, res, document, startTime) {
+    const { size, pageCount, blockedResources, diagnostics } = await generatePDF(document, {
+        lane: 'interactive',
+        signal: req.signal,
+        deadline: req.deadline,
+        trace: req.trace
+    });
+    const processingTime = Date.now() - startTime;
+    req.log.info(`Diagnostics report generated in ${processingTime}ms, ${diagnostics.warnings.length} warning(s)`);
+
+    setRenderHeaders(res, { pageCount, blockedResources, diagnostics });
+    res.setHeader('X-Processing-Time', processingTime);
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({
+        template: document.template,
+        pageCount,
+        size,
+        processingTime,
+        warnings: diagnostics.warnings,
+        fonts: diagnostics.fonts,
+        resources: diagnostics.resources,
+        blockedResources
+    });
+}
+
+/**
+ * Respond once a render has failed: 504 RENDER_TIMEOUT, 503 QUEUE_FULL or a generic 500
+ */
+function sendRenderFailure(res, error, startTime) {
+    const processingTime = Date.now() - startTime;
+    if (classifyRenderError(error) === 'cancelled') {
+        res.req.log.warn(`Client disconnected after ${processingTime}ms, render cancelled`);
+        return;
+    }
+    if (!(error instanceof ApiError)) {
+        res.req.log.error(`PDF generation failed after ${processingTime}ms:`, error.message);
+    }
+    if (res.headersSent) {
+        // Part of a streamed PDF went out; cut the response so it cannot pass for complete
+        res.destroy();
+        return;
+    }
+
+    // Don't expose internal errors in production
+    sendError(res, renderFailure(error));
+}
+
+/**
+ * Turn a caller-supplied filename into a safe attachment name ending in .pdf
+ */
+function sanitizeFilename(filename) {
+    const base = path.basename(String(filename)).replace(/\.pdf$/i, '');
+    const cleaned = base.replace(/[^A-Za-z0-9._-]+/g, '_').replace(/^[._]+/, '').slice(0, 100);
+    return `${cleaned || 'document'}.pdf`;
+}
+
+/**
+ * Resolve "name" or "name@version" from the template store, or null when it does not exist
+ */
+async function loadTemplate(templateRef) {
+    const ref = parseTemplateRef(templateRef);
+    if (!ref) {
+        return null;
+    }
+
+    try {
+        return await templateStore.read(ref.name, ref.version);
+    } catch (error) {
+        if (error instanceof TemplateNotFoundError) {
+            log.error('Template not found:', error.message);
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Respond with a 400 listing the templates that do exist; the requested name is not echoed
+ */
+async function sendTemplateNotFound(res) {
+    const templates = await templateStore.list();
+    sendError(res, new ApiError(400, 'TEMPLATE_NOT_FOUND', 'The requested template does not exist', {
+        details: [{ field: 'template', message: 'template does not exist' }],
+        availableTemplates: templates.map(t => t.name)
+    }));
+}
+
+/**
+ * ApiError for template data or compile problems, or null for other errors
+ */
+function templateApiError(error) {
+    if (error instanceof TemplateDataError) {
+        return invalidInput([{ field: `data.${error.field}`, message: error.message }], error.message);
+    }
+    if (error instanceof TemplateSyntaxError) {
+        log.error(error.message);
+        return new ApiError(500, 'TEMPLATE_ERROR', 'Template could not be compiled');
+    }
+    return null;
+}
+
+/**
+ * Respond for template data or compile problems; returns false for other errors
+ */
+function sendTemplateError(res, error) {
+    const apiError = templateApiError(error);
+    if (apiError) {
+        sendError(res, apiError);
+    }
+    return apiError !== null;
+}
+
+/**
+ * Collect html or template, css, data, filename, options, header, footer, cover and
+ * (when allowed) postprocess and security from a JSON or multipart body.
+ * Returns { input, errors, status } where errors is a list of { field, message }
+ * and status is the HTTP status to reject with when errors is non-empty.
+ */
+function parsePdfRequestBody(req, { postProcess, security }) {
+    // multer's any() lists files; group them by field name
+    const files = {};
+    for (const file of req.files || []) {
+        (files[file.fieldname] = files[file.fieldname] || []).push(file);
+    }
+    return validatePdfInput(req.body || {}, files, { postProcess, security, tenant: tenantOf(req) });
+}
+
+/**
+ * Validate one document description (a request body, a batch item or a document
+ * merged by postprocess). field prefixes error fields of nested documents; tenant
+ * decides which signing keys security may use.
+ */
+function validatePdfInput(body, files = {}, { postProcess = false, security: allowSecurity = false, tenant = null, field = null } = {}) {
+    const errors = [];
+    let status = 400;
+    const at = name => (field ? `${field}.${name}` : name);
+
+    // Uploaded files take precedence over text fields of the same name
+    const html = files.html ? files.html[0].buffer.toString('utf8') : body.html;
+    const css = files.css ? files.css[0].buffer.toString('utf8') : body.css;
+    const template = body.template;
+
+    if (template !== undefined) {
+        const templateCheck = rules.templateRef(template);
+        if (templateCheck.error) {
+            errors.push({ field: at('template'), message: `template ${templateCheck.error}` });
+        }
+        if (html !== undefined) {
+            errors.push({ field: at('html'), message: 'html cannot be combined with template' });
+        }
+    } else if (typeof html !== 'string' || html.trim() === '') {
+        errors.push({ field: at('html'), message: 'html is required and must be a non-empty string' });
+    } else if (Buffer.byteLength(html, 'utf8') > MAX_HTML_SIZE) {
+        status = 413;
+        errors.push({ field: at('html'), message: `html exceeds the maximum size of ${MAX_HTML_SIZE} bytes` });
+    }
+
+    if (css !== undefined && css !== null && typeof css !== 'string') {
+        errors.push({ field: at('css'), message: 'css must be a string' });
+    } else if (typeof css === 'string' && Buffer.byteLength(css, 'utf8') > MAX_CSS_SIZE) {
+        status = 413;
+        errors.push({ field: at('css'), message: `css exceeds the maximum size of ${MAX_CSS_SIZE} bytes` });
+    }
+
+    if (body.filename !== undefined && (typeof body.filename !== 'string' || body.filename.trim() === '')) {
+        errors.push({ field: at('filename'), message: 'filename must be a non-empty string' });
+    }
+
+    // Multipart sends options and data as JSON strings
+    const rawOptions = parseObjectField(body.options, at('options'), errors);
+    const { options, errors: optionErrors } = validateRenderOptions(rawOptions, at('options'));
+    errors.push(...optionErrors);
+    const data = body.data === undefined ? undefined : parseObjectField(body.data, at('data'), errors);
+    const { furniture, errors: furnitureErrors } = validateFurniture(body, { at, maxHtmlSize: MAX_HTML_SIZE });
+    errors.push(...furnitureErrors);
+
+    let postprocess = null;
+    const usedFiles = new Set(['html', 'css']);
+    if (body.postprocess !== undefined && !postProcess) {
+        errors.push({ field: at('postprocess'), message: 'postprocess is only supported by POST /pdf' });
+    } else if (body.postprocess !== undefined) {
+        const rawSpec = parseObjectField(body.postprocess, 'postprocess', errors);
+        const result = validatePostProcess(rawSpec, {
+            files,
+            validateDocument: (part, partField) => validatePdfInput(part, {}, { field: partField })
+        });
+        errors.push(...result.errors);
+        result.uploads.forEach(name => usedFiles.add(name));
+        postprocess = result.spec;
+    }
+    let security = null;
+    if (body.security !== undefined && !allowSecurity) {
+        errors.push({ field: at('security'), message: 'security is only supported by POST /pdf' });
+    } else if (body.security !== undefined) {
+        const rawSecurity = parseObjectField(body.security, 'security', errors);
+        const result = validateSecurity(rawSecurity, { keystore, tenant });
+        errors.push(...result.errors);
+        security = result.security;
+    }
+
+    for (const name of Object.keys(files)) {
+        if (!usedFiles.has(name)) {
+            errors.push({ field: name, message: `file ${name} is not used by the request` });
+        }
+    }
+
+    return {
+        errors,
+        status,
+        input: {
+            html,
+            template,
+            data,
+            css: css || null,
+            options,
+            furniture,
+            postprocess,
+            security,
+            filename: sanitizeFilename(body.filename || template || 'document')
+        }
+    };
+}
+
+// ?stream=true|false, defaulting to STREAM_RESPONSES
+const streamFlag = withDefault(rules.flag, String(STREAM_RESPONSES));
+
 // Main PDF generation endpoint
-app.get('/pdf', async (req, res) => {
+// Template data and render options: ?data=<json> or ?data[field]=value, same for options;
+// ?header, ?footer and ?cover name templates composed in as page furniture
+app.get('/pdf', validateRequest({
+    query: {
+        template: withDefault(rules.templateRef, 'template'),
+        data: rules.jsonObject,
+        options: rules.renderOptions,
+        header: optional(rules.templateRef),
+        footer: optional(rules.templateRef),
+        cover: optional(rules.templateRef),
+        stream: streamFlag,
+        ...outputQuery
+    }
+}), checkQuota, renderSlot, async (req, res) => {
     const startTime = Date.now();
     
     try {
-        // Get template name from query parameter
-        const templateName = req.query.template || 'template'; // Default to 'template'
-        const templatePath = path.join(__dirname, `${templateName}.html`);
+        const { template: templateName, data, options, stream } = req.valid;
+        const output = negotiateOutput(req, res);
         
         // Check if template exists
-        if (!fs.existsSync(templatePath)) {
-            log.error('Template file not found:', templatePath);
-            return res.status(400).json({
-                error: 'Template not found',
-                message: `Template '${templateName}.html' does not exist`,
-                availableTemplates: ['template', 'simple_template']
-            });
+        const template = await loadTemplate(templateName);
+        if (template === null) {
+            return await sendTemplateNotFound(res);
         }
         
-        // Read template content
-        const htmlContent = fs.readFileSync(templatePath, 'utf8');
-        log.info(`Using template: ${templateName}.html (${htmlContent.length} chars)`);
+        // Merge request data into the template, then add the page furniture
+        const furnitureRefs = FURNITURE_PARTS.filter(part => req.valid[part] !== null);
+        const furniture = furnitureRefs.length > 0
+            ? Object.fromEntries(furnitureRefs.map(part => [part, { template: req.valid[part] }]))
+            : null;
+        const htmlContent = await applyFurniture(renderTemplate(template.html, data), furniture, data);
+        req.log.info(`Using template: ${template.name}@${template.version} (${htmlContent.length} chars)`);
         
         // Generate PDF using worker pool
-        log.info('Generating PDF...');
-        const pdfResult = await pool.run({
+        req.log.info('Generating PDF...');
+        const document = {
             html: htmlContent,
-            css: null,
-            options: {}
-        });
+            options,
+            template: `${template.name}@${template.version}`,
+            tenant: tenantOf(req)
+        };
+        if (output.format !== 'pdf') {
+            return await sendPageImages(req, res, document, output, 'document.pdf', startTime);
+        }
+        if (req.valid.debug) {
+            return await sendDiagnostics(req, res, document, startTime);
+        }
+        const pdfBuffer = await renderForResponse(req, res, document, { filename: 'document.pdf', stream });
+        if (pdfBuffer === null) {
+            return;
+        }
+
+        const processingTime = Date.now() - startTime;
+        req.log.info(`PDF generated successfully in ${processingTime}ms, size: ${pdfBuffer.length} bytes, template: ${template.name}@${template.version}`);
+
+        sendPDF(req, res, pdfBuffer, 'document.pdf', processingTime);
+
+    } catch (error) {
+        if (!sendTemplateError(res, error)) {
+            sendRenderFailure(res, error, startTime);
+        }
+    }
+});
+
+/**
+ * Middleware shared by POST /pdf and POST /jobs: content type check, multipart
+ * parsing and body validation; the validated body is left on req.pdfInput.
+ * postProcess and security accept those specs (POST /pdf only).
+ */
+const pdfBodyParser = ({ postProcess = false, security = false } = {}) => [(req, res, next) => {
+    if (!req.is(['application/json', 'multipart/form-data'])) {
+        return sendError(res, new ApiError(415, 'UNSUPPORTED_MEDIA_TYPE', 'Request body must be application/json or multipart/form-data'));
+    }
+    next();
+}, (req, res, next) => {
+    // JSON bodies were already parsed by express.json(); multer skips them
+    upload(req, res, (error) => {
+        if (error instanceof multer.MulterError) {
+            const tooLarge = error.code === 'LIMIT_FILE_SIZE' || error.code === 'LIMIT_FIELD_VALUE';
+            const details = [{ field: error.field || null, message: error.message }];
+            return sendError(res, tooLarge
+                ? new ApiError(413, 'PAYLOAD_TOO_LARGE', error.message, { details })
+                : invalidInput(details, 'Multipart body is invalid'));
+        }
+        next(error);
+    });
+}, (req, res, next) => {
+    const { input, errors, status } = parsePdfRequestBody(req, { postProcess, security });
+    if (errors.length > 0) {
+        return sendError(res, status === 413
+            ? new ApiError(413, 'PAYLOAD_TOO_LARGE', 'Request body is too large', { details: errors })
+            : invalidInput(errors, 'Request body is invalid'));
+    }
+    req.pdfInput = input;
+    next();
+}];
+
+/**
+ * Compose a document's header, footer and cover (see page_furniture.js) into its
+ * HTML. Parts without data of their own get the document's; a part naming a
+ * template that does not exist throws TEMPLATE_NOT_FOUND.
+ */
+async function applyFurniture(html, furniture, data) {
+    if (!furniture) {
+        return html;
+    }
+
+    const variables = furnitureVariables(rawHtml);
+    const parts = {};
+    for (const part of FURNITURE_PARTS.filter(name => furniture[name])) {
+        const spec = furniture[part];
+        let source = spec.html;
+        if (spec.template !== undefined) {
+            const template = await loadTemplate(spec.template);
+            if (template === null) {
+                throw new ApiError(400, 'TEMPLATE_NOT_FOUND', 'The requested template does not exist', {
+                    details: [{ field: `${part}.template`, message: 'template does not exist' }]
+                });
+            }
+            source = template.html;
+        }
+        parts[part] = renderTemplate(source, { ...(spec.data || data || {}), ...variables });
+    }
+    return composeDocument(html, parts);
+}
 
-        // Convert result back to Buffer if it was serialized
-        const pdfBuffer = Buffer.isBuffer(pdfResult) ? pdfResult : Buffer.from(Object.values(pdfResult));
+/**
+ * Produce the final HTML for a validated body: merge data into the named template
+ * or the supplied HTML, then compose its page furniture. Resolves with { html, template }
+ * where template is "name@version" (null for caller-supplied HTML), or null when the
+ * named template does not exist.
+ */
+async function resolveDocumentHtml(input) {
+    if (input.template !== undefined) {
+        const template = await loadTemplate(input.template);
+        if (template === null) {
+            return null;
+        }
+        return {
+            html: await applyFurniture(renderTemplate(template.html, input.data), input.furniture, input.data),
+            template: `${template.name}@${template.version}`
+        };
+    }
+
+    // Caller-supplied HTML is only treated as a template when data is sent
+    const html = input.data !== undefined ? renderTemplate(input.html, input.data) : input.html;
+    return {
+        html: await applyFurniture(html, input.furniture, input.data),
+        template: null
+    };
+}
+
+// PDF generation from caller-supplied HTML and CSS
+app.post('/pdf', validateRequest({ query: { stream: streamFlag, ...outputQuery } }), pdfBodyParser({ postProcess: true, security: true }), checkQuota, renderSlot, async (req, res) => {
+    const startTime = Date.now();
+    const input = req.pdfInput;
+
+    try {
+        const output = negotiateOutput(req, res);
+        if (output.format !== 'pdf' && input.security) {
+            throw invalidInput([{ field: 'security', message: 'security only applies to pdf output' }]);
+        }
+
+        const resolved = await resolveDocumentHtml(input);
+        if (resolved === null) {
+            return await sendTemplateNotFound(res);
+        }
+
+        const { html, template } = resolved;
+        req.log.info(`Rendering ${template ? `template ${template}` : 'caller-supplied HTML'} (${html.length} chars, css: ${input.css ? input.css.length : 0} chars)`);
+        const document = { html, css: input.css, options: input.options, template, tenant: tenantOf(req),
+            postprocess: input.postprocess ? await resolvePostProcessParts(input.postprocess) : null, security: input.security };
+        if (output.format !== 'pdf') {
+            return await sendPageImages(req, res, document, output, input.filename, startTime);
+        }
+        if (req.valid.debug) {
+            return await sendDiagnostics(req, res, document, startTime);
+        }
+        const pdfBuffer = await renderForResponse(req, res, document, { filename: input.filename, stream: req.valid.stream });
+        if (pdfBuffer === null) {
+            return;
+        }
 
         const processingTime = Date.now() - startTime;
-        log.info(`PDF generated successfully in ${processingTime}ms, size: ${pdfBuffer.length} bytes, template: ${templateName}`);
+        req.log.info(`PDF generated successfully in ${processingTime}ms, size: ${pdfBuffer.length} bytes, filename: ${input.filename}`);
+
+        sendPDF(req, res, pdfBuffer, input.filename, processingTime);
 
-        // Set response headers
-        res.setHeader('Content-Type', 'application/pdf');
-        res.setHeader('Content-Disposition', 'attachment; filename="document.pdf"');
-        res.setHeader('Content-Length', pdfBuffer.length);
-        res.setHeader('X-Processing-Time', processingTime);
+    } catch (error) {
+        if (!sendTemplateError(res, error)) {
+            sendRenderFailure(res, error, startTime);
+        }
+    }
+});
 
-        // Send PDF
-        res.send(pdfBuffer);
+/**
+ * Render one batch item in the batch lane for the given tenant (null without
+ * authentication), waiting for one of the tenant's render slots; signal aborts the
+ * render when the client disconnects, trace is the batch request's. Throws an ApiError
+ * with a client-safe message on failure
+ */
+async function renderBatchItem({ input, errors }, { tenant, signal, trace }) {
+    if (errors.length > 0) {
+        throw invalidInput(errors, 'Item is invalid');
+    }
 
+    let resolved;
+    try {
+        resolved = await resolveDocumentHtml(input);
     } catch (error) {
-        const processingTime = Date.now() - startTime;
-        log.error(`PDF generation failed after ${processingTime}ms:`, error.message);
+        throw templateApiError(error) || (error instanceof ApiError ? error : new ApiError(500, 'TEMPLATE_ERROR', 'Template could not be compiled'));
+    }
+    if (resolved === null) {
+        throw new ApiError(400, 'TEMPLATE_NOT_FOUND', 'The requested template does not exist');
+    }
 
+    const release = await tenantAuth.acquireRender(tenant, { signal });
+    try {
+        const { pdfBuffer } = await generatePDF({
+            html: resolved.html,
+            css: input.css,
+            options: input.options,
+            template: resolved.template,
+            tenant: tenant && tenant.id
+        }, { lane: 'batch', signal, trace });
+        return pdfBuffer;
+    } catch (error) {
         // Don't expose internal errors in production
-        if (!res.headersSent) {
-            res.status(500).json({
-                error: 'PDF generation failed',
-                message: 'Unable to generate PDF document',
-                timestamp: new Date().toISOString()
+        log.error(`Batch item ${input.filename} failed:`, { requestId: trace.requestId }, error.message);
+        throw renderFailure(error);
+    } finally {
+        release();
+    }
+}
+
+// Bytes per read when a PDF is streamed into a batch archive
+const ARCHIVE_CHUNK_BYTES = 64 * 1024;
+
+function* chunksOf(buffer, size) {
+    for (let offset = 0; offset < buffer.length; offset += size) {
+        yield buffer.subarray(offset, offset + size);
+    }
+}
+
+/**
+ * Add a PDF to a batch archive and resolve once the archive has taken all of it.
+ * The PDF goes in as a stream of chunks, so a client reading slowly holds the
+ * render lanes back instead of finished PDFs piling up in memory. Rejects with the
+ * signal's reason when the client goes away first.
+ */
+function appendToArchive(archive, pdf, name, signal) {
+    if (signal.aborted) {
+        return Promise.reject(signal.reason);
+    }
+    return new Promise((resolve, reject) => {
+        const settle = (callback, value) => {
+            archive.off('entry', onEntry);
+            archive.off('error', onError);
+            signal.removeEventListener('abort', onAbort);
+            callback(value);
+        };
+        const onEntry = entry => entry.name === name && settle(resolve);
+        const onError = error => settle(reject, error);
+        const onAbort = () => settle(reject, signal.reason);
+        archive.on('entry', onEntry);
+        archive.on('error', onError);
+        signal.addEventListener('abort', onAbort, { once: true });
+        archive.append(Readable.from(chunksOf(pdf, ARCHIVE_CHUNK_BYTES)), { name });
+    });
+}
+
+// Render many documents in one request, returned as a ZIP archive or one merged PDF
+app.post('/pdf/batch', checkQuota, async (req, res, next) => {
+    const startTime = Date.now();
+
+    if (!req.is('application/json')) {
+        return sendError(res, new ApiError(415, 'UNSUPPORTED_MEDIA_TYPE', 'Request body must be application/json'));
+    }
+
+    const { items } = req.body || {};
+    // format wins over the Accept header; ZIP is the default
+    const format = (req.body || {}).format || (req.accepts(['application/zip', 'application/pdf']) === 'application/pdf' ? 'merged' : 'zip');
+    const errors = [];
+    if (!Array.isArray(items) || items.length === 0) {
+        errors.push({ field: 'items', message: 'items must be a non-empty array' });
+    } else if (items.length > BATCH_MAX_ITEMS) {
+        errors.push({ field: 'items', message: `items may contain at most ${BATCH_MAX_ITEMS} documents` });
+    }
+    if (format !== 'zip' && format !== 'merged') {
+        errors.push({ field: 'format', message: "format must be 'zip' or 'merged'" });
+    }
+    if (errors.length > 0) {
+        return sendError(res, invalidInput(errors, 'Request body is invalid'));
+    }
+
+    const cancelled = () => req.signal.aborted;
+    try {
+        // Invalid items are reported per item instead of failing the batch
+        const prepared = items.map((item, index) => {
+            const isObject = item !== null && typeof item === 'object' && !Array.isArray(item);
+            const result = validatePdfInput({ filename: `document-${index + 1}`, ...(isObject ? item : {}) });
+            if (!isObject) {
+                result.errors = [{ field: `items[${index}]`, message: 'item must be an object' }];
+            }
+            return result;
+        });
+        const filenames = uniqueFilenames(prepared.map(item => item.input.filename));
+        const batchName = sanitizeFilename((req.body || {}).filename || 'batch').replace(/\.pdf$/, '');
+
+        req.clearDeadline();
+        // Every item in flight, and each archive append waiting on the client, listens on the request signal
+        setMaxListeners(BATCH_CONCURRENCY * 10, req.signal);
+        const renderItem = item => renderBatchItem(item, { tenant: req.tenant || null, signal: req.signal, trace: req.trace });
+
+        const report = (results) => {
+            const itemReports = results.map(result => ({
+                index: result.index,
+                filename: filenames[result.index],
+                success: result.success,
+                ...(result.success ? { size: result.pdf.length } : { code: result.code, error: result.error, details: result.details })
+            }));
+            const succeeded = itemReports.filter(item => item.success).length;
+            return { total: results.length, succeeded, failed: results.length - succeeded, items: itemReports };
+        };
+
+        req.log.info(`Batch of ${items.length} documents started (format: ${format})`);
+
+        if (format === 'zip') {
+            // Stream each PDF into the archive as soon as it is rendered
+            const archive = archiver('zip', { store: true }); // PDFs are already compressed
+            archive.on('warning', (error) => req.log.warn('Batch archive warning:', error.message));
+            archive.on('error', (error) => {
+                if (!cancelled()) {
+                    req.log.error('Batch archive failed:', error.message);
+                }
+                res.destroy(error);
             });
+            // Nobody reads the rest: stop writing and let go of what is queued
+            const abortArchive = () => archive.abort();
+            req.signal.addEventListener('abort', abortArchive, { once: true });
+
+            res.setHeader('Content-Type', 'application/zip');
+            res.setHeader('Content-Disposition', `attachment; filename="${batchName}.zip"`);
+            archive.pipe(res);
+
+            try {
+                const results = await renderBatch(prepared, renderItem, {
+                    concurrency: BATCH_CONCURRENCY,
+                    isCancelled: cancelled,
+                    onSettled: async (result) => {
+                        if (result.success) {
+                            await appendToArchive(archive, result.pdf, filenames[result.index], req.signal);
+                            result.pdf = { length: result.pdf.length }; // the archive has the bytes now
+                        }
+                    }
+                });
+
+                const summary = report(results);
+                archive.append(JSON.stringify(summary, null, 2), { name: 'manifest.json' });
+                await archive.finalize();
+                req.log.info(`Batch finished in ${Date.now() - startTime}ms: ${summary.succeeded}/${summary.total} succeeded`);
+            } finally {
+                req.signal.removeEventListener('abort', abortArchive);
+            }
+            return;
+        }
+
+        const results = await renderBatch(prepared, renderItem, {
+            concurrency: BATCH_CONCURRENCY,
+            isCancelled: cancelled
+        });
+        const summary = report(results);
+        req.log.info(`Batch finished in ${Date.now() - startTime}ms: ${summary.succeeded}/${summary.total} succeeded`);
+
+        if (cancelled()) {
+            return;
+        }
+        if (summary.succeeded === 0) {
+            return sendError(res, new ApiError(422, 'BATCH_FAILED', 'No document in the batch could be generated', { report: summary }));
+        }
+
+        try {
+            const merged = await mergePdfs(results.filter(result => result.success).map(result => result.pdf));
+            res.setHeader('X-Batch-Total', summary.total);
+            res.setHeader('X-Batch-Succeeded', summary.succeeded);
+            res.setHeader('X-Batch-Failed', summary.failed);
+            res.setHeader('X-Batch-Failed-Items', summary.items.filter(item => !item.success).map(item => item.index).join(','));
+            sendPDF(req, res, merged, `${batchName}.pdf`, Date.now() - startTime);
+        } catch (error) {
+            sendRenderFailure(res, error, startTime);
+        }
+    } catch (error) {
+        if (cancelled()) {
+            req.log.warn(`Batch cancelled after ${Date.now() - startTime}ms: client disconnected`);
+            return;
+        }
+        if (res.headersSent) {
+            // Part of the archive went out; cut the response so it cannot pass for complete
+            req.log.error('Batch failed mid-response:', error.message);
+            res.destroy();
+            return;
         }
+        next(error);
+    }
+});
+
+/**
+ * Respond with a 404 for an unknown job
+ */
+function sendJobNotFound(res) {
+    sendError(res, new ApiError(404, 'JOB_NOT_FOUND', 'Job does not exist or has expired'));
+}
+
+// Queue an asynchronous render; same body as POST /pdf plus an optional callbackUrl
+app.post('/jobs', pdfBodyParser(), checkQuota, async (req, res, next) => {
+    const input = req.pdfInput;
+    const callbackUrl = (req.body || {}).callbackUrl;
+
+    try {
+        const callbackProblem = callbackUrl === undefined ? null : await jobRunner.callbackUrlProblem(callbackUrl);
+        if (callbackProblem) {
+            return sendError(res, invalidInput([{ field: 'callbackUrl', message: callbackProblem }], 'Request body is invalid'));
+        }
+
+        // Merge template data now so bad input is rejected before the job is accepted
+        const resolved = await resolveDocumentHtml(input);
+        if (resolved === null) {
+            return await sendTemplateNotFound(res);
+        }
+
+        // Unfinished jobs are capped in total and per tenant, so the queue stays bounded
+        if (jobRunner.unfinishedCount() >= JOB_MAX_QUEUED) {
+            return sendError(res, new ApiError(503, 'QUEUE_FULL', 'Too many jobs are waiting, retry later', {},
+                { 'Retry-After': QUEUE_FULL_RETRY_AFTER }));
+        }
+        if (req.tenant && req.tenant.maxPendingJobs && jobRunner.unfinishedCount(req.tenant.id) >= req.tenant.maxPendingJobs) {
+            return sendError(res, new ApiError(429, 'CONCURRENCY_LIMIT', 'Too many unfinished jobs for this tenant', {},
+                { 'Retry-After': QUEUE_FULL_RETRY_AFTER }));
+        }
+
+        const { html, template } = resolved;
+        const job = await jobRunner.submit({
+            html,
+            css: input.css,
+            options: input.options,
+            template,
+            tenant: tenantOf(req),
+            filename: input.filename,
+            callbackUrl,
+            requestId: req.trace.requestId
+        });
+        req.log.info(`Job ${job.id} queued (${html.length} chars)`);
+
+        res.status(202)
+            .setHeader('Location', `/jobs/${job.id}`)
+            .json({
+                ...publicView(job),
+                statusUrl: `/jobs/${job.id}`,
+                resultUrl: `/jobs/${job.id}/result`
+            });
+    } catch (error) {
+        if (!sendTemplateError(res, error)) {
+            next(error);
+        }
+    }
+});
+
+const validJobId = validateRequest({ params: { id: rules.jobId } });
+
+// Job status and progress
+app.get('/jobs/:id', validJobId, async (req, res, next) => {
+    try {
+        const job = await jobStore.get(req.valid.id);
+        if (!job || (job.tenant || null) !== tenantOf(req)) {
+            return sendJobNotFound(res);
+        }
+        res.json(publicView(job));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Download the PDF of a completed job
+app.get('/jobs/:id/result', validJobId, async (req, res, next) => {
+    try {
+        const job = await jobStore.get(req.valid.id);
+        if (!job || (job.tenant || null) !== tenantOf(req)) {
+            return sendJobNotFound(res);
+        }
+        if (job.status !== 'completed') {
+            return sendError(res, new ApiError(409, 'JOB_NOT_COMPLETED', `Job is ${job.status}`, { job: publicView(job) }));
+        }
+
+        const pdfBuffer = await jobStore.readResult(job.id);
+        if (!pdfBuffer) {
+            return sendJobNotFound(res);
+        }
+        sendPDF(req, res, pdfBuffer, job.filename, Date.parse(job.completedAt) - Date.parse(job.createdAt));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Respond with a 404 for an unknown template or version
+ */
+function sendTemplateMissing(res, error) {
+    sendError(res, new ApiError(404, 'TEMPLATE_NOT_FOUND', error.version
+        ? 'The requested template version does not exist'
+        : 'The requested template does not exist'));
+}
+
+// List templates with their latest version
+app.get('/templates', async (req, res, next) => {
+    try {
+        res.json({ templates: await templateStore.list() });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Template content and version history; accepts "name" or "name@version"
+app.get('/templates/:ref', validateRequest({ params: { ref: rules.templateRef } }), async (req, res, next) => {
+    const ref = parseTemplateRef(req.valid.ref);
+
+    try {
+        const template = await templateStore.read(ref.name, ref.version);
+        const versions = await templateStore.versions(ref.name);
+        res.json({ ...template, versions });
+    } catch (error) {
+        if (error instanceof TemplateNotFoundError) {
+            return sendTemplateMissing(res, error);
+        }
+        next(error);
+    }
+});
+
+const validTemplateName = validateRequest({ params: { name: rules.templateName } });
+
+// Upload a new immutable version; body is text/html or JSON { "html": "..." }
+app.put('/templates/:name', validTemplateName, canWriteTemplates, async (req, res, next) => {
+    const name = req.valid.name;
+
+    const html = typeof req.body === 'string' ? req.body : (req.body || {}).html;
+    if (typeof html !== 'string' || html.trim() === '') {
+        return sendError(res, invalidInput([{ field: 'html', message: 'Send the template as text/html or as JSON { "html": "..." }' }], 'Request body is invalid'));
+    }
+    if (Buffer.byteLength(html, 'utf8') > MAX_HTML_SIZE) {
+        return sendError(res, new ApiError(413, 'PAYLOAD_TOO_LARGE', `Template exceeds the maximum size of ${MAX_HTML_SIZE} bytes`));
+    }
+
+    try {
+        compileTemplate(html);
+    } catch (error) {
+        return sendError(res, invalidInput([{ field: 'html', message: error.message }], 'Template could not be compiled'));
+    }
+
+    try {
+        const result = await templateStore.write(name, html);
+        req.log.info(`Template ${result.name}@${result.version} ${result.created ? 'created' : 'unchanged'}`);
+        res.status(result.created ? 201 : 200).json(result);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Delete a template and all of its versions
+// Versions are immutable, so only whole templates can be deleted
+app.delete('/templates/:name', validTemplateName, canWriteTemplates, async (req, res, next) => {
+    const name = req.valid.name;
+
+    try {
+        await templateStore.remove(name);
+        req.log.info(`Template ${name} deleted`);
+        res.status(204).end();
+    } catch (error) {
+        if (error instanceof TemplateNotFoundError) {
+            return sendTemplateMissing(res, error);
+        }
+        next(error);
+    }
+});
+
+/**
+ * Respond with a 404 for an unknown asset
+ */
+function sendAssetNotFound(res) {
+    sendError(res, new ApiError(404, 'ASSET_NOT_FOUND', 'The requested asset does not exist'));
+}
+
+// Uploaded fonts, and the font families installed with the service
+app.get('/assets/fonts', async (req, res, next) => {
+    try {
+        res.json({ fonts: assetStore.list('fonts'), systemFonts: await systemFontFamilies() });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Uploaded images
+app.get('/assets/images', (req, res) => {
+    res.json({ images: assetStore.list('images') });
+});
+
+const validAsset = validateRequest({ params: { kind: rules.assetKind, name: rules.assetName } });
+
+// Download an uploaded font or image
+app.get('/assets/:kind/:name', validAsset, async (req, res, next) => {
+    const { kind, name } = req.valid;
+
+    try {
+        const asset = await assetStore.read(kind, name);
+        const etag = `"${asset.sha256}"`;
+        res.setHeader('ETag', etag);
+        if (etagMatches(req, etag)) {
+            return res.status(304).end();
+        }
+        // SVG is served as a download so it never runs as a page on this origin
+        res.setHeader('Content-Type', asset.mimeType);
+        res.setHeader('Content-Disposition', `attachment; filename="${name}"`);
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        res.setHeader('Content-Length', asset.data.length);
+        res.send(asset.data);
+    } catch (error) {
+        if (error instanceof AssetNotFoundError) {
+            return sendAssetNotFound(res);
+        }
+        next(error);
+    }
+});
+
+// Upload a font or image under a name; the body is the file itself. Fonts take
+// ?family (default: the name), ?weight (default 400) and ?style (default normal)
+app.put('/assets/:kind/:name', validateRequest({
+    params: { kind: rules.assetKind, name: rules.assetName },
+    query: { family: rules.fontFamily, weight: withDefault(integerBetween(100, 900), '400'), style: rules.fontStyle }
+}), canWriteAssets, async (req, res, next) => {
+    const { kind, name, family, weight, style } = req.valid;
+
+    if (!Buffer.isBuffer(req.body)) {
+        return sendError(res, new ApiError(415, 'UNSUPPORTED_MEDIA_TYPE', `Request body must be ${ASSET_UPLOAD_TYPES.join(', ')}`));
+    }
+    const fontFields = ['family', 'weight', 'style'].filter(field => req.query[field] !== undefined);
+    if (kind === 'images' && fontFields.length > 0) {
+        return sendError(res, invalidInput(fontFields.map(field => ({ field, message: `${field} only applies to fonts` })),
+            'Request parameters are invalid'));
+    }
+    const mimeType = detectMimeType(kind, req.body);
+    if (!mimeType) {
+        return sendError(res, invalidInput([{
+            field: 'body',
+            message: kind === 'fonts' ? 'body must be a TrueType, OpenType, WOFF or WOFF2 font' : 'body must be a PNG, JPEG, GIF, WebP or SVG image'
+        }], 'Request body is invalid'));
+    }
+
+    try {
+        const meta = kind === 'fonts' ? { family: family || name, weight, style } : {};
+        const { created, ...asset } = await assetStore.write(kind, name, req.body, mimeType, meta);
+        req.log.info(`Asset ${kind}/${name} ${created ? 'stored' : 'unchanged'} (${asset.size} bytes, sha256 ${asset.sha256})`);
+        res.status(created ? 201 : 200).json({ ...asset, created });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Delete an uploaded font or image; documents still referring to it render without it
+app.delete('/assets/:kind/:name', validAsset, canWriteAssets, async (req, res, next) => {
+    const { kind, name } = req.valid;
+
+    try {
+        await assetStore.remove(kind, name);
+        req.log.info(`Asset ${kind}/${name} deleted`);
+        res.status(204).end();
+    } catch (error) {
+        if (error instanceof AssetNotFoundError) {
+            return sendAssetNotFound(res);
+        }
+        next(error);
     }
 });
 
 // Global error handler
 app.use((error, req, res, next) => {
-    log.error('Unhandled error:', error);
-    
-    if (!res.headersSent) {
-        res.status(500).json({
-            error: 'Internal server error',
-            message: 'An unexpected error occurred',
-            timestamp: new Date().toISOString()
-        });
+    if (error instanceof ApiError) {
+        return sendError(res, error);
+    }
+
+    // Malformed or oversized bodies rejected by the body parsers
+    if (error.type === 'entity.parse.failed') {
+        return sendError(res, invalidInput([{ field: 'body', message: 'Request body is not valid JSON' }], 'Request body is not valid JSON'));
     }
+    if (error.type === 'entity.too.large') {
+        return sendError(res, new ApiError(413, 'PAYLOAD_TOO_LARGE', 'Request body exceeds the size limit'));
+    }
+
+    req.log.error('Unhandled error:', error);
+    sendError(res, new ApiError(500, 'INTERNAL_ERROR', 'An unexpected error occurred'));
 });
 
 // 404 handler
 app.use('*', (req, res) => {
-    res.status(404).json({
-        error: 'Not found',
-        message: `Route ${req.method} ${req.originalUrl} not found`,
+    sendError(res, new ApiError(404, 'NOT_FOUND', 'Route not found', {
         availableRoutes: [
             'GET /health - Health check',
-            'GET /pdf?template=<name> - Generate PDF from template (default: template)'
+            'GET /health/live - Liveness probe',
+            'GET /health/ready - Readiness probe (503 while starting or draining)',
+            'GET /metrics - Prometheus metrics',
+            'GET /pdf?template=<name>[@version]&data=<json>&options=<json>&header=<name>&footer=<name>&cover=<name> - Generate PDF from template (default: template)',
+            'POST /pdf - Generate PDF from supplied html or template + data, css, filename, options, header, footer and cover',
+            'GET /templates - List templates',
+            'GET /templates/<name>[@version] - Template content and versions',
+            'PUT /templates/<name> - Upload a new template version',
+            'DELETE /templates/<name> - Delete a template',
+            'GET /assets/fonts, GET /assets/images - List uploaded fonts and images',
+            'GET|PUT|DELETE /assets/<fonts|images>/<name> - Download, upload or delete an asset',
+            'POST /pdf/batch - Render many documents into a ZIP or merged PDF',
+            'POST /jobs - Queue an asynchronous render',
+            'GET /jobs/<id> - Job status and progress',
+            'GET /jobs/<id>/result - Download a completed job PDF'
         ]
-    });
+    }));
 });
 
-// Graceful shutdown
-const gracefulShutdown = async (signal) => {
+// Graceful shutdown: drain in-flight renders up to SHUTDOWN_DRAIN_TIMEOUT, then abort the rest
+const gracefulShutdown = async (signal, exitCode = 0) => {
+    if (lifecycle.state === 'draining' || lifecycle.state === 'stopped') {
+        return;
+    }
     log.info(`Received ${signal}, shutting down gracefully...`);
-    
-    // Stop accepting new requests
-    const server = app.listen(PORT);
-    server.close(async () => {
-        log.info('HTTP server closed');
-        
-        // Shutdown worker pool
-        if (pool) {
-            try {
-                await pool.destroy();
-                log.info('Worker pool destroyed');
-            } catch (error) {
-                log.error('Error destroying worker pool:', error);
-            }
-        }
-        
-        log.info('Graceful shutdown complete');
-        process.exit(0);
-    });
-    
-    // Force shutdown after 10 seconds
+
+    // The drain has its own deadline; this only guards against a hung pool teardown
     setTimeout(() => {
         log.error('Force shutdown - graceful shutdown timed out');
         process.exit(1);
-    }, 10000);
+    }, SHUTDOWN_DRAIN_TIMEOUT + 10000).unref();
+
+    const drained = await lifecycle.shutdown(signal);
+    await tracer.shutdown();
+    log.info(drained ? 'Graceful shutdown complete' : 'Shutdown complete, unfinished work was aborted');
+    process.exit(exitCode);
 };
 
 // Handle shutdown signals
@@ -208,23 +1931,45 @@ process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 // Handle uncaught exceptions
 process.on('uncaughtException', (error) => {
     log.error('Uncaught exception:', error);
-    gracefulShutdown('uncaughtException');
+    gracefulShutdown('uncaughtException', 1);
 });
 
 process.on('unhandledRejection', (reason, promise) => {
     log.error('Unhandled rejection at:', promise, 'reason:', reason);
-    gracefulShutdown('unhandledRejection');
+    gracefulShutdown('unhandledRejection', 1);
 });
 
+// Index the fonts and images uploaded before this process started
+assetStore.load()
+    .then(count => count > 0 && log.info(`Loaded ${count} uploaded asset(s)`))
+    .catch(error => log.error('Failed to load assets:', error.message));
+
+// Test render before the first request, opening the circuit when the bridge cannot work
+bridgeSupervisor.check('startup');
+
+// Pick up jobs a previous process left unfinished
+jobRunner.recover()
+    .then(count => count > 0 && log.info(`Recovered ${count} unfinished job(s)`))
+    .catch(error => log.error('Failed to recover jobs:', error.message));
+
 // Start server
-app.listen(PORT, () => {
+lifecycle.listen(app, PORT, () => {
     log.info(`Production PDF service started on port ${PORT}`);
     log.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
     log.info(`Worker pool: ${POOL_MIN_THREADS}-${POOL_MAX_THREADS} threads`);
+    log.info(`Bridge mode: ${BRIDGE_MODE}`);
     log.info(`Request timeout: ${REQUEST_TIMEOUT}ms`);
+    log.info(`Shutdown drain timeout: ${SHUTDOWN_DRAIN_TIMEOUT}ms`);
     log.info('Available endpoints:');
     log.info('  GET /health - Health check and metrics');
+    log.info('  GET /health/live, GET /health/ready - Liveness and readiness probes');
+    log.info('  GET /metrics - Prometheus metrics');
     log.info('  GET /pdf - Generate PDF from template');
+    log.info('  POST /pdf - Generate PDF from supplied HTML/CSS');
+    log.info('  GET|PUT|DELETE /templates - Template registry');
+    log.info('  GET|PUT|DELETE /assets - Fonts and images for asset:// URLs');
+    log.info('  POST /pdf/batch - Batch render to ZIP or merged PDF');
+    log.info('  POST /jobs, GET /jobs/:id[/result] - Asynchronous renders');
 });
 
 module.exports = app; 
\ No newline at end of file
@@ -0,0 +1,403 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { redactUrl } = require('./logger');
+
+/**
+ * Background runner for asynchronous render jobs
+ * Jobs are fed to the worker pool with bounded concurrency so bursts wait here
+ * instead of overflowing Piscina's queue. Renders failing for a transient reason
+ * (timeout, busy or unavailable bridge) are retried with exponential backoff; any
+ * other failure fails the job at once. An optional callbackUrl receives a signed
+ * POST when the job completes or fails.
+ *
+ * Callbacks are sent from inside the service's network, so unless the callback
+ * policy allows private networks their host must resolve to public addresses only,
+ * and the request connects to the address that was checked (a host re-resolving
+ * to 127.0.0.1 or 169.254.169.254 between check and connect is still refused).
+ * Redirects are not followed.
+ *
+ * Job status: queued -> rendering -> completed | failed (retries go back to queued)
+ */
+
+const FINAL_STATUSES = ['completed', 'failed'];
+
+// Rough progress per stage; renders are a single opaque step in WeasyPrint
+const PROGRESS = { queued: 0, rendering: 50, completed: 100, failed: 100 };
+
+const CALLBACK_TIMEOUT_MS = 10000;
+const CALLBACK_ATTEMPTS = 3;
+
+// Addresses callbacks may not reach: this network, private, carrier-grade NAT,
+// loopback, link-local (cloud metadata), documentation, multicast and reserved
+// ranges. IPv4-mapped IPv6 addresses match the IPv4 ranges.
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.88.99.0', 24], ['192.168.0.0', 16],
+    ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+    NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+    ['::', 127], ['100::', 64], ['2001::', 23], ['2001:db8::', 32], ['2002::', 16],
+    ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+    NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+function isPublicAddress(address) {
+    return !NON_PUBLIC_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * dns.lookup for http.request that fails unless every address of the host is public,
+ * so the connection goes to an address that passed the check
+ */
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (!error && addresses.some(({ address }) => !isPublicAddress(address))) {
+            error = new Error(`${hostname} resolves to a private or reserved address`);
+        }
+        if (error) {
+            return callback(error);
+        }
+        if (options.all) {
+            return callback(null, addresses);
+        }
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+/**
+ * True when host is one of allowedHosts, exact names or "*.example.com" wildcards
+ */
+function hostAllowed(host, allowedHosts) {
+    return allowedHosts.some(allowed => host === allowed || (allowed.startsWith('*.') && host.endsWith(allowed.slice(1))));
+}
+
+class JobRunner {
+    /**
+     * @param {object} config
+     * @param {object} config.store        job store (see job_store.js)
+     * @param {Function} config.render     async ({ html, css, options, template }, job) => { pdfBuffer, blockedResources };
+     *                                     rejections should carry a client-safe message, optional code,
+     *                                     and retryable: true when a later attempt may succeed
+     * @param {object} config.log          logger with info/warn/error and child (see logger.js)
+     * @param {number} config.concurrency  renders in flight at once
+     * @param {number} config.maxAttempts  attempts at a retryable failure before a job is marked failed
+     * @param {number} config.retryDelay   base backoff in ms, doubled per attempt
+     * @param {number} config.ttl          ms a finished job is kept before cleanup
+     * @param {string} [config.callbackSecret] HMAC key for callback signatures
+     * @param {object} [config.callbackPolicy] { allowedHosts, allowPrivateNetworks }: callback hosts
+     *                                     (exact or "*.example.com", empty for any) and whether they
+     *                                     may resolve to loopback, private or link-local addresses
+     */
+    constructor({ store, render, log, concurrency, maxAttempts, retryDelay, ttl, callbackSecret, callbackPolicy = {} }) {
+        this.store = store;
+        this.render = render;
+        this.log = log;
+        this.concurrency = concurrency;
+        this.maxAttempts = maxAttempts;
+        this.retryDelay = retryDelay;
+        this.ttl = ttl;
+        this.callbackSecret = callbackSecret || null;
+        this.callbackPolicy = {
+            allowedHosts: callbackPolicy.allowedHosts || [],
+            allowPrivateNetworks: Boolean(callbackPolicy.allowPrivateNetworks)
+        };
+        this.queue = [];
+        this.active = 0;
+        this.paused = false;
+        // id -> tenant of every job not yet completed or failed, for the submission caps
+        this.unfinished = new Map();
+
+        this.cleanupTimer = setInterval(() => this.cleanup().catch(error => {
+            this.log.error('Job cleanup failed:', error.message);
+        }), Math.min(ttl, 60000));
+        this.cleanupTimer.unref();
+    }
+
+    /**
+     * Create a job and queue it; resolves with the stored job
+     */
+    async submit({ html, css, options, template, tenant, filename, callbackUrl, requestId }) {
+        const now = new Date().toISOString();
+        const id = crypto.randomUUID();
+        // Counted before the first await so concurrent submissions see each other
+        this.unfinished.set(id, tenant || null);
+        let job;
+        try {
+            job = await this.store.create({
+                id,
+                status: 'queued',
+                progress: PROGRESS.queued,
+                attempts: 0,
+                maxAttempts: this.maxAttempts,
+                tenant: tenant || null,
+                filename,
+                callbackUrl: callbackUrl || null,
+                requestId: requestId || null, // X-Request-Id of the submitting request, for log correlation
+                error: null,
+                errorCode: null,
+                size: null,
+                blockedResources: [],
+                createdAt: now,
+                updatedAt: now,
+                completedAt: null,
+                input: { html, css, options, template: template || null, tenant: tenant || null }
+            });
+        } catch (error) {
+            this.unfinished.delete(id);
+            throw error;
+        }
+
+        this.enqueue(job.id);
+        return job;
+    }
+
+    /**
+     * Re-queue jobs a previous process left unfinished (file-backed stores)
+     */
+    async recover() {
+        const jobs = await this.store.list();
+        const unfinished = jobs.filter(job => !FINAL_STATUSES.includes(job.status));
+        for (const job of unfinished) {
+            this.unfinished.set(job.id, job.tenant || null);
+            await this.store.update(job.id, { status: 'queued', progress: PROGRESS.queued });
+            this.enqueue(job.id);
+        }
+        return unfinished.length;
+    }
+
+    /**
+     * Jobs not yet completed or failed: the tenant's, or all of them without a tenant id
+     */
+    unfinishedCount(tenantId) {
+        if (tenantId === undefined) {
+            return this.unfinished.size;
+        }
+        let count = 0;
+        for (const tenant of this.unfinished.values()) {
+            if (tenant === tenantId) {
+                count++;
+            }
+        }
+        return count;
+    }
+
+    enqueue(id) {
+        this.queue.push(id);
+        this.drain();
+    }
+
+    /**
+     * Start no more jobs (shutdown); running ones finish, queued ones stay queued in
+     * the store for recover() in the next process
+     */
+    pause() {
+        this.paused = true;
+        clearInterval(this.cleanupTimer);
+    }
+
+    drain() {
+        while (!this.paused && this.active < this.concurrency && this.queue.length > 0) {
+            const id = this.queue.shift();
+            this.active++;
+            this.run(id)
+                .catch((error) => {
+                    // The job is stuck where the store left it; it must not count against its tenant forever
+                    this.unfinished.delete(id);
+                    this.log.error(`Job ${id} runner error:`, error.message);
+                })
+                .finally(() => {
+                    this.active--;
+                    this.drain();
+                });
+        }
+    }
+
+    async run(id) {
+        const job = await this.store.get(id);
+        if (!job || FINAL_STATUSES.includes(job.status)) {
+            this.unfinished.delete(id);
+            return;
+        }
+
+        const attempts = job.attempts + 1;
+        const log = this.log.child({ jobId: id, requestId: job.requestId || undefined });
+        await this.store.update(id, { status: 'rendering', progress: PROGRESS.rendering, attempts });
+
+        try {
+            const { pdfBuffer, blockedResources } = await this.render(job.input, job);
+            await this.store.saveResult(id, pdfBuffer);
+            const completed = await this.store.update(id, {
+                status: 'completed',
+                progress: PROGRESS.completed,
+                size: pdfBuffer.length,
+                blockedResources,
+                error: null,
+                errorCode: null,
+                completedAt: new Date().toISOString(),
+                // The document is no longer needed once the PDF exists
+                input: null
+            });
+            this.unfinished.delete(id);
+            log.info(`Job ${id} completed after ${attempts} attempt(s), size: ${pdfBuffer.length} bytes`);
+            this.notifyLater(completed);
+        } catch (error) {
+            if (error.retryable && attempts < this.maxAttempts) {
+                const delay = this.retryDelay * Math.pow(2, attempts - 1);
+                log.warn(`Job ${id} attempt ${attempts} failed, retrying in ${delay}ms: ${error.message}`);
+                await this.store.update(id, { status: 'queued', progress: PROGRESS.queued, error: error.message, errorCode: error.code || null });
+                setTimeout(() => this.enqueue(id), delay).unref();
+                return;
+            }
+
+            log.error(`Job ${id} failed after ${attempts} attempt(s): ${error.message}`);
+            const failed = await this.store.update(id, {
+                status: 'failed',
+                progress: PROGRESS.failed,
+                error: error.message,
+                errorCode: error.code || null,
+                completedAt: new Date().toISOString(),
+                input: null
+            });
+            this.unfinished.delete(id);
+            this.notifyLater(failed);
+        }
+    }
+
+    /**
+     * Why a callbackUrl cannot be used under the callback policy, or null when it can
+     */
+    async callbackUrlProblem(value) {
+        let url;
+        try {
+            url = new URL(value);
+        } catch (error) {
+            return 'callbackUrl must be an http(s) URL';
+        }
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            return 'callbackUrl must be an http(s) URL';
+        }
+
+        const host = url.hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+        const { allowedHosts, allowPrivateNetworks } = this.callbackPolicy;
+        if (allowedHosts.length > 0 && !hostAllowed(host, allowedHosts)) {
+            return 'callbackUrl host is not allowed';
+        }
+        if (allowPrivateNetworks) {
+            return null;
+        }
+        if (net.isIP(host)) {
+            return isPublicAddress(host) ? null : 'callbackUrl must not point at a private or reserved address';
+        }
+        try {
+            const addresses = await dns.promises.lookup(host, { all: true });
+            return addresses.every(({ address }) => isPublicAddress(address))
+                ? null
+                : 'callbackUrl host must not resolve to a private or reserved address';
+        } catch (error) {
+            return 'callbackUrl host does not resolve';
+        }
+    }
+
+    /**
+     * Deliver the callback without holding the job's render slot: a slow or dead
+     * callback host (CALLBACK_ATTEMPTS timeouts plus backoff) must not stall the queue
+     */
+    notifyLater(job) {
+        this.notify(job).catch(error => this.log.error(`Job ${job.id} callback error:`, error.message));
+    }
+
+    /**
+     * POST the final job state to its callbackUrl
+     * Headers: X-Job-Timestamp and X-Job-Signature = sha256=HMAC(secret, "<timestamp>.<body>")
+     */
+    async notify(job) {
+        if (!job.callbackUrl) {
+            return;
+        }
+        // Checked again: the policy or the host's addresses may have changed since submission
+        const problem = await this.callbackUrlProblem(job.callbackUrl);
+        if (problem) {
+            this.log.error(`Job ${job.id} callback to ${redactUrl(job.callbackUrl)} refused: ${problem}`);
+            return;
+        }
+
+        const body = JSON.stringify({ job: publicView(job) });
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const headers = { 'Content-Type': 'application/json', 'X-Job-Timestamp': timestamp };
+        if (this.callbackSecret) {
+            const signature = crypto.createHmac('sha256', this.callbackSecret).update(`${timestamp}.${body}`).digest('hex');
+            headers['X-Job-Signature'] = `sha256=${signature}`;
+        }
+
+        for (let attempt = 1; attempt <= CALLBACK_ATTEMPTS; attempt++) {
+            try {
+                const status = await this.postCallback(job.callbackUrl, headers, body);
+                if (status >= 200 && status < 300) {
+                    return;
+                }
+                this.log.warn(`Job ${job.id} callback returned ${status} (attempt ${attempt})`);
+            } catch (error) {
+                this.log.warn(`Job ${job.id} callback failed (attempt ${attempt}): ${error.message}`);
+            }
+            await new Promise(resolve => setTimeout(resolve, this.retryDelay * attempt));
+        }
+        this.log.error(`Job ${job.id} callback to ${redactUrl(job.callbackUrl)} gave up after ${CALLBACK_ATTEMPTS} attempts`);
+    }
+
+    /**
+     * Send one callback request; resolves with the response status
+     */
+    postCallback(callbackUrl, headers, body) {
+        const url = new URL(callbackUrl);
+        const client = url.protocol === 'https:' ? https : http;
+        return new Promise((resolve, reject) => {
+            const request = client.request(url, {
+                method: 'POST',
+                headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+                lookup: this.callbackPolicy.allowPrivateNetworks ? undefined : publicLookup,
+                signal: AbortSignal.timeout(CALLBACK_TIMEOUT_MS)
+            }, (response) => {
+                response.resume();
+                resolve(response.statusCode);
+            });
+            request.on('error', reject);
+            request.end(body);
+        });
+    }
+
+    /**
+     * Remove finished jobs older than the TTL
+     */
+    async cleanup() {
+        const cutoff = Date.now() - this.ttl;
+        for (const job of await this.store.list()) {
+            if (FINAL_STATUSES.includes(job.status) && Date.parse(job.completedAt) < cutoff) {
+                await this.store.remove(job.id);
+            }
+        }
+    }
+
+    stats() {
+        return { active: this.active, waiting: this.queue.length };
+    }
+}
+
+/**
+ * Job fields safe to return to clients (never the submitted document)
+ */
+function publicView(job) {
+    const { input, callbackUrl, ...view } = job;
+    return { ...view, callback: Boolean(callbackUrl) };
+}
+
+module.exports = {
+    JobRunner,
+    publicView
+};
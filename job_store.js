@@ -0,0 +1,178 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Storage for asynchronous render jobs
+ * Backends implement: create(job), get(id), update(id, patch), list(),
+ * saveResult(id, pdfBuffer), readResult(id), remove(id)
+ */
+
+// Job ids are UUIDs; anything else never reaches the filesystem
+const JOB_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+function isValidJobId(id) {
+    return typeof id === 'string' && JOB_ID_PATTERN.test(id);
+}
+
+/**
+ * Jobs and results kept in process memory (lost on restart)
+ */
+class MemoryJobStore {
+    constructor() {
+        this.jobs = new Map();
+        this.results = new Map();
+    }
+
+    async create(job) {
+        this.jobs.set(job.id, { ...job });
+        return { ...job };
+    }
+
+    async get(id) {
+        const job = this.jobs.get(id);
+        return job ? { ...job } : null;
+    }
+
+    async update(id, patch) {
+        const job = this.jobs.get(id);
+        if (!job) {
+            return null;
+        }
+        Object.assign(job, patch, { updatedAt: new Date().toISOString() });
+        return { ...job };
+    }
+
+    async list() {
+        return [...this.jobs.values()].map(job => ({ ...job }));
+    }
+
+    async saveResult(id, pdfBuffer) {
+        this.results.set(id, pdfBuffer);
+    }
+
+    async readResult(id) {
+        return this.results.get(id) || null;
+    }
+
+    async remove(id) {
+        this.jobs.delete(id);
+        this.results.delete(id);
+    }
+}
+
+/**
+ * Jobs stored on disk as <dir>/<id>.json with the PDF alongside as <id>.pdf
+ * Survives restarts; queued jobs are picked up again on startup.
+ */
+class FileJobStore {
+    constructor(dir) {
+        this.dir = dir;
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    jobPath(id) {
+        return path.join(this.dir, `${id}.json`);
+    }
+
+    resultPath(id) {
+        return path.join(this.dir, `${id}.pdf`);
+    }
+
+    /**
+     * Write via a temp file and rename so readers never see a partial file
+     */
+    async writeAtomic(file, data) {
+        const tmp = `${file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmp, data);
+        await fs.promises.rename(tmp, file);
+    }
+
+    async create(job) {
+        await this.writeAtomic(this.jobPath(job.id), JSON.stringify(job));
+        return { ...job };
+    }
+
+    async get(id) {
+        if (!isValidJobId(id)) {
+            return null;
+        }
+        try {
+            return JSON.parse(await fs.promises.readFile(this.jobPath(id), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async update(id, patch) {
+        const job = await this.get(id);
+        if (!job) {
+            return null;
+        }
+        Object.assign(job, patch, { updatedAt: new Date().toISOString() });
+        await this.writeAtomic(this.jobPath(id), JSON.stringify(job));
+        return job;
+    }
+
+    async list() {
+        const files = await fs.promises.readdir(this.dir);
+        const jobs = [];
+        for (const file of files) {
+            if (file.endsWith('.json')) {
+                const job = await this.get(path.basename(file, '.json'));
+                if (job) {
+                    jobs.push(job);
+                }
+            }
+        }
+        return jobs;
+    }
+
+    async saveResult(id, pdfBuffer) {
+        await this.writeAtomic(this.resultPath(id), pdfBuffer);
+    }
+
+    async readResult(id) {
+        if (!isValidJobId(id)) {
+            return null;
+        }
+        try {
+            return await fs.promises.readFile(this.resultPath(id));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async remove(id) {
+        await fs.promises.rm(this.jobPath(id), { force: true });
+        await fs.promises.rm(this.resultPath(id), { force: true });
+    }
+}
+
+/**
+ * Build the store selected by JOB_STORE (memory | file)
+ */
+function createJobStore() {
+    const backend = process.env.JOB_STORE || 'memory';
+
+    switch (backend) {
+        case 'memory':
+            return new MemoryJobStore();
+        case 'file':
+            return new FileJobStore(process.env.JOBS_DIR || path.join(__dirname, 'jobs'));
+        default:
+            throw new Error(`Unknown JOB_STORE backend: ${backend}`);
+    }
+}
+
+module.exports = {
+    FileJobStore,
+    MemoryJobStore,
+    createJobStore,
+    isValidJobId
+};
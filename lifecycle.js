@@ -0,0 +1,156 @@
+const { ApiError } = require('./api_errors');
+
+/**
+ * Process lifecycle: readiness, and a shutdown that drains in-flight work
+ *   starting  the listener is not up yet; /health/ready answers 503
+ *   ready     serving; /health/ready answers 200
+ *   draining  shutdown began: the listener is closed, /health/ready answers 503,
+ *             requests still arriving on open keep-alive connections get
+ *             503 SHUTTING_DOWN with Connection: close, while running and queued
+ *             renders, jobs and responses get until drainTimeout to finish
+ *   stopped   what is left is aborted: queued renders are refused, running bridges
+ *             killed with their process groups, and the worker pool destroyed
+ * /health/live answers 200 in every state, so orchestrators restart the process
+ * only when it hangs, and route traffic by /health/ready.
+ */
+
+// Seconds clients are asked to wait before retrying (on another replica)
+const SHUTDOWN_RETRY_AFTER = 1;
+
+// How often the drain checks whether in-flight work has finished
+const DRAIN_POLL_MS = 100;
+
+// Paths still served while draining
+const DRAIN_EXEMPT_PATHS = ['/health', '/health/live', '/health/ready', '/metrics'];
+
+/**
+ * 503 for work refused because the process is shutting down
+ */
+function shuttingDownError() {
+    return new ApiError(503, 'SHUTTING_DOWN', 'Service is shutting down, retry later', {},
+        { 'Retry-After': SHUTDOWN_RETRY_AFTER });
+}
+
+class Lifecycle {
+    /**
+     * @param {object} options
+     * @param {AdmissionController} options.admission
+     * @param {Piscina} options.pool
+     * @param {JobRunner} options.jobRunner
+     * @param {object} options.log
+     * @param {number} options.drainTimeout ms in-flight work may take to finish once shutdown begins
+     */
+    constructor({ admission, pool, jobRunner, log, drainTimeout }) {
+        this.admission = admission;
+        this.pool = pool;
+        this.jobRunner = jobRunner;
+        this.log = log;
+        this.drainTimeout = drainTimeout;
+        this.state = 'starting';
+        this.server = null;
+        this.activeRequests = 0;
+        this.stopping = null;
+    }
+
+    /**
+     * Start the HTTP server and keep its handle; the process is ready once it listens
+     */
+    listen(app, port, onListening = () => {}) {
+        this.server = app.listen(port, () => {
+            this.state = 'ready';
+            onListening();
+        });
+        return this.server;
+    }
+
+    isReady() {
+        return this.state === 'ready';
+    }
+
+    /**
+     * Middleware counting requests in progress and turning new ones away while draining
+     */
+    middleware() {
+        return (req, res, next) => {
+            this.activeRequests++;
+            res.on('close', () => {
+                this.activeRequests--;
+            });
+
+            if (this.state === 'draining' || this.state === 'stopped') {
+                // Keep-alive clients must reconnect, and reach another replica
+                res.setHeader('Connection', 'close');
+                if (!DRAIN_EXEMPT_PATHS.includes(req.path)) {
+                    return next(shuttingDownError());
+                }
+            }
+            next();
+        };
+    }
+
+    /**
+     * True once no request, render or job is in progress (this drain's own
+     * bookkeeping aside)
+     */
+    idle() {
+        const stats = this.admission.stats();
+        return this.activeRequests === 0
+            && stats.inFlight === 0
+            && stats.queued.interactive === 0
+            && stats.queued.batch === 0
+            && this.jobRunner.stats().active === 0;
+    }
+
+    /**
+     * Drain and stop; resolves with true when everything finished before the
+     * deadline, false when work had to be aborted. Calling it again returns the
+     * same promise.
+     */
+    shutdown(reason) {
+        if (!this.stopping) {
+            this.stopping = this.drain(reason);
+        }
+        return this.stopping;
+    }
+
+    async drain(reason) {
+        this.state = 'draining';
+        this.log.info(`${reason}: draining for up to ${this.drainTimeout}ms (${this.activeRequests} request(s) in progress)`);
+
+        this.jobRunner.pause();
+        if (this.server) {
+            this.server.close(() => this.log.info('HTTP server closed'));
+            this.server.closeIdleConnections();
+        }
+
+        const deadline = Date.now() + this.drainTimeout;
+        while (!this.idle() && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, DRAIN_POLL_MS));
+        }
+        const drained = this.idle();
+        if (!drained) {
+            const stats = this.admission.stats();
+            this.log.warn(`Drain deadline passed with ${this.activeRequests} request(s), ${stats.inFlight} running and ` +
+                `${stats.queued.interactive + stats.queued.batch} queued render(s); aborting them`);
+        }
+
+        this.state = 'stopped';
+        this.admission.shutdown(shuttingDownError());
+        try {
+            // Terminates the worker threads; idle persistent bridges exit when their stdin closes
+            await this.pool.destroy();
+            this.log.info('Worker pool destroyed');
+        } catch (error) {
+            this.log.error('Error destroying worker pool:', error.message);
+        }
+        if (this.server) {
+            this.server.closeAllConnections();
+        }
+        return drained;
+    }
+}
+
+module.exports = {
+    Lifecycle,
+    shuttingDownError
+};
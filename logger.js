@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const util = require('util');
+
+/**
+ * Structured logs: one JSON object per line,
+ *   {"time": "...", "level": "info", "msg": "...", "requestId": "...", ...fields}
+ * debug and info go to stdout, warn and error to stderr. Below LOG_LEVEL nothing is written.
+ * log.info(msg, ...args): plain objects among args become fields, Errors become
+ * `error`, anything else is appended to msg. Fields named after payloads or
+ * credentials (html, data, authorization, ...) are redacted before writing, so
+ * documents and secrets never reach the logs.
+ */
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const REDACTED = '[REDACTED]';
+const SENSITIVE_FIELDS = /^(html|css|data|body|pdf|input|authorization|cookie|set-cookie|x-api-key|x-signature|api_?keys?|hmac_?secret|secret|password|passphrase|token|signature)$/i;
+const MAX_STRING_LENGTH = 2000;
+const MAX_DEPTH = 5;
+
+// Client-supplied X-Request-Id values kept as the correlation ID
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * The client's X-Request-Id when it is usable, a new UUID otherwise
+ */
+function resolveRequestId(header) {
+    return typeof header === 'string' && REQUEST_ID_PATTERN.test(header) ? header : crypto.randomUUID();
+}
+
+/**
+ * A URL without credentials and query string, which may carry tokens
+ */
+function redactUrl(url) {
+    try {
+        const parsed = new URL(url);
+        if (parsed.protocol === 'data:') {
+            return 'data:[REDACTED]';
+        }
+        const query = parsed.search ? `?${REDACTED}` : '';
+        return `${parsed.protocol}//${parsed.host}${parsed.pathname}${query}`;
+    } catch (error) {
+        return REDACTED;
+    }
+}
+
+function serializeError(error) {
+    // Only these: body parser errors carry the raw request body as a property
+    const serialized = { name: error.name, message: truncate(error.message) };
+    if (error.code !== undefined) {
+        serialized.code = error.code;
+    }
+    if (error.stack) {
+        serialized.stack = error.stack;
+    }
+    return serialized;
+}
+
+function truncate(value) {
+    return typeof value === 'string' && value.length > MAX_STRING_LENGTH
+        ? `${value.slice(0, MAX_STRING_LENGTH)}... (${value.length} chars)`
+        : value;
+}
+
+function isPlainObject(value) {
+    if (value === null || typeof value !== 'object') {
+        return false;
+    }
+    const prototype = Object.getPrototypeOf(value);
+    return prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * Copy of a field value with sensitive keys replaced and long strings cut
+ */
+function redact(value, depth = 0) {
+    if (value instanceof Error) {
+        return serializeError(value);
+    }
+    if (Buffer.isBuffer(value) || ArrayBuffer.isView(value)) {
+        return `[${value.byteLength} bytes]`;
+    }
+    if (Array.isArray(value)) {
+        return depth >= MAX_DEPTH ? '[Array]' : value.map(item => redact(item, depth + 1));
+    }
+    if (isPlainObject(value)) {
+        if (depth >= MAX_DEPTH) {
+            return '[Object]';
+        }
+        const copy = {};
+        for (const [key, item] of Object.entries(value)) {
+            copy[key] = SENSITIVE_FIELDS.test(key) && item !== undefined && item !== null ? REDACTED : redact(item, depth + 1);
+        }
+        return copy;
+    }
+    return truncate(value);
+}
+
+class Logger {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.level]  lowest level written (debug, info, warn, error)
+     * @param {object} [options.fields] added to every line, e.g. { requestId }
+     * @param {function} [options.write] receives (level, line); stdout/stderr by default
+     */
+    constructor({ level = 'info', fields = {}, write = writeLine } = {}) {
+        this.level = LOG_LEVELS[level] ? level : 'info';
+        this.fields = fields;
+        this.write = write;
+    }
+
+    /**
+     * Logger adding fields to every line of this one
+     */
+    child(fields) {
+        return new Logger({ level: this.level, fields: { ...this.fields, ...fields }, write: this.write });
+    }
+
+    isEnabled(level) {
+        return LOG_LEVELS[level] >= LOG_LEVELS[this.level];
+    }
+
+    log(level, msg, args) {
+        if (!this.isEnabled(level)) {
+            return;
+        }
+        const fields = {};
+        const text = [typeof msg === 'string' ? msg : util.inspect(msg)];
+        for (const arg of args) {
+            if (arg instanceof Error) {
+                fields.error = serializeError(arg);
+            } else if (isPlainObject(arg)) {
+                Object.assign(fields, arg);
+            } else if (arg !== undefined) {
+                text.push(typeof arg === 'string' ? arg : util.inspect(arg, { depth: 2, breakLength: Infinity }));
+            }
+        }
+        const record = {
+            time: new Date().toISOString(),
+            level,
+            msg: truncate(text.join(' ')),
+            ...redact({ ...this.fields, ...fields })
+        };
+        this.write(level, JSON.stringify(record));
+    }
+
+    debug(msg, ...args) {
+        this.log('debug', msg, args);
+    }
+
+    info(msg, ...args) {
+        this.log('info', msg, args);
+    }
+
+    warn(msg, ...args) {
+        this.log('warn', msg, args);
+    }
+
+    error(msg, ...args) {
+        this.log('error', msg, args);
+    }
+}
+
+function writeLine(level, line) {
+    (LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+/**
+ * Logger at LOG_LEVEL (default info)
+ */
+function createLogger(fields = {}) {
+    return new Logger({ level: (process.env.LOG_LEVEL || 'info').toLowerCase(), fields });
+}
+
+module.exports = {
+    LOG_LEVELS,
+    Logger,
+    createLogger,
+    redact,
+    redactUrl,
+    resolveRequestId
+};
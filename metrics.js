@@ -0,0 +1,252 @@
+const client = require('prom-client');
+const { classifyRenderError } = require('./api_errors');
+
+/**
+ * Prometheus metrics for GET /metrics
+ * Render metrics are recorded by generatePDF in index.js from the timings the
+ * worker returns, admission waits by the admission controller's hooks; pool metrics
+ * are read from Piscina (recordTiming) at scrape time. Renders queue in the admission
+ * lanes, not in Piscina, so their wait is measured there.
+ */
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const RENDER_BUCKETS = [0.1, 0.25, 0.5, 1, 2, 5, 10, 20, 40];
+
+const renderDuration = new client.Histogram({
+    name: 'pdf_render_duration_seconds',
+    help: 'Time from submitting a render to the pool until the PDF is back',
+    labelNames: ['template', 'outcome'],
+    buckets: RENDER_BUCKETS,
+    registers: [register]
+});
+
+const bridgeSpawnDuration = new client.Histogram({
+    name: 'pdf_bridge_spawn_seconds',
+    help: 'Time for a Python bridge process to start and report ready',
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2, 5],
+    registers: [register]
+});
+
+const bridgeRenderDuration = new client.Histogram({
+    name: 'pdf_bridge_render_seconds',
+    help: 'Time from sending a request frame to the bridge until its response frame arrives',
+    buckets: RENDER_BUCKETS,
+    registers: [register]
+});
+
+const pdfSize = new client.Histogram({
+    name: 'pdf_size_bytes',
+    help: 'Size of rendered PDFs',
+    buckets: client.exponentialBuckets(10 * 1024, 4, 8), // 10KB .. 160MB
+    registers: [register]
+});
+
+const renderErrors = new client.Counter({
+    name: 'pdf_render_errors_total',
+    help: 'Failed renders by category',
+    labelNames: ['category'],
+    registers: [register]
+});
+
+const blockedFetches = new client.Counter({
+    name: 'pdf_blocked_resources_total',
+    help: 'Resource fetches refused by the fetch policy, by reason',
+    labelNames: ['reason'],
+    registers: [register]
+});
+
+const admissionRejections = new client.Counter({
+    name: 'pdf_admission_rejected_total',
+    help: 'Renders refused or shed by admission control, by lane and reason',
+    labelNames: ['lane', 'reason'],
+    registers: [register]
+});
+
+const admissionWait = new client.Histogram({
+    name: 'pdf_admission_wait_seconds',
+    help: 'Time renders waited in their admission lane before a worker took them, by lane',
+    labelNames: ['lane'],
+    buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 20, 40],
+    registers: [register]
+});
+
+const httpRequests = new client.Counter({
+    name: 'http_requests_total',
+    help: 'HTTP responses by method, route and status code',
+    labelNames: ['method', 'route', 'status'],
+    registers: [register]
+});
+
+const httpDuration = new client.Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request duration by method and route',
+    labelNames: ['method', 'route'],
+    buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 20, 45],
+    registers: [register]
+});
+
+/**
+ * "name@3" -> "name"; caller-supplied HTML is labelled "inline".
+ * Versions are dropped so every upload does not create a new series.
+ */
+function templateLabel(template) {
+    return template ? template.split('@')[0] : 'inline';
+}
+
+function observeRender({ template, seconds, size, timings = {}, blockedResources = [] }) {
+    renderDuration.observe({ template: templateLabel(template), outcome: 'success' }, seconds);
+    pdfSize.observe(size);
+    if (typeof timings.spawnMs === 'number') {
+        bridgeSpawnDuration.observe(timings.spawnMs / 1000);
+    }
+    if (typeof timings.bridgeMs === 'number') {
+        bridgeRenderDuration.observe(timings.bridgeMs / 1000);
+    }
+    for (const { reason } of blockedResources) {
+        blockedFetches.inc({ reason });
+    }
+}
+
+function observeRenderError({ template, seconds, error }) {
+    renderDuration.observe({ template: templateLabel(template), outcome: 'error' }, seconds);
+    renderErrors.inc({ category: classifyRenderError(error) });
+}
+
+/**
+ * onReject hook for AdmissionController; reason is queue_full, deadline, expired, aborted or shutdown
+ */
+function observeAdmissionRejection({ lane, reason }) {
+    admissionRejections.inc({ lane, reason });
+}
+
+/**
+ * onAdmit hook for AdmissionController
+ */
+function observeAdmissionWait({ lane, waitMs }) {
+    admissionWait.observe({ lane }, waitMs / 1000);
+}
+
+/**
+ * Express middleware counting responses; routes are labelled by their pattern
+ * (/jobs/:id) so ids never become label values
+ */
+function httpMetrics(req, res, next) {
+    const end = httpDuration.startTimer();
+    res.on('finish', () => {
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+        httpRequests.inc({ method: req.method, route, status: res.statusCode });
+        end({ method: req.method, route });
+    });
+    next();
+}
+
+/**
+ * Expose Piscina's pool state and recordTiming histograms, read on every scrape
+ */
+function registerPoolMetrics(pool) {
+    const quantiles = { p50: '0.5', p90: '0.9', p99: '0.99' };
+    const summaryGauge = (name, help, summary) => new client.Gauge({
+        name,
+        help,
+        labelNames: ['quantile'],
+        registers: [register],
+        collect() {
+            const values = summary();
+            for (const [key, quantile] of Object.entries(quantiles)) {
+                // Piscina records milliseconds
+                this.set({ quantile }, (values[key] || 0) / 1000);
+            }
+        }
+    });
+
+    summaryGauge('pdf_pool_run_seconds', 'Time tasks ran on a Piscina worker', () => pool.histogram.runTime);
+
+    new client.Gauge({
+        name: 'pdf_pool_threads',
+        help: 'Worker threads in the pool',
+        registers: [register],
+        collect() {
+            this.set(pool.threads.length);
+        }
+    });
+    new client.Gauge({
+        name: 'pdf_pool_queue_size',
+        help: 'Tasks waiting for a worker',
+        registers: [register],
+        collect() {
+            this.set(pool.queueSize);
+        }
+    });
+    new client.Gauge({
+        name: 'pdf_pool_utilization',
+        help: 'Share of pool capacity spent running tasks (0-1)',
+        registers: [register],
+        collect() {
+            this.set(pool.utilization);
+        }
+    });
+}
+
+/**
+ * Expose admission control lanes, read on every scrape
+ */
+function registerAdmissionMetrics(admission) {
+    new client.Gauge({
+        name: 'pdf_admission_queued',
+        help: 'Renders waiting for admission, by lane',
+        labelNames: ['lane'],
+        registers: [register],
+        collect() {
+            for (const [lane, queued] of Object.entries(admission.stats().queued)) {
+                this.set({ lane }, queued);
+            }
+        }
+    });
+    new client.Gauge({
+        name: 'pdf_admission_in_flight',
+        help: 'Renders handed to the worker pool',
+        registers: [register],
+        collect() {
+            this.set(admission.inFlight);
+        }
+    });
+}
+
+/**
+ * Expose the bridge circuit breaker, read on every scrape
+ */
+function registerBridgeMetrics(supervisor) {
+    new client.Gauge({
+        name: 'pdf_bridge_circuit_state',
+        help: 'Bridge circuit breaker state (1 for the current one)',
+        labelNames: ['state'],
+        registers: [register],
+        collect() {
+            for (const state of ['closed', 'open', 'half_open']) {
+                this.set({ state }, supervisor.state === state ? 1 : 0);
+            }
+        }
+    });
+    new client.Gauge({
+        name: 'pdf_bridge_consecutive_failures',
+        help: 'Bridge failures since the last successful render',
+        registers: [register],
+        collect() {
+            this.set(supervisor.consecutiveFailures);
+        }
+    });
+}
+
+module.exports = {
+    httpMetrics,
+    observeAdmissionRejection,
+    observeAdmissionWait,
+    observeRender,
+    observeRenderError,
+    register,
+    registerAdmissionMetrics,
+    registerBridgeMetrics,
+    registerPoolMetrics
+};
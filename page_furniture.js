@@ -0,0 +1,148 @@
+const { parseTemplateRef } = require('./template_store');
+
+/**
+ * Page furniture: a header, footer and cover page composed into a document from
+ * separate templates or inline HTML, so one letterhead can serve every template
+ *   header, footer  placed in the top and bottom page margins of every page but the
+ *                   cover, as CSS running elements (position: running()) shown by
+ *                   @page margin boxes
+ *   cover           a first page of its own, without header and footer
+ * Each part may use {{pageNumber}}, {{totalPages}} and {{renderDate}} besides its data.
+ */
+
+const FURNITURE_PARTS = ['header', 'footer', 'cover'];
+
+// Markup standing in for {{pageNumber}} and {{totalPages}}; the page counters fill it in
+const PAGE_NUMBER_HTML = '<span class="pdf-page-number"></span>';
+const TOTAL_PAGES_HTML = '<span class="pdf-total-pages"></span>';
+
+/**
+ * Validate the header, footer and cover fields of a document description. Each is a
+ * template reference ("letterhead", "letterhead@2"), { template, data } or { html, data };
+ * multipart bodies send the objects as JSON strings. data defaults to the document's.
+ * Returns { furniture, errors } where furniture is null when no part was sent.
+ */
+function validateFurniture(body, { at = name => name, maxHtmlSize }) {
+    const errors = [];
+    const furniture = {};
+
+    for (const part of FURNITURE_PARTS) {
+        let value = body[part];
+        if (value === undefined || value === null) {
+            continue;
+        }
+        if (typeof value === 'string' && value.trim().startsWith('{')) {
+            try {
+                value = JSON.parse(value);
+            } catch (error) {
+                errors.push({ field: at(part), message: `${part} must be valid JSON` });
+                continue;
+            }
+        }
+        if (typeof value === 'string') {
+            value = { template: value };
+        }
+        if (typeof value !== 'object' || Array.isArray(value)) {
+            errors.push({ field: at(part), message: `${part} must be a template name or an object with template or html` });
+            continue;
+        }
+
+        const unknown = Object.keys(value).filter(key => !['template', 'html', 'data'].includes(key));
+        if (unknown.length > 0) {
+            errors.push({ field: at(part), message: `${part} has unknown field(s): ${unknown.join(', ')}` });
+        }
+        if ((value.template === undefined) === (value.html === undefined)) {
+            errors.push({ field: at(part), message: `${part} needs exactly one of template or html` });
+        } else if (value.template !== undefined && !parseTemplateRef(value.template)) {
+            errors.push({ field: at(`${part}.template`), message: `${part}.template must be a template name, optionally followed by @<version>` });
+        } else if (value.html !== undefined && (typeof value.html !== 'string' || value.html.trim() === '')) {
+            errors.push({ field: at(`${part}.html`), message: `${part}.html must be a non-empty string` });
+        } else if (value.html !== undefined && Buffer.byteLength(value.html, 'utf8') > maxHtmlSize) {
+            errors.push({ field: at(`${part}.html`), message: `${part}.html exceeds the maximum size of ${maxHtmlSize} bytes` });
+        }
+        if (value.data !== undefined && (value.data === null || typeof value.data !== 'object' || Array.isArray(value.data))) {
+            errors.push({ field: at(`${part}.data`), message: `${part}.data must be an object` });
+        }
+
+        furniture[part] = { template: value.template, html: value.html, data: value.data };
+    }
+
+    return { furniture: Object.keys(furniture).length > 0 ? furniture : null, errors };
+}
+
+/**
+ * Variables every part may use besides its data; rawHtml marks markup Handlebars
+ * must not escape
+ */
+function furnitureVariables(rawHtml, now = new Date()) {
+    return {
+        pageNumber: rawHtml(PAGE_NUMBER_HTML),
+        totalPages: rawHtml(TOTAL_PAGES_HTML),
+        renderDate: now.toISOString().slice(0, 10)
+    };
+}
+
+/**
+ * Stylesheet placing the parts that are present
+ */
+function furnitureCss({ header, footer, cover }) {
+    const rules = [];
+    const marginBoxes = [];
+    if (header) {
+        rules.push('.pdf-running-header { position: running(pdf-header); }');
+        marginBoxes.push('@top-center { content: element(pdf-header); width: 100%; vertical-align: bottom; }');
+    }
+    if (footer) {
+        rules.push('.pdf-running-footer { position: running(pdf-footer); }');
+        marginBoxes.push('@bottom-center { content: element(pdf-footer); width: 100%; vertical-align: top; }');
+    }
+    if (marginBoxes.length > 0) {
+        rules.push(`@page { ${marginBoxes.join(' ')} }`);
+    }
+    if (cover) {
+        rules.push('.pdf-cover { page: pdf-cover; break-after: page; }');
+        rules.push('@page pdf-cover { @top-center { content: none; } @bottom-center { content: none; } }');
+    }
+    rules.push('.pdf-page-number::before { content: counter(page); }');
+    rules.push('.pdf-total-pages::before { content: counter(pages); }');
+    return rules.join('\n');
+}
+
+/**
+ * Insert text right after the first match of an opening tag; null when there is none
+ */
+function insertAfterTag(html, tagPattern, text) {
+    const match = tagPattern.exec(html);
+    if (!match) {
+        return null;
+    }
+    const at = match.index + match[0].length;
+    return html.slice(0, at) + text + html.slice(at);
+}
+
+/**
+ * Compose rendered parts ({ header, footer, cover }, HTML or null) into a document.
+ * The stylesheet opens <head>, so the document's own @page rules take precedence;
+ * the parts open <body>, running elements first so they apply from the first page.
+ */
+function composeDocument(html, parts) {
+    const style = `<style>\n${furnitureCss(parts)}\n</style>`;
+    const elements = [
+        parts.header ? `<div class="pdf-running-header">${parts.header}</div>` : '',
+        parts.footer ? `<div class="pdf-running-footer">${parts.footer}</div>` : '',
+        parts.cover ? `<section class="pdf-cover">${parts.cover}</section>` : ''
+    ].join('');
+
+    const withStyle = insertAfterTag(html, /<head\b[^>]*>/i, style);
+    const source = withStyle === null ? html : withStyle;
+    const block = withStyle === null ? style + elements : elements;
+    const composed = insertAfterTag(source, /<body\b[^>]*>/i, block);
+    return composed === null ? block + source : composed;
+}
+
+module.exports = {
+    FURNITURE_PARTS,
+    composeDocument,
+    furnitureVariables,
+    validateFurniture
+};
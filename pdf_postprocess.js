@@ -0,0 +1,454 @@
+const crypto = require('crypto');
+const { PDFDocument, StandardFonts, degrees, rgb } = require('pdf-lib');
+const { ApiError } = require('./api_errors');
+
+/**
+ * Post-processing of rendered PDFs for POST /pdf, applied in this order:
+ *
+ * {
+ *   pages: '1-3,5,8-',                       // keep these pages of the render
+ *   prepend: [part], append: [part],         // merge other documents before / after it
+ *   watermark: { text | image | upload, opacity, size, rotate, color, pages },
+ *   header: { text, align, size, color, pages },   // text may use {page} and {pages}
+ *   footer: { text, align, size, color, pages },
+ *   bates: { prefix, suffix, start, digits, position }
+ * }
+ *
+ * A part is { pdf: '<base64>' }, { upload: '<multipart file field>' } or a document
+ * to render ({ html | template, data, css, options }). `pages` on stamps counts pages
+ * of the final document. Stamps use the standard PDF fonts, so their text is limited
+ * to Latin-1.
+ */
+
+const MAX_PARTS = 20;
+const MAX_TEXT_LENGTH = 200;
+const ALIGNMENTS = ['left', 'center', 'right'];
+const BATES_POSITIONS = ['top-left', 'top-center', 'top-right', 'bottom-left', 'bottom-center', 'bottom-right'];
+const PAGE_RANGES = /^\s*\d+\s*(-\s*\d*\s*)?(,\s*\d+\s*(-\s*\d*\s*)?)*$/;
+const COLOR = /^#[0-9a-f]{6}$/i;
+
+// Distance of header, footer and Bates stamps from the page edges (10mm)
+const STAMP_MARGIN = 28.35;
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47]);
+const JPEG_SIGNATURE = Buffer.from([0xff, 0xd8, 0xff]);
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Parse "1-3,5,8-" into [{ from, to }] (1-based, to null for "to the end"), or null
+ */
+function parsePageRanges(value) {
+    if (typeof value !== 'string' || !PAGE_RANGES.test(value)) {
+        return null;
+    }
+    const ranges = value.split(',').map(part => {
+        const [from, to] = part.split('-').map(bound => bound.trim());
+        return {
+            from: Number(from),
+            to: to === undefined ? Number(from) : (to === '' ? null : Number(to))
+        };
+    });
+    return ranges.every(({ from, to }) => from >= 1 && (to === null || to >= from)) ? ranges : null;
+}
+
+/**
+ * True when 1-based pageNumber lies in ranges (null ranges select every page)
+ */
+function inRanges(ranges, pageNumber) {
+    return ranges === null || ranges.some(({ from, to }) => pageNumber >= from && (to === null || pageNumber <= to));
+}
+
+/**
+ * Field validation helpers collecting { field, message } into errors
+ */
+function checker(errors) {
+    return {
+        text(value, field, { required = false } = {}) {
+            if (value === undefined && !required) {
+                return undefined;
+            }
+            if (typeof value !== 'string' || value.trim() === '' || value.length > MAX_TEXT_LENGTH) {
+                errors.push({ field, message: `${field} must be a non-empty string (max ${MAX_TEXT_LENGTH} characters)` });
+            }
+            return value;
+        },
+        number(value, field, min, max, defaultValue) {
+            if (value === undefined) {
+                return defaultValue;
+            }
+            if (typeof value !== 'number' || !(value >= min && value <= max)) {
+                errors.push({ field, message: `${field} must be a number from ${min} to ${max}` });
+            }
+            return value;
+        },
+        oneOf(value, field, allowed, defaultValue) {
+            if (value === undefined) {
+                return defaultValue;
+            }
+            if (!allowed.includes(value)) {
+                errors.push({ field, message: `${field} must be one of ${allowed.join(', ')}` });
+            }
+            return value;
+        },
+        color(value, field, defaultValue) {
+            if (value === undefined) {
+                return defaultValue;
+            }
+            if (typeof value !== 'string' || !COLOR.test(value)) {
+                errors.push({ field, message: `${field} must be a hex color such as "#808080"` });
+            }
+            return value;
+        },
+        pages(value, field) {
+            if (value === undefined) {
+                return null;
+            }
+            const ranges = parsePageRanges(value);
+            if (ranges === null) {
+                errors.push({ field, message: `${field} must be page ranges such as "1-3,5,8-"` });
+            }
+            return ranges;
+        },
+        unknown(value, field, allowed) {
+            for (const key of Object.keys(value)) {
+                if (!allowed.includes(key)) {
+                    errors.push({ field: `${field}.${key}`, message: `Unknown field '${key}'` });
+                }
+            }
+        }
+    };
+}
+
+/**
+ * Validate and normalize a postprocess spec
+ * @param {object} value   the spec as sent
+ * @param {object} context
+ * @param {object} context.files             multipart files by field name ({ name: [{ buffer }] })
+ * @param {function} context.validateDocument validates a part to render: (part, field) => { input, errors }
+ * @param {string} [context.field]           prefix for error fields
+ * @returns {{ spec, errors, uploads }} spec has Buffers in place of base64 and uploads,
+ *   uploads is the set of file fields it used
+ */
+function validatePostProcess(value, { files, validateDocument, field = 'postprocess' }) {
+    const errors = [];
+    const uploads = new Set();
+    const check = checker(errors);
+
+    check.unknown(value, field, ['pages', 'prepend', 'append', 'watermark', 'header', 'footer', 'bates']);
+
+    const binary = (source, sourceField) => {
+        if (source.upload !== undefined) {
+            const file = typeof source.upload === 'string' && files[source.upload];
+            if (!file) {
+                errors.push({ field: `${sourceField}.upload`, message: `${sourceField}.upload must name a file sent with the request` });
+                return null;
+            }
+            uploads.add(source.upload);
+            return file[0].buffer;
+        }
+        const encoded = source.pdf !== undefined ? source.pdf : source.image;
+        if (typeof encoded !== 'string' || encoded === '' || !/^[A-Za-z0-9+/]+={0,2}$/.test(encoded)) {
+            errors.push({ field: sourceField, message: `${sourceField} must be base64 encoded` });
+            return null;
+        }
+        return Buffer.from(encoded, 'base64');
+    };
+
+    const spec = {
+        pages: check.pages(value.pages, `${field}.pages`),
+        prepend: [],
+        append: [],
+        watermark: null,
+        header: null,
+        footer: null,
+        bates: null
+    };
+
+    for (const side of ['prepend', 'append']) {
+        const parts = value[side];
+        if (parts === undefined) {
+            continue;
+        }
+        if (!Array.isArray(parts) || parts.length > MAX_PARTS) {
+            errors.push({ field: `${field}.${side}`, message: `${field}.${side} must be an array of at most ${MAX_PARTS} documents` });
+            continue;
+        }
+        parts.forEach((part, index) => {
+            const partField = `${field}.${side}[${index}]`;
+            if (!isPlainObject(part)) {
+                errors.push({ field: partField, message: `${partField} must be an object` });
+            } else if (part.pdf !== undefined || part.upload !== undefined) {
+                check.unknown(part, partField, ['pdf', 'upload']);
+                spec[side].push({ pdf: binary(part, part.pdf !== undefined ? `${partField}.pdf` : partField) });
+            } else {
+                const result = validateDocument(part, partField);
+                errors.push(...result.errors);
+                spec[side].push({ document: result.input });
+            }
+        });
+    }
+
+    const { watermark } = value;
+    if (watermark !== undefined) {
+        const wmField = `${field}.watermark`;
+        if (!isPlainObject(watermark)) {
+            errors.push({ field: wmField, message: `${wmField} must be an object` });
+        } else {
+            check.unknown(watermark, wmField, ['text', 'image', 'upload', 'opacity', 'size', 'rotate', 'color', 'pages']);
+            const isText = watermark.image === undefined && watermark.upload === undefined;
+            spec.watermark = {
+                text: isText ? check.text(watermark.text, `${wmField}.text`, { required: true }) : undefined,
+                image: isText ? null : binary(watermark, watermark.image !== undefined ? `${wmField}.image` : wmField),
+                opacity: check.number(watermark.opacity, `${wmField}.opacity`, 0, 1, 0.2),
+                // Font size in points for text, fraction of the page width for images
+                size: check.number(watermark.size, `${wmField}.size`, isText ? 4 : 0.05, isText ? 400 : 1, isText ? 72 : 0.5),
+                rotate: check.number(watermark.rotate, `${wmField}.rotate`, -360, 360, 45),
+                color: check.color(watermark.color, `${wmField}.color`, '#808080'),
+                pages: check.pages(watermark.pages, `${wmField}.pages`)
+            };
+            if (!isText && watermark.text !== undefined) {
+                errors.push({ field: `${wmField}.text`, message: `${wmField} takes either text or an image` });
+            }
+        }
+    }
+
+    for (const edge of ['header', 'footer']) {
+        const stamp = value[edge];
+        if (stamp === undefined) {
+            continue;
+        }
+        const stampField = `${field}.${edge}`;
+        if (!isPlainObject(stamp)) {
+            errors.push({ field: stampField, message: `${stampField} must be an object` });
+            continue;
+        }
+        check.unknown(stamp, stampField, ['text', 'align', 'size', 'color', 'pages']);
+        spec[edge] = {
+            text: check.text(stamp.text, `${stampField}.text`, { required: true }),
+            align: check.oneOf(stamp.align, `${stampField}.align`, ALIGNMENTS, 'center'),
+            size: check.number(stamp.size, `${stampField}.size`, 4, 72, 9),
+            color: check.color(stamp.color, `${stampField}.color`, '#000000'),
+            pages: check.pages(stamp.pages, `${stampField}.pages`)
+        };
+    }
+
+    const { bates } = value;
+    if (bates !== undefined) {
+        const batesField = `${field}.bates`;
+        if (!isPlainObject(bates)) {
+            errors.push({ field: batesField, message: `${batesField} must be an object` });
+        } else {
+            check.unknown(bates, batesField, ['prefix', 'suffix', 'start', 'digits', 'position', 'size']);
+            spec.bates = {
+                prefix: bates.prefix === undefined ? '' : check.text(bates.prefix, `${batesField}.prefix`),
+                suffix: bates.suffix === undefined ? '' : check.text(bates.suffix, `${batesField}.suffix`),
+                start: check.number(bates.start, `${batesField}.start`, 0, 1e12, 1),
+                digits: check.number(bates.digits, `${batesField}.digits`, 1, 12, 6),
+                position: check.oneOf(bates.position, `${batesField}.position`, BATES_POSITIONS, 'bottom-right'),
+                size: check.number(bates.size, `${batesField}.size`, 4, 72, 9)
+            };
+            if (!Number.isInteger(spec.bates.start) || !Number.isInteger(spec.bates.digits)) {
+                errors.push({ field: batesField, message: `${batesField}.start and digits must be whole numbers` });
+            }
+        }
+    }
+
+    return { spec, errors, uploads };
+}
+
+/**
+ * Stable digest of a normalized spec for render cache keys (Buffers hashed, not inlined)
+ */
+function postProcessKey(spec) {
+    const json = JSON.stringify(spec, function (key, value) {
+        const original = this[key];
+        return Buffer.isBuffer(original)
+            ? crypto.createHash('sha256').update(original).digest('hex')
+            : value;
+    });
+    return crypto.createHash('sha256').update(json).digest('hex');
+}
+
+function postProcessError(message) {
+    return new ApiError(422, 'POSTPROCESS_FAILED', message);
+}
+
+async function loadPdf(buffer, description) {
+    try {
+        return await PDFDocument.load(buffer);
+    } catch (error) {
+        throw postProcessError(`${description} is not a readable, unencrypted PDF`);
+    }
+}
+
+function hexColor(value) {
+    const channel = offset => parseInt(value.slice(offset, offset + 2), 16) / 255;
+    return rgb(channel(1), channel(3), channel(5));
+}
+
+/**
+ * Report text the standard fonts cannot encode as a client error before it is measured or drawn
+ */
+function checkEncodable(font, text, description) {
+    try {
+        font.encodeText(text);
+    } catch (error) {
+        throw postProcessError(`${description} contains characters the standard PDF fonts cannot draw (Latin-1 only)`);
+    }
+}
+
+/**
+ * Keep only the pages selected by ranges, in document order
+ */
+function extractPages(doc, ranges) {
+    const count = doc.getPageCount();
+    const highest = Math.max(...ranges.map(({ from, to }) => (to === null ? from : to)));
+    if (highest > count) {
+        throw postProcessError(`pages selects page ${highest} but the document has ${count} page(s)`);
+    }
+    for (let index = count - 1; index >= 0; index--) {
+        if (!inRanges(ranges, index + 1)) {
+            doc.removePage(index);
+        }
+    }
+}
+
+async function mergeParts(doc, buffers, side) {
+    let insertAt = 0;
+    for (const [index, buffer] of buffers.entries()) {
+        const source = await loadPdf(buffer, `${side}[${index}]`);
+        const pages = await doc.copyPages(source, source.getPageIndices());
+        for (const page of pages) {
+            if (side === 'prepend') {
+                doc.insertPage(insertAt++, page);
+            } else {
+                doc.addPage(page);
+            }
+        }
+    }
+}
+
+async function drawWatermark(doc, watermark) {
+    let image = null;
+    let font = null;
+    if (watermark.image) {
+        if (watermark.image.subarray(0, 4).equals(PNG_SIGNATURE)) {
+            image = await doc.embedPng(watermark.image);
+        } else if (watermark.image.subarray(0, 3).equals(JPEG_SIGNATURE)) {
+            image = await doc.embedJpg(watermark.image);
+        } else {
+            throw postProcessError('watermark image must be a PNG or JPEG');
+        }
+    } else {
+        font = await doc.embedFont(StandardFonts.HelveticaBold);
+        checkEncodable(font, watermark.text, 'watermark text');
+    }
+
+    const angle = watermark.rotate * Math.PI / 180;
+    doc.getPages().forEach((page, index) => {
+        if (!inRanges(watermark.pages, index + 1)) {
+            return;
+        }
+        const box = page.getMediaBox();
+        let width;
+        let height;
+        if (image) {
+            width = box.width * watermark.size;
+            height = width * image.height / image.width;
+        } else {
+            width = font.widthOfTextAtSize(watermark.text, watermark.size);
+            height = font.heightAtSize(watermark.size);
+        }
+
+        // pdf-lib rotates around the drawing origin; place it so the mark is centred on the page
+        const x = box.x + box.width / 2 - (width / 2) * Math.cos(angle) + (height / 2) * Math.sin(angle);
+        const y = box.y + box.height / 2 - (width / 2) * Math.sin(angle) - (height / 2) * Math.cos(angle);
+        const options = { x, y, opacity: watermark.opacity, rotate: degrees(watermark.rotate) };
+        if (image) {
+            page.drawImage(image, { ...options, width, height });
+        } else {
+            page.drawText(watermark.text, { ...options, font, size: watermark.size, color: hexColor(watermark.color) });
+        }
+    });
+}
+
+/**
+ * Draw text on one line along the top or bottom edge of a page
+ */
+function stampLine(page, text, { font, size, color, align, edge }) {
+    const box = page.getMediaBox();
+    const width = font.widthOfTextAtSize(text, size);
+    const x = align === 'left'
+        ? box.x + STAMP_MARGIN
+        : align === 'right'
+            ? box.x + box.width - STAMP_MARGIN - width
+            : box.x + (box.width - width) / 2;
+    const y = edge === 'top'
+        ? box.y + box.height - STAMP_MARGIN - font.heightAtSize(size)
+        : box.y + STAMP_MARGIN;
+    page.drawText(text, { x, y, font, size, color });
+}
+
+async function drawStamps(doc, { header, footer, bates }) {
+    const font = await doc.embedFont(StandardFonts.Helvetica);
+    const pages = doc.getPages();
+
+    for (const [edge, stamp] of [['top', header], ['bottom', footer]]) {
+        if (!stamp) {
+            continue;
+        }
+        checkEncodable(font, stamp.text, `${edge === 'top' ? 'header' : 'footer'} text`);
+        pages.forEach((page, index) => {
+            if (!inRanges(stamp.pages, index + 1)) {
+                return;
+            }
+            const text = stamp.text.replace(/\{page\}/g, index + 1).replace(/\{pages\}/g, pages.length);
+            stampLine(page, text, { font, size: stamp.size, color: hexColor(stamp.color), align: stamp.align, edge });
+        });
+    }
+
+    if (bates) {
+        checkEncodable(font, `${bates.prefix}${bates.suffix}`, 'bates prefix or suffix');
+        const [edge, align] = bates.position.split('-');
+        pages.forEach((page, index) => {
+            const number = String(bates.start + index).padStart(bates.digits, '0');
+            stampLine(page, `${bates.prefix}${number}${bates.suffix}`, { font, size: bates.size, color: rgb(0, 0, 0), align, edge });
+        });
+    }
+}
+
+/**
+ * Apply a normalized spec to a rendered PDF
+ * @param {Buffer} pdfBuffer
+ * @param {object} spec     from validatePostProcess
+ * @param {object} parts    { prepend: [Buffer], append: [Buffer] } with rendered parts filled in
+ * @returns {Promise<Buffer>}
+ */
+async function postProcessPdf(pdfBuffer, spec, parts) {
+    const doc = await PDFDocument.load(pdfBuffer);
+
+    if (spec.pages) {
+        extractPages(doc, spec.pages);
+    }
+    await mergeParts(doc, parts.prepend, 'prepend');
+    await mergeParts(doc, parts.append, 'append');
+    if (spec.watermark) {
+        await drawWatermark(doc, spec.watermark);
+    }
+    if (spec.header || spec.footer || spec.bates) {
+        await drawStamps(doc, spec);
+    }
+
+    const bytes = await doc.save();
+    return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+module.exports = {
+    parsePageRanges,
+    postProcessKey,
+    postProcessPdf,
+    validatePostProcess
+};
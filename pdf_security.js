@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Encryption, permissions and digital signatures for POST /pdf (`security` in the body):
+ *
+ * {
+ *   userPassword: '...',                   // needed to open the PDF
+ *   ownerPassword: '...',                  // needed to lift the restrictions (random when omitted)
+ *   permissions: { print: true | false | 'low', copy: bool, modify: bool, annotate: bool },
+ *   sign: { key: 'finance', reason, location, contact, visible: true,
+ *           page: 'first' | 'last', box: { x, y, width, height } }   // points from the bottom left
+ * }
+ *
+ * Signing keys are PKCS#12 files listed in the keystore (SIGNING_KEYSTORE), never
+ * taken from the request:
+ *
+ * {
+ *   "keys": {
+ *     "finance": {
+ *       "pkcs12": "/etc/pdf-signing/finance.p12",
+ *       "passphraseEnv": "FINANCE_P12_PASSPHRASE",
+ *       "tenants": ["billing"]
+ *     }
+ *   }
+ * }
+ *
+ * `tenants` limits a key to those tenants; keys without it are available to every caller.
+ * The bridge applies the result (its `secure` op) as the very last step, since any later
+ * change to the PDF would invalidate the signature.
+ */
+
+const PERMISSIONS = ['print', 'copy', 'modify', 'annotate'];
+const MAX_PASSWORD_LENGTH = 127; // AES-256 (R6) passwords are truncated at 127 bytes
+const MAX_FIELD_LENGTH = 200;
+const DEFAULT_SIGNATURE_BOX = { x: 36, y: 36, width: 220, height: 60 };
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validate one keystore entry; throws on configuration mistakes so startup fails loudly
+ */
+function normalizeKey(id, entry, baseDir) {
+    const problems = [];
+    if (typeof entry.pkcs12 !== 'string' || entry.pkcs12 === '') {
+        problems.push('pkcs12 must be the path of a PKCS#12 file');
+    }
+    if (entry.passphraseEnv !== undefined && typeof entry.passphraseEnv !== 'string') {
+        problems.push('passphraseEnv must name an environment variable');
+    }
+    if (entry.tenants !== undefined && !(Array.isArray(entry.tenants) && entry.tenants.every(t => typeof t === 'string'))) {
+        problems.push('tenants must be a list of tenant ids');
+    }
+
+    const file = typeof entry.pkcs12 === 'string' ? path.resolve(baseDir, entry.pkcs12) : null;
+    if (file && !fs.existsSync(file)) {
+        problems.push(`pkcs12 file ${file} does not exist`);
+    }
+    if (entry.passphraseEnv && process.env[entry.passphraseEnv] === undefined) {
+        problems.push(`environment variable ${entry.passphraseEnv} is not set`);
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid signing key '${id}': ${problems.join('; ')}`);
+    }
+
+    return {
+        id,
+        pkcs12: file,
+        passphrase: entry.passphraseEnv ? process.env[entry.passphraseEnv] : null,
+        tenants: entry.tenants || null
+    };
+}
+
+class Keystore {
+    /**
+     * @param {object|null} config parsed keystore file; null disables signing
+     * @param {string} [baseDir] relative pkcs12 paths resolve against it
+     */
+    constructor(config, baseDir = process.cwd()) {
+        this.keys = new Map();
+        for (const [id, entry] of Object.entries((config && config.keys) || {})) {
+            this.keys.set(id, normalizeKey(id, entry, baseDir));
+        }
+    }
+
+    /**
+     * Load SIGNING_KEYSTORE; without one signing requests are refused
+     */
+    static fromFile(file) {
+        if (!file) {
+            return new Keystore(null);
+        }
+        return new Keystore(JSON.parse(fs.readFileSync(file, 'utf8')), path.dirname(path.resolve(file)));
+    }
+
+    /**
+     * The key `id` if `tenant` (null without authentication) may sign with it
+     */
+    keyFor(id, tenant) {
+        const key = this.keys.get(id);
+        if (!key || (key.tenants && !key.tenants.includes(tenant))) {
+            return null;
+        }
+        return key;
+    }
+}
+
+/**
+ * Validate and normalize a security spec into what the bridge's secure op expects:
+ *   { encryption: { user_password, owner_password, permissions } | null,
+ *     sign: { pkcs12, passphrase, reason, location, contact, visible, page, box } | null }
+ * @param {object} value
+ * @param {object} context
+ * @param {Keystore} context.keystore
+ * @param {string|null} context.tenant
+ * @param {string} [context.field]
+ * @returns {{ security, errors }}
+ */
+function validateSecurity(value, { keystore, tenant, field = 'security' }) {
+    const errors = [];
+    const text = (fieldValue, name, max = MAX_FIELD_LENGTH) => {
+        if (fieldValue === undefined) {
+            return null;
+        }
+        if (typeof fieldValue !== 'string' || fieldValue === '' || Buffer.byteLength(fieldValue, 'utf8') > max) {
+            errors.push({ field: `${field}.${name}`, message: `${field}.${name} must be a non-empty string (max ${max} bytes)` });
+            return null;
+        }
+        return fieldValue;
+    };
+    const unknown = (object, prefix, allowed) => {
+        for (const key of Object.keys(object)) {
+            if (!allowed.includes(key)) {
+                errors.push({ field: `${prefix}.${key}`, message: `Unknown field '${key}'` });
+            }
+        }
+    };
+
+    unknown(value, field, ['userPassword', 'ownerPassword', 'permissions', 'sign']);
+    const userPassword = text(value.userPassword, 'userPassword', MAX_PASSWORD_LENGTH);
+    const ownerPassword = text(value.ownerPassword, 'ownerPassword', MAX_PASSWORD_LENGTH);
+
+    const permissions = { print: 'full', copy: true, modify: true, annotate: true };
+    if (value.permissions !== undefined) {
+        if (!isPlainObject(value.permissions)) {
+            errors.push({ field: `${field}.permissions`, message: `${field}.permissions must be an object` });
+        } else {
+            unknown(value.permissions, `${field}.permissions`, PERMISSIONS);
+            for (const name of PERMISSIONS) {
+                const allowed = value.permissions[name];
+                if (allowed === undefined) {
+                    continue;
+                }
+                if (typeof allowed === 'boolean') {
+                    permissions[name] = name === 'print' ? (allowed ? 'full' : 'none') : allowed;
+                } else if (name === 'print' && allowed === 'low') {
+                    permissions.print = 'low';
+                } else {
+                    errors.push({
+                        field: `${field}.permissions.${name}`,
+                        message: `${field}.permissions.${name} must be a boolean${name === 'print' ? " or 'low'" : ''}`
+                    });
+                }
+            }
+        }
+    }
+
+    let encryption = null;
+    if (userPassword !== null || ownerPassword !== null || value.permissions !== undefined) {
+        encryption = {
+            user_password: userPassword || '',
+            // Without an owner password anyone could lift the restrictions
+            owner_password: ownerPassword || crypto.randomBytes(24).toString('base64url'),
+            permissions
+        };
+    }
+
+    let sign = null;
+    if (value.sign !== undefined) {
+        const signField = `${field}.sign`;
+        const spec = value.sign;
+        if (!isPlainObject(spec)) {
+            errors.push({ field: signField, message: `${signField} must be an object` });
+        } else {
+            unknown(spec, signField, ['key', 'reason', 'location', 'contact', 'visible', 'page', 'box']);
+            const key = typeof spec.key === 'string' ? keystore.keyFor(spec.key, tenant) : null;
+            if (!key) {
+                errors.push({ field: `${signField}.key`, message: `${signField}.key must name a signing key available to this client` });
+            }
+            if (spec.visible !== undefined && typeof spec.visible !== 'boolean') {
+                errors.push({ field: `${signField}.visible`, message: `${signField}.visible must be a boolean` });
+            }
+            if (spec.page !== undefined && spec.page !== 'first' && spec.page !== 'last') {
+                errors.push({ field: `${signField}.page`, message: `${signField}.page must be 'first' or 'last'` });
+            }
+            const box = { ...DEFAULT_SIGNATURE_BOX };
+            if (spec.box !== undefined) {
+                if (!isPlainObject(spec.box)) {
+                    errors.push({ field: `${signField}.box`, message: `${signField}.box must be { x, y, width, height }` });
+                } else {
+                    unknown(spec.box, `${signField}.box`, Object.keys(DEFAULT_SIGNATURE_BOX));
+                    for (const name of Object.keys(DEFAULT_SIGNATURE_BOX)) {
+                        const size = spec.box[name];
+                        const minimum = name === 'width' || name === 'height' ? 1 : 0;
+                        if (size !== undefined && !(typeof size === 'number' && size >= minimum && size <= 14400)) {
+                            errors.push({ field: `${signField}.box.${name}`, message: `${signField}.box.${name} must be a number of points from ${minimum} to 14400` });
+                        } else if (size !== undefined) {
+                            box[name] = size;
+                        }
+                    }
+                }
+            }
+            sign = {
+                pkcs12: key ? key.pkcs12 : null,
+                passphrase: key ? key.passphrase : null,
+                reason: text(spec.reason, 'sign.reason'),
+                location: text(spec.location, 'sign.location'),
+                contact: text(spec.contact, 'sign.contact'),
+                visible: spec.visible !== false,
+                page: spec.page || 'last',
+                box
+            };
+        }
+    }
+
+    if (!encryption && !sign) {
+        errors.push({ field, message: `${field} must set passwords, permissions or sign` });
+    }
+    return { security: { encryption, sign }, errors };
+}
+
+module.exports = {
+    Keystore,
+    validateSecurity
+};
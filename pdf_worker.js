@@ -1,131 +1,686 @@
 const { spawn } = require('child_process');
 const path = require('path');
 const crypto = require('crypto');
+const { Piscina } = require('piscina');
+const { ApiError } = require('./api_errors');
+const { encodeFrame, FrameDecoder } = require('./bridge_protocol');
+const { createLogger } = require('./logger');
+const { postProcessPdf } = require('./pdf_postprocess');
 
 /**
- * Secure PDF worker with JSON communication
- * Python input: {"html": "...", "css": "...", "request_id": "..."}
- * Python output: {"success": true, "request_id": "...", "pdf_base64": "...", "size": 123}
+ * Secure PDF worker with length-prefixed binary frames (see bridge_protocol.js)
+ * Python input:  header {"css": "...", "options": {...}, "fetch_policy": {...}, "fonts": [...], "request_id": "...",
+ *                        "correlation_id": "...", "max_pdf_bytes": ..., "stream": false}, body = HTML
+ *                fonts are the uploaded fonts to register (see asset_store.js); request_id pairs
+ *                frames, correlation_id is the HTTP request's X-Request-Id (the task's correlationId)
+ * Python stderr: the ready marker, then JSON log lines this worker writes into the service
+ *                log; other lines (tracebacks) end up in the task's error message
+ * Python output: header {"success": true, "request_id": "...", "size": 123, "pages": 2, "rss_mb": 80.5,
+ *                        "blocked_resources": [...], "diagnostics": {...}}, body = PDF
+ *                or, streaming, a start frame, chunk frames and a done frame (see the bridge docstring)
+ *
+ * Tasks with op 'secure' send { pdf, security } instead of HTML: the bridge encrypts
+ * and/or signs the PDF (see pdf_security.js) and answers like a render.
+ * Tasks with op 'rasterize' send { pdf, raster } and resolve with { pdf: null, images,
+ * imageData }: one { page, width, height, size } per page image, and the images back to back.
+ * Tasks with op 'postprocess' send { pdf, postprocess, parts } and never reach a bridge:
+ * pdf-lib applies the spec in this thread (see pdf_postprocess.js), so a large merge
+ * holds a pool slot instead of the main event loop. They resolve with { pdf }, or with
+ * { pdf: null, error: { status, code, message } } when the spec cannot be applied.
+ *
+ * Each render resolves with { pdf, pageCount, blockedResources, diagnostics, timings: { spawnMs, bridgeMs } };
+ * diagnostics are the bridge's { warnings, fonts, resources }, timings feed metrics.js,
+ * spawnMs is null when a warm bridge served the request.
+ * Streaming tasks post { start }, { chunk } and { end } messages on the controlPort
+ * instead and resolve with { pdf: null, size, pageCount, blockedResources, diagnostics, timings };
+ * the main thread answers { flow: 'pause' | 'resume' } to hold the bridge's output
+ * while the HTTP response drains.
+ *
+ * Every task carries a deadline (epoch ms): when it passes, the worker kills the
+ * bridge's process group (bridges are spawned detached, leading their own group) and
+ * fails the task with "timed out" once the bridge has been reaped. Bridge pids are
+ * reported on the task's controlPort so that aborting a task kills the group from the
+ * main thread; the task then fails here, and the thread is only terminated when it
+ * does not (see admission.js).
+ *
+ * PYTHON_PATH and BRIDGE_PATH name the interpreter and the bridge script (relative
+ * to this directory); bridges that cannot be spawned, exit before their ready line
+ * ("Bridge failed to start") or break the protocol feed the circuit breaker in
+ * bridge_supervisor.js. A bridge dying mid-render may be the document's doing and does not.
+ *
+ * BRIDGE_MODE=spawn       one Python process per render (default)
+ * BRIDGE_MODE=persistent  each worker thread keeps a warm bridge that serves
+ *                         one request frame after another and is recycled after
+ *                         BRIDGE_MAX_JOBS renders or BRIDGE_MAX_RSS_MB of RSS
  */
 
+const PYTHON_PATH = process.env.PYTHON_PATH || '/opt/weasyprint/bin/python';
+const BRIDGE_PATH = path.resolve(__dirname, process.env.BRIDGE_PATH || 'weasyprint_bridge_secure.py');
+const BRIDGE_MODE = process.env.BRIDGE_MODE || 'spawn';
+const BRIDGE_MAX_JOBS = parseInt(process.env.BRIDGE_MAX_JOBS) || 200;
+const BRIDGE_MAX_RSS_MB = parseInt(process.env.BRIDGE_MAX_RSS_MB) || 512;
+
+// Tail of a bridge's non-JSON stderr kept for error messages
+const MAX_ERROR_TEXT = 2000;
+
+const log = createLogger();
+
+/**
+ * Encode a request as a frame: options in the header, HTML (or the PDF to secure) as the body
+ */
+function encodeRequest({ op, html, pdf, security, raster, css, options, fetchPolicy, fonts, maxPdfBytes, stream, correlationId }, requestId) {
+    if (op !== 'render') {
+        return encodeFrame({
+            op,
+            security,
+            raster,
+            request_id: requestId,
+            correlation_id: correlationId || null,
+            max_pdf_bytes: maxPdfBytes || null,
+            stream: false
+        }, Buffer.from(pdf.buffer, pdf.byteOffset, pdf.byteLength));
+    }
+    return encodeFrame({
+        css: css || null,
+        options: options || {},
+        fetch_policy: fetchPolicy || null,
+        fonts: fonts || [],
+        request_id: requestId,
+        correlation_id: correlationId || null,
+        max_pdf_bytes: maxPdfBytes || null,
+        stream: Boolean(stream)
+    }, html);
+}
+
+/**
+ * Per-task link to the main thread: the render deadline, and the port bridge pids,
+ * streamed output and flow control travel on
+ */
+function taskControl(port, deadline) {
+    let flow = null;
+    if (port) {
+        port.on('message', (message) => {
+            if (flow && message.flow === 'pause') {
+                flow.pause();
+            } else if (flow && message.flow === 'resume') {
+                flow.resume();
+            }
+        });
+    }
+    
+    return {
+        remaining() {
+            return deadline - Date.now();
+        },
+        reportPid(pid) {
+            this.post({ pid });
+        },
+        post(message, transferList) {
+            if (port) {
+                port.postMessage(message, transferList);
+            }
+        },
+        /**
+         * Route pause/resume requests to the bridge's output stream
+         */
+        setFlow(stream) {
+            flow = stream;
+        },
+        close() {
+            if (port) {
+                port.close();
+            }
+        }
+    };
+}
+
+/**
+ * Read a bridge's stderr line by line: onReady for the ready marker, JSON log
+ * records into the service log, anything else to onText
+ */
+function readBridgeStderr(stream, { onReady, onText }) {
+    let pending = '';
+    stream.setEncoding('utf8');
+    stream.on('data', (chunk) => {
+        const lines = (pending + chunk).split('\n');
+        pending = lines.pop();
+        for (const line of lines) {
+            if (line === 'WeasyPrint bridge ready') {
+                onReady();
+            } else if (line.startsWith('{')) {
+                forwardBridgeLog(line, onText);
+            } else if (line.trim() !== '') {
+                onText(line);
+            }
+        }
+    });
+}
+
+function forwardBridgeLog(line, onText) {
+    let record;
+    try {
+        record = JSON.parse(line);
+    } catch (error) {
+        return onText(line);
+    }
+    const { time, level, msg, ...fields } = record;
+    const method = ['debug', 'info', 'warn', 'error'].includes(level) ? level : 'info';
+    log[method](msg, { source: 'bridge', ...fields });
+}
+
+/**
+ * Keep the tail of a bridge's stderr text
+ */
+function appendErrorText(errorData, text) {
+    return `${errorData}${text}\n`.slice(-MAX_ERROR_TEXT);
+}
+
+/**
+ * Kill a bridge and any process it started
+ */
+function killProcessGroup(child, signal = 'SIGKILL') {
+    try {
+        process.kill(-child.pid, signal);
+    } catch (error) {
+        // ESRCH: the group has exited already
+    }
+}
+
+/**
+ * Kill a bridge's process group and resolve once the bridge itself has been reaped
+ * A task must not settle before that: an idle worker parked in Atomics.wait
+ * (atomics: 'sync') runs no event loop to reap it, and the bridge stays a zombie.
+ */
+function killAndReap(child, signal = 'SIGKILL') {
+    const reaped = child.pid && child.exitCode === null && child.signalCode === null
+        ? new Promise(resolve => child.once('exit', resolve))
+        : Promise.resolve();
+    killProcessGroup(child, signal);
+    return reaped;
+}
+
+/**
+ * Check a bridge response frame belongs to the request and reports success
+ */
+function validateResponseHeader(response, requestId) {
+    // Verify request ID matches
+    if (response.request_id !== requestId) {
+        throw new Error(`Request ID mismatch: expected ${requestId}, got ${response.request_id}`);
+    }
+    
+    // Check if successful
+    if (!response.success) {
+        throw new Error(`PDF generation failed: ${response.error}`);
+    }
+}
+
+/**
+ * Validate a bridge response frame and return its PDF payload
+ */
+function validatePdfResponse(response, pdfBuffer, requestId) {
+    validateResponseHeader(response, requestId);
+    
+    // Validate PDF data
+    if (pdfBuffer.length === 0 || pdfBuffer.toString('ascii', 0, 4) !== '%PDF') {
+        throw new Error(`Invalid PDF data received`);
+    }
+    
+    return pdfBuffer;
+}
+
+/**
+ * The response frames of one request: a single PDF frame, or when streaming a start
+ * frame, chunk frames (posted to the main thread as they arrive) and a done frame.
+ * handle() returns the result once the response is complete and null until then;
+ * it throws when the bridge reports a failure.
+ */
+class ResponseCollector {
+    constructor(requestId, control, streaming) {
+        this.requestId = requestId;
+        this.control = control;
+        this.streaming = streaming;
+        this.started = null;
+        this.size = 0;
+    }
+    
+    handle(header, body) {
+        if (!this.streaming && header.images) {
+            validateResponseHeader(header, this.requestId);
+            return { pdf: null, images: header.images, imageData: body, pageCount: null, blockedResources: [], diagnostics: null };
+        }
+        if (!this.streaming) {
+            return {
+                pdf: validatePdfResponse(header, body, this.requestId),
+                pageCount: header.pages,
+                blockedResources: header.blocked_resources || [],
+                diagnostics: header.diagnostics || null
+            };
+        }
+        
+        validateResponseHeader(header, this.requestId);
+        if (header.streaming) {
+            this.started = {
+                pageCount: header.pages,
+                blockedResources: header.blocked_resources || [],
+                diagnostics: header.diagnostics || null
+            };
+            this.control.post({ start: this.started });
+            return null;
+        }
+        if (header.chunk) {
+            if (this.size === 0 && body.toString('ascii', 0, 4) !== '%PDF') {
+                throw new Error(`Invalid PDF data received`);
+            }
+            this.size += body.length;
+            // Each frame body owns its ArrayBuffer (see FrameDecoder); hand it over without copying
+            this.control.post({ chunk: body }, [body.buffer]);
+            return null;
+        }
+        if (!this.started || this.size === 0) {
+            throw new Error(`Invalid PDF data received`);
+        }
+        this.control.post({ end: true });
+        return { pdf: null, size: this.size, ...this.started };
+    }
+}
+
 /**
  * Generate PDF using secure single-request process with request validation
  */
-async function generatePDFSecure(data) {
+async function generatePDFSecure(data, control) {
     const requestId = crypto.randomUUID().substring(0, 8);
-    const pythonPath = '/opt/weasyprint/bin/python';
-    const bridgePath = path.join(__dirname, 'weasyprint_bridge_secure.py');
+    const spawnedAt = Date.now();
+    const timings = { spawnMs: null, bridgeMs: null };
     
     return new Promise((resolve, reject) => {
-        const pythonProcess = spawn(pythonPath, [bridgePath], {
+        const pythonProcess = spawn(PYTHON_PATH, [BRIDGE_PATH], {
             stdio: ['pipe', 'pipe', 'pipe'],
-            env: { ...process.env, PYTHONUNBUFFERED: '1' }
+            env: { ...process.env, PYTHONUNBUFFERED: '1' },
+            detached: true
         });
+        if (pythonProcess.pid) {
+            control.reportPid(pythonProcess.pid);
+        }
         
-        let jsonResponse = '';
+        const collector = new ResponseCollector(requestId, control, data.stream);
+        let result = null;
+        let failure = null;
         let errorData = '';
         let requestSent = false;
+        let requestSentAt = null;
+        control.setFlow(pythonProcess.stdout);
         
         const timeout = setTimeout(() => {
-            if (!pythonProcess.killed) {
-                pythonProcess.kill();
+            failure = new Error(`Request ${requestId} timed out at its deadline`);
+            killAndReap(pythonProcess).then(() => reject(failure));
+        }, control.remaining());
+        
+        // Decode the response frame(s) from stdout
+        const decoder = new FrameDecoder((header, body) => {
+            if (result || failure) {
+                return;
             }
-            reject(new Error(`Request ${requestId} timed out after 40 seconds`));
-        }, 40000);
+            try {
+                result = collector.handle(header, body);
+                if (result) {
+                    timings.bridgeMs = Date.now() - requestSentAt;
+                }
+            } catch (error) {
+                failure = error;
+            }
+        }, { maxBodySize: data.maxPdfBytes });
         
-        // Collect JSON response from stdout
         pythonProcess.stdout.on('data', (chunk) => {
-            jsonResponse += chunk.toString();
+            try {
+                decoder.push(chunk);
+            } catch (error) {
+                errorData = appendErrorText(errorData, `Malformed response frame: ${error.message}`);
+                killProcessGroup(pythonProcess);
+            }
         });
         
-        pythonProcess.stderr.on('data', (chunk) => {
-            const text = chunk.toString();
-            
-            if (text.includes('WeasyPrint bridge ready') && !requestSent) {
+        pythonProcess.stdin.on('error', () => {});
+        
+        readBridgeStderr(pythonProcess.stderr, {
+            onReady: () => {
+                if (requestSent) {
+                    return;
+                }
                 requestSent = true;
-                
-                const requestData = {
-                    ...data,
-                    request_id: requestId
-                };
+                requestSentAt = Date.now();
+                timings.spawnMs = requestSentAt - spawnedAt;
                 
                 try {
-                    pythonProcess.stdin.write(JSON.stringify(requestData) + '\n');
+                    pythonProcess.stdin.write(encodeRequest(data, requestId));
                     pythonProcess.stdin.end();
                 } catch (error) {
                     clearTimeout(timeout);
                     reject(new Error(`Failed to send request: ${error.message}`));
                 }
-            } else if (text.includes('ERROR:')) {
-                errorData += text;
+            },
+            onText: (text) => {
+                errorData = appendErrorText(errorData, text);
             }
         });
         
         pythonProcess.on('close', (code) => {
             clearTimeout(timeout);
             
-            if (code !== 0 && !jsonResponse) {
-                reject(new Error(`Process failed: ${errorData || 'Unknown error'}`));
-                return;
+            if (failure) {
+                reject(failure);
+            } else if (!requestSent) {
+                reject(new Error(`Bridge failed to start (exit code ${code}): ${errorData || 'no ready line'}`));
+            } else if (!result) {
+                reject(new Error(`Process failed with code ${code}: ${errorData || 'No response frame'}`));
+            } else {
+                resolve({ ...result, timings });
             }
-            
-            try {
-                // Parse JSON response
-                const response = JSON.parse(jsonResponse.trim());
-                
-                // Verify request ID matches
-                if (response.request_id !== requestId) {
-                    reject(new Error(`Request ID mismatch: expected ${requestId}, got ${response.request_id}`));
-                    return;
-                }
-                
-                // Check if successful
-                if (!response.success) {
-                    reject(new Error(`PDF generation failed: ${response.error}`));
-                    return;
-                }
-                
-                // Decode base64 PDF data
-                if (!response.pdf_base64) {
-                    reject(new Error(`No PDF data in response`));
-                    return;
+        });
+        
+        pythonProcess.on('error', (error) => {
+            clearTimeout(timeout);
+            reject(new Error(`Python process error: ${error.message}`));
+        });
+    });
+}
+
+/**
+ * Long-lived bridge process serving request frames, one at a time
+ */
+class PersistentBridge {
+    constructor() {
+        this.process = null;
+        this.ready = null;
+        this.pending = null;
+        this.decoder = null;
+        this.errorData = '';
+        this.jobs = 0;
+        this.rssMb = 0;
+        this.exited = false;
+        this.spawnMs = null;
+    }
+    
+    /**
+     * Spawn the bridge and resolve once it reports ready; the pid goes to the task
+     * right away so an abort during startup still kills the process group
+     */
+    start(maxPdfBytes, control) {
+        const spawnedAt = Date.now();
+        this.decoder = new FrameDecoder((header, body) => this.handleFrame(header, body), { maxBodySize: maxPdfBytes });
+        this.process = spawn(PYTHON_PATH, [BRIDGE_PATH, '--persistent'], {
+            stdio: ['pipe', 'pipe', 'pipe'],
+            env: { ...process.env, PYTHONUNBUFFERED: '1' },
+            detached: true
+        });
+        if (this.process.pid) {
+            control.reportPid(this.process.pid);
+        }
+        
+        let started = false;
+        this.ready = new Promise((resolve, reject) => {
+            readBridgeStderr(this.process.stderr, {
+                onReady: () => {
+                    started = true;
+                    this.spawnMs = Date.now() - spawnedAt;
+                    resolve();
+                },
+                onText: (text) => {
+                    this.errorData = appendErrorText(this.errorData, text);
                 }
-                
-                const pdfBuffer = Buffer.from(response.pdf_base64, 'base64');
-                
-                // Validate PDF data
-                if (pdfBuffer.length === 0 || pdfBuffer.toString('ascii', 0, 4) !== '%PDF') {
-                    reject(new Error(`Invalid PDF data received`));
+            });
+            
+            this.process.on('error', (error) => {
+                this.exited = true;
+                reject(new Error(`Python process error: ${error.message}`));
+                this.failPending(new Error(`Python process error: ${error.message}`));
+            });
+            
+            this.process.on('close', (code) => {
+                this.exited = true;
+                if (!started) {
+                    reject(new Error(`Bridge failed to start (exit code ${code}): ${this.errorData || 'no ready line'}`));
                     return;
                 }
-                
-                resolve(pdfBuffer);
-                
+                this.failPending(new Error(`Bridge exited with code ${code}: ${this.errorData || 'Unknown error'}`));
+            });
+        });
+        
+        // EPIPE after a crash surfaces through 'close'; don't let it throw here
+        this.process.stdin.on('error', () => {});
+        
+        this.process.stdout.on('data', (chunk) => {
+            try {
+                this.decoder.push(chunk);
             } catch (error) {
-                reject(new Error(`Failed to parse JSON response: ${error.message}`));
+                // The stream is out of sync; nothing after this point can be trusted
+                this.failPending(new Error(`Malformed response frame: ${error.message}`));
+                this.stop();
             }
         });
         
-        pythonProcess.on('error', (error) => {
-            clearTimeout(timeout);
-            reject(new Error(`Python process error: ${error.message}`));
+        return this.ready;
+    }
+    
+    handleFrame(header, body) {
+        const pending = this.pending;
+        if (!pending) {
+            return;
+        }
+        
+        this.rssMb = header.rss_mb || 0;
+        let result;
+        try {
+            result = pending.collector.handle(header, body);
+        } catch (error) {
+            this.failPending(error);
+            if (header.success) {
+                // Rejected mid-response: frames still in flight would be read as the next response
+                this.stop('SIGKILL');
+            }
+            return;
+        }
+        if (result) {
+            this.pending = null;
+            clearTimeout(pending.timeout);
+            pending.resolve({ ...result, timings: { spawnMs: null, bridgeMs: Date.now() - pending.sentAt } });
+        }
+    }
+    
+    failPending(error) {
+        if (this.pending) {
+            clearTimeout(this.pending.timeout);
+            this.pending.reject(error);
+            this.pending = null;
+        }
+    }
+    
+    /**
+     * Send one request and resolve with { pdf, timings }
+     */
+    render(data, control) {
+        const requestId = crypto.randomUUID().substring(0, 8);
+        this.jobs++;
+        control.reportPid(this.process.pid);
+        control.setFlow(this.process.stdout);
+        
+        return new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                // A stuck bridge cannot be trusted with the next request
+                this.pending = null;
+                this.stop('SIGKILL').then(() => reject(new Error(`Request ${requestId} timed out at its deadline`)));
+            }, control.remaining());
+            
+            this.pending = {
+                requestId,
+                collector: new ResponseCollector(requestId, control, data.stream),
+                resolve,
+                reject,
+                timeout,
+                sentAt: Date.now()
+            };
+            
+            try {
+                this.process.stdin.write(encodeRequest(data, requestId));
+            } catch (error) {
+                this.failPending(new Error(`Failed to send request: ${error.message}`));
+            }
+        });
+    }
+    
+    /**
+     * True once the bridge has served its quota of jobs or grown past the RSS limit
+     */
+    shouldRecycle() {
+        return this.jobs >= BRIDGE_MAX_JOBS || this.rssMb >= BRIDGE_MAX_RSS_MB;
+    }
+    
+    /**
+     * Kill the bridge; resolves once it has been reaped
+     */
+    stop(signal = 'SIGTERM') {
+        this.exited = true;
+        if (!this.process || this.process.exitCode !== null || this.process.signalCode !== null) {
+            return Promise.resolve();
+        }
+        // Closing stdin ends the request loop; kill in case it is mid-render
+        this.process.stdin.end();
+        return killAndReap(this.process, signal);
+    }
+}
+
+/**
+ * View a Uint8Array that crossed the thread boundary as a Buffer (no copy)
+ */
+function asBuffer(bytes) {
+    return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+/**
+ * Apply a postprocess spec to a rendered PDF in this thread
+ * An ApiError loses its status and code on the way to the main thread, so a spec the
+ * document cannot satisfy (422 POSTPROCESS_FAILED) comes back as a descriptor.
+ */
+async function postProcessInThread({ pdf, postprocess, parts }) {
+    const spec = postprocess.watermark && postprocess.watermark.image
+        ? { ...postprocess, watermark: { ...postprocess.watermark, image: asBuffer(postprocess.watermark.image) } }
+        : postprocess;
+    try {
+        const output = await postProcessPdf(asBuffer(pdf), spec, {
+            prepend: parts.prepend.map(asBuffer),
+            append: parts.append.map(asBuffer)
         });
+        return { pdf: output };
+    } catch (error) {
+        if (!(error instanceof ApiError)) {
+            throw error;
+        }
+        return { pdf: null, error: { status: error.status, code: error.code, message: error.message } };
+    }
+}
+
+// Warm bridge owned by this worker thread (persistent mode only)
+let persistentBridge = null;
+
+/**
+ * Start a warm bridge within the task's deadline; a bridge not ready by then is killed
+ */
+async function startPersistentBridge(bridge, data, control) {
+    let timeout = null;
+    const deadlinePassed = new Promise((resolve, reject) => {
+        timeout = setTimeout(() => reject(new Error('Bridge startup timed out at the request deadline')), control.remaining());
     });
+    try {
+        await Promise.race([bridge.start(data.maxPdfBytes, control), deadlinePassed]);
+    } catch (error) {
+        await bridge.stop('SIGKILL');
+        throw error;
+    } finally {
+        clearTimeout(timeout);
+    }
 }
 
 /**
- * Main worker function for Piscina
+ * Generate PDF on this worker's warm bridge, respawning it when it has exited
  */
-module.exports = async function(data) {
-    const { html, css, options } = data;
+async function generatePDFPersistent(data, control) {
+    let spawnMs = null;
+    if (!persistentBridge || persistentBridge.exited) {
+        persistentBridge = new PersistentBridge();
+        await startPersistentBridge(persistentBridge, data, control);
+        spawnMs = persistentBridge.spawnMs;
+    }
+    if (control.remaining() <= 0) {
+        // The deadline passed while the bridge started; keep it warm for the next task
+        throw new Error('Request timed out at its deadline');
+    }
     
-    if (!html) {
-        throw new Error('HTML content is required');
+    const bridge = persistentBridge;
+    try {
+        const result = await bridge.render(data, control);
+        result.timings.spawnMs = spawnMs;
+        return result;
+    } finally {
+        // A paused stream must not leave the bridge's output held for the next task
+        bridge.process.stdout.resume();
+        if (bridge.shouldRecycle()) {
+            bridge.stop();
+            if (persistentBridge === bridge) {
+                persistentBridge = null;
+            }
+        }
     }
+}
+
+// Settings each op other than 'render' needs besides the PDF
+const OP_SETTINGS = { secure: 'security', rasterize: 'raster', postprocess: 'postprocess' };
+
+/**
+ * Main worker function for Piscina (renders, and ops 'secure', 'rasterize' and 'postprocess')
+ * Resolves with { pdf: Uint8Array, pageCount, blockedResources, diagnostics, timings }; the PDF's ArrayBuffer is transferred
+ * to the main thread, not copied (pdf is null for streamed renders, imageData carries rasterized pages)
+ */
+module.exports = async function(data) {
+    const { op = 'render', html, pdf, security, raster, css, options, fetchPolicy, fonts, maxPdfBytes, stream, correlationId, deadline, controlPort } = data;
+    const control = taskControl(controlPort, deadline);
+    const request = { op, html, pdf, security, raster, css, options, fetchPolicy, fonts, maxPdfBytes, stream: op === 'render' && stream, correlationId };
     
+    let result;
     try {
-        return await generatePDFSecure({ html, css, options });
+        if (op === 'render' && !html) {
+            throw new Error('HTML content is required');
+        }
+        if (op !== 'render' && (!pdf || !data[OP_SETTINGS[op]])) {
+            throw new Error(`PDF and ${OP_SETTINGS[op]} settings are required`);
+        }
+        if (!Number.isFinite(deadline)) {
+            throw new Error('Render deadline is required');
+        }
+        if (control.remaining() <= 0) {
+            throw new Error('Request timed out at its deadline');
+        }
+        if (op === 'postprocess') {
+            result = await postProcessInThread(data);
+        } else if (BRIDGE_MODE === 'persistent') {
+            result = await generatePDFPersistent(request, control);
+        } else {
+            result = await generatePDFSecure(request, control);
+        }
     } catch (error) {
         throw new Error(`PDF generation failed: ${error.message}`);
+    } finally {
+        control.close();
     }
-}; 
\ No newline at end of file
+    
+    const payload = result.pdf || result.imageData;
+    if (!payload) {
+        return result;
+    }
+    return Piscina.move({
+        get [Piscina.transferableSymbol]() {
+            return [payload.buffer];
+        },
+        get [Piscina.valueSymbol]() {
+            return result;
+        }
+    });
+};
@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Two-tier cache for rendered PDFs keyed by a hash of everything that affects
+ * the output (HTML, CSS, options, template version, uploaded assets)
+ *   memory: LRU bounded by total bytes
+ *   disk:   <dir>/<key>.pdf bounded by total bytes, oldest evicted first,
+ *           with the entry's meta in <dir>/<key>.json
+ * Both tiers expire entries after the TTL. Each PDF is stored with a JSON-serializable
+ * meta object (what the render reported) that a hit returns with it.
+ */
+
+/**
+ * JSON.stringify with object keys sorted so equal inputs always hash the same
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value !== null && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+class RenderCache {
+    /**
+     * @param {object} config
+     * @param {number} config.memoryMaxBytes
+     * @param {number} config.diskMaxBytes  0 disables the disk tier
+     * @param {string} config.diskDir
+     * @param {number} config.ttl           ms an entry stays valid
+     * @param {object} config.log
+     */
+    constructor({ memoryMaxBytes, diskMaxBytes, diskDir, ttl, log }) {
+        this.memoryMaxBytes = memoryMaxBytes;
+        this.diskMaxBytes = diskMaxBytes;
+        this.diskDir = diskDir;
+        this.ttl = ttl;
+        this.log = log;
+
+        this.memory = new Map(); // key -> { pdf, meta, storedAt }, least recently used first
+        this.memoryBytes = 0;
+        this.disk = new Map(); // key -> { size, storedAt }, oldest first
+        this.diskBytes = 0;
+        this.counters = { memoryHits: 0, diskHits: 0, misses: 0, bypassed: 0 };
+
+        if (this.diskMaxBytes > 0) {
+            this.loadDiskIndex();
+        }
+    }
+
+    /**
+     * Rebuild the disk index from files left by a previous process
+     */
+    loadDiskIndex() {
+        fs.mkdirSync(this.diskDir, { recursive: true });
+        const entries = fs.readdirSync(this.diskDir)
+            .filter(file => /^[0-9a-f]{64}\.pdf$/.test(file))
+            .map(file => {
+                const stat = fs.statSync(path.join(this.diskDir, file));
+                return { key: file.slice(0, 64), size: stat.size, storedAt: stat.mtimeMs };
+            })
+            .sort((a, b) => a.storedAt - b.storedAt);
+
+        for (const { key, size, storedAt } of entries) {
+            this.disk.set(key, { size, storedAt });
+            this.diskBytes += size;
+        }
+    }
+
+    /**
+     * postprocess is a digest of the post-processing spec and assets the asset store's
+     * revision; documents without them keep their old keys
+     */
+    keyFor({ html, css, options, template, postprocess = null, assets = null }) {
+        const identity = { html, css: css || null, options: options || {}, template: template || null };
+        if (postprocess) {
+            identity.postprocess = postprocess;
+        }
+        if (assets) {
+            identity.assets = assets;
+        }
+        return crypto.createHash('sha256')
+            .update(stableStringify(identity))
+            .digest('hex');
+    }
+
+    isExpired(storedAt) {
+        return Date.now() - storedAt > this.ttl;
+    }
+
+    diskPath(key) {
+        return path.join(this.diskDir, `${key}.pdf`);
+    }
+
+    metaPath(key) {
+        return path.join(this.diskDir, `${key}.json`);
+    }
+
+    /**
+     * Look up a PDF; resolves with { pdf, meta, tier: 'MEMORY' | 'DISK' } or null
+     */
+    async get(key) {
+        const cached = this.memory.get(key);
+        if (cached) {
+            this.memory.delete(key);
+            if (!this.isExpired(cached.storedAt)) {
+                // Re-insert to mark as most recently used
+                this.memory.set(key, cached);
+                this.counters.memoryHits++;
+                return { pdf: cached.pdf, meta: cached.meta, tier: 'MEMORY' };
+            }
+            this.memoryBytes -= cached.pdf.length;
+        }
+
+        const onDisk = this.disk.get(key);
+        if (onDisk) {
+            if (this.isExpired(onDisk.storedAt)) {
+                await this.removeFromDisk(key);
+            } else {
+                try {
+                    // A PDF without its meta (left by an older version) is a miss
+                    const [pdf, meta] = await Promise.all([
+                        fs.promises.readFile(this.diskPath(key)),
+                        fs.promises.readFile(this.metaPath(key), 'utf8').then(JSON.parse)
+                    ]);
+                    this.counters.diskHits++;
+                    this.storeInMemory(key, pdf, meta, onDisk.storedAt);
+                    return { pdf, meta, tier: 'DISK' };
+                } catch (error) {
+                    this.log.warn(`Render cache disk read failed for ${key}: ${error.message}`);
+                    await this.removeFromDisk(key);
+                }
+            }
+        }
+
+        this.counters.misses++;
+        return null;
+    }
+
+    /**
+     * Store a PDF and its meta in memory and (when enabled) on disk
+     */
+    async set(key, pdf, meta = {}) {
+        const storedAt = Date.now();
+        this.storeInMemory(key, pdf, meta, storedAt);
+
+        if (this.diskMaxBytes <= 0 || pdf.length > this.diskMaxBytes || this.disk.has(key)) {
+            return;
+        }
+
+        try {
+            // The meta goes first: the PDF appearing is what makes the entry visible
+            const metaTmp = `${this.metaPath(key)}.${process.pid}.tmp`;
+            await fs.promises.writeFile(metaTmp, JSON.stringify(meta));
+            await fs.promises.rename(metaTmp, this.metaPath(key));
+            const tmp = `${this.diskPath(key)}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tmp, pdf);
+            await fs.promises.rename(tmp, this.diskPath(key));
+            this.disk.set(key, { size: pdf.length, storedAt });
+            this.diskBytes += pdf.length;
+
+            while (this.diskBytes > this.diskMaxBytes) {
+                await this.removeFromDisk(this.disk.keys().next().value);
+            }
+        } catch (error) {
+            this.log.warn(`Render cache disk write failed for ${key}: ${error.message}`);
+        }
+    }
+
+    storeInMemory(key, pdf, meta, storedAt) {
+        if (pdf.length > this.memoryMaxBytes) {
+            return;
+        }
+
+        const existing = this.memory.get(key);
+        if (existing) {
+            this.memoryBytes -= existing.pdf.length;
+            this.memory.delete(key);
+        }
+        this.memory.set(key, { pdf, meta, storedAt });
+        this.memoryBytes += pdf.length;
+
+        // Evict least recently used entries
+        while (this.memoryBytes > this.memoryMaxBytes) {
+            const [oldestKey, oldest] = this.memory.entries().next().value;
+            this.memory.delete(oldestKey);
+            this.memoryBytes -= oldest.pdf.length;
+        }
+    }
+
+    async removeFromDisk(key) {
+        const entry = this.disk.get(key);
+        if (!entry) {
+            return;
+        }
+        this.disk.delete(key);
+        this.diskBytes -= entry.size;
+        await fs.promises.rm(this.diskPath(key), { force: true });
+        await fs.promises.rm(this.metaPath(key), { force: true });
+    }
+
+    /**
+     * Record a request that skipped the cache because of its Cache-Control header
+     */
+    recordBypass() {
+        this.counters.bypassed++;
+    }
+
+    stats() {
+        const hits = this.counters.memoryHits + this.counters.diskHits;
+        const lookups = hits + this.counters.misses;
+        return {
+            hits,
+            ...this.counters,
+            hitRate: lookups > 0 ? Number((hits / lookups).toFixed(3)) : 0,
+            memory: { entries: this.memory.size, bytes: this.memoryBytes, maxBytes: this.memoryMaxBytes },
+            disk: { entries: this.disk.size, bytes: this.diskBytes, maxBytes: this.diskMaxBytes }
+        };
+    }
+}
+
+module.exports = {
+    RenderCache,
+    stableStringify
+};
@@ -0,0 +1,197 @@
+/**
+ * Validation for WeasyPrint render options passed through to the bridge
+ *
+ * {
+ *   page_size: 'A4' | 'Letter' | ... | '210mm 297mm',
+ *   orientation: 'portrait' | 'landscape',
+ *   margin: '20mm' | '10mm 15mm' | { top, right, bottom, left },
+ *   presentational_hints: boolean,
+ *   optimize_images: boolean,
+ *   jpeg_quality: 0-95,
+ *   pdf_variant: 'pdf/a-1b' | 'pdf/a-3b' | 'pdf/ua-1',
+ *   pdf_version: '1.4' - '1.7' | '2.0',
+ *   zoom: 0.1 - 10,
+ *   media_type: 'print' | 'screen',
+ *   metadata: { title, author, subject, keywords }
+ * }
+ */
+
+const PAGE_SIZES = ['A3', 'A4', 'A5', 'B4', 'B5', 'JIS-B4', 'JIS-B5', 'Letter', 'Legal', 'Ledger'];
+const PDF_VARIANTS = { 'pdf/a-1b': 'pdf/a-1b', 'pdf/a-3b': 'pdf/a-3b', 'pdf/ua': 'pdf/ua-1', 'pdf/ua-1': 'pdf/ua-1' };
+const METADATA_FIELDS = ['title', 'author', 'subject', 'keywords'];
+const MARGIN_SIDES = ['top', 'right', 'bottom', 'left'];
+const CSS_LENGTH = /^(0|\d+(\.\d+)?(mm|cm|in|pt|pc|px|q))$/i;
+const MAX_METADATA_LENGTH = 1000;
+// Options that are not strings, which ?options[field]=value query strings deliver as text
+const NUMBER_OPTIONS = ['jpeg_quality', 'zoom'];
+const BOOLEAN_OPTIONS = ['presentational_hints', 'optimize_images'];
+
+function isCssLength(value) {
+    return typeof value === 'string' && CSS_LENGTH.test(value.trim());
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+const validators = {
+    page_size(value) {
+        if (typeof value !== 'string') {
+            return { error: 'must be a string' };
+        }
+        const named = PAGE_SIZES.find(size => size.toLowerCase() === value.trim().toLowerCase());
+        if (named) {
+            return { value: named };
+        }
+        const dimensions = value.trim().split(/\s+/);
+        if (dimensions.length === 2 && dimensions.every(isCssLength)) {
+            return { value: dimensions.join(' ') };
+        }
+        return { error: `must be one of ${PAGE_SIZES.join(', ')} or "<width> <height>" (e.g. "210mm 297mm")` };
+    },
+
+    orientation(value) {
+        return value === 'portrait' || value === 'landscape'
+            ? { value }
+            : { error: "must be 'portrait' or 'landscape'" };
+    },
+
+    margin(value) {
+        if (typeof value === 'string') {
+            const parts = value.trim().split(/\s+/);
+            return parts.length <= 4 && parts.every(isCssLength)
+                ? { value: parts.join(' ') }
+                : { error: 'must be 1-4 CSS lengths (e.g. "20mm" or "10mm 15mm")' };
+        }
+        if (isPlainObject(value)) {
+            const unknown = Object.keys(value).filter(side => !MARGIN_SIDES.includes(side));
+            if (unknown.length > 0) {
+                return { error: `unknown side(s): ${unknown.join(', ')}` };
+            }
+            const invalid = Object.keys(value).filter(side => !isCssLength(value[side]));
+            if (invalid.length > 0) {
+                return { error: `${invalid.join(', ')} must be CSS lengths` };
+            }
+            return { value: { ...value } };
+        }
+        return { error: 'must be a CSS length string or { top, right, bottom, left }' };
+    },
+
+    presentational_hints(value) {
+        return typeof value === 'boolean' ? { value } : { error: 'must be a boolean' };
+    },
+
+    optimize_images(value) {
+        return typeof value === 'boolean' ? { value } : { error: 'must be a boolean' };
+    },
+
+    jpeg_quality(value) {
+        return Number.isInteger(value) && value >= 0 && value <= 95
+            ? { value }
+            : { error: 'must be an integer from 0 to 95' };
+    },
+
+    pdf_variant(value) {
+        const variant = typeof value === 'string' ? PDF_VARIANTS[value.toLowerCase()] : undefined;
+        return variant ? { value: variant } : { error: "must be 'pdf/a-1b', 'pdf/a-3b' or 'pdf/ua-1'" };
+    },
+
+    pdf_version(value) {
+        return typeof value === 'string' && /^(1\.[4-7]|2\.0)$/.test(value)
+            ? { value }
+            : { error: "must be '1.4', '1.5', '1.6', '1.7' or '2.0'" };
+    },
+
+    zoom(value) {
+        return typeof value === 'number' && value >= 0.1 && value <= 10
+            ? { value }
+            : { error: 'must be a number from 0.1 to 10' };
+    },
+
+    media_type(value) {
+        return value === 'print' || value === 'screen'
+            ? { value }
+            : { error: "must be 'print' or 'screen'" };
+    },
+
+    metadata(value) {
+        if (!isPlainObject(value)) {
+            return { error: 'must be an object' };
+        }
+        const unknown = Object.keys(value).filter(field => !METADATA_FIELDS.includes(field));
+        if (unknown.length > 0) {
+            return { error: `unknown field(s): ${unknown.join(', ')}` };
+        }
+
+        const metadata = {};
+        for (const field of METADATA_FIELDS) {
+            let fieldValue = value[field];
+            if (fieldValue === undefined) {
+                continue;
+            }
+            if (field === 'keywords' && typeof fieldValue === 'string') {
+                fieldValue = fieldValue.split(',').map(keyword => keyword.trim()).filter(Boolean);
+            }
+            const valid = field === 'keywords'
+                ? Array.isArray(fieldValue) && fieldValue.every(keyword => typeof keyword === 'string')
+                : typeof fieldValue === 'string';
+            if (!valid || JSON.stringify(fieldValue).length > MAX_METADATA_LENGTH) {
+                return { error: `${field} must be ${field === 'keywords' ? 'a string or an array of strings' : 'a string'} (max ${MAX_METADATA_LENGTH} characters)` };
+            }
+            metadata[field] = fieldValue;
+        }
+        return { value: metadata };
+    }
+};
+
+/**
+ * Validate and normalize render options
+ * Returns { options, errors } where errors is a list of { field, message }
+ */
+function validateRenderOptions(options, fieldPrefix = 'options') {
+    const errors = [];
+    const normalized = {};
+
+    for (const [key, value] of Object.entries(options || {})) {
+        const validate = Object.prototype.hasOwnProperty.call(validators, key) ? validators[key] : null;
+        if (!validate) {
+            errors.push({ field: `${fieldPrefix}.${key}`, message: `Unknown option '${key}'` });
+            continue;
+        }
+
+        const result = validate(value);
+        if (result.error) {
+            errors.push({ field: `${fieldPrefix}.${key}`, message: `${key} ${result.error}` });
+        } else {
+            normalized[key] = result.value;
+        }
+    }
+
+    return { options: normalized, errors };
+}
+
+/**
+ * Turn the text values of ?options[field]=value into the numbers and booleans
+ * validateRenderOptions expects; text that is neither is left for it to reject
+ */
+function coerceQueryOptions(options) {
+    const coerced = { ...options };
+    for (const key of NUMBER_OPTIONS) {
+        if (typeof coerced[key] === 'string' && /^-?\d+(\.\d+)?$/.test(coerced[key])) {
+            coerced[key] = Number(coerced[key]);
+        }
+    }
+    for (const key of BOOLEAN_OPTIONS) {
+        if (coerced[key] === 'true' || coerced[key] === '1') {
+            coerced[key] = true;
+        } else if (coerced[key] === 'false' || coerced[key] === '0') {
+            coerced[key] = false;
+        }
+    }
+    return coerced;
+}
+
+module.exports = {
+    coerceQueryOptions,
+    validateRenderOptions
+};
@@ -1,5 +1,10 @@
 const http = require('http');
 
+// Sent as X-Request-Timeout so the server's deadline is the one that fires; the
+// socket timeout only covers a server that never answers
+const REQUEST_TIMEOUT = parseInt(process.env.REQUEST_TIMEOUT) || 45000;
+const CLIENT_TIMEOUT = REQUEST_TIMEOUT + 5000;
+
 class SimpleTemplateLoadTester {
     constructor(baseUrl = 'http://localhost:3000') {
         this.baseUrl = baseUrl;
@@ -18,7 +23,8 @@ class SimpleTemplateLoadTester {
                 port: 3000,
                 path: '/pdf?template=simple_template',
                 method: 'GET',
-                timeout: 35000
+                headers: { 'X-Request-Timeout': REQUEST_TIMEOUT },
+                timeout: CLIENT_TIMEOUT
             }, (res) => {
                 let dataLength = 0;
                 
@@ -72,6 +78,138 @@ class SimpleTemplateLoadTester {
         });
     }
 
+    async makePostRequest(id, body) {
+        const startTime = Date.now();
+        const payload = JSON.stringify(body);
+        
+        return new Promise((resolve, reject) => {
+            const req = http.request({
+                hostname: 'localhost',
+                port: 3000,
+                path: '/pdf',
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Content-Length': Buffer.byteLength(payload),
+                    'X-Request-Timeout': REQUEST_TIMEOUT
+                },
+                timeout: CLIENT_TIMEOUT
+            }, (res) => {
+                let dataLength = 0;
+                
+                res.on('data', (chunk) => {
+                    dataLength += chunk.length;
+                });
+                
+                res.on('end', () => {
+                    const endTime = Date.now();
+                    resolve({
+                        id,
+                        duration: endTime - startTime,
+                        success: res.statusCode === 200,
+                        statusCode: res.statusCode,
+                        pdfSize: dataLength,
+                        startTime,
+                        endTime
+                    });
+                });
+            });
+
+            req.on('error', (err) => {
+                reject({ id, success: false, error: err.message || 'Connection error' });
+            });
+
+            req.on('timeout', () => {
+                req.destroy();
+                reject({ id, success: false, error: 'Request timeout' });
+            });
+
+            req.end(payload);
+        });
+    }
+
+    async getServerMemory() {
+        return new Promise((resolve) => {
+            http.get({ hostname: 'localhost', port: 3000, path: '/health' }, (res) => {
+                let body = '';
+                res.on('data', (chunk) => { body += chunk; });
+                res.on('end', () => {
+                    try {
+                        resolve(JSON.parse(body).memory);
+                    } catch (error) {
+                        resolve(null);
+                    }
+                });
+            }).on('error', () => resolve(null));
+        });
+    }
+
+    buildLargeDocument(pages) {
+        const rows = Array.from({ length: 40 }, (_, i) =>
+            `<tr><td>${i + 1}</td><td>Line item description ${i + 1}</td><td>${(i * 13.37).toFixed(2)}</td></tr>`
+        ).join('');
+        
+        const sections = Array.from({ length: pages }, (_, page) => `
+            <section style="page-break-after: always">
+                <h2>Statement page ${page + 1}</h2>
+                <table><thead><tr><th>#</th><th>Description</th><th>Amount</th></tr></thead><tbody>${rows}</tbody></table>
+            </section>`
+        ).join('');
+        
+        return `<!DOCTYPE html><html><head><meta charset="UTF-8"></head><body>${sections}</body></html>`;
+    }
+
+    async runLargeDocumentBenchmark(pages, iterations) {
+        console.log(`\n📚 Large Document Benchmark`);
+        console.log(`   Document: ${pages} pages, ${iterations} sequential renders`);
+        console.log('='.repeat(60));
+        
+        const html = this.buildLargeDocument(pages);
+        const baseline = await this.getServerMemory();
+        let peakRss = baseline ? baseline.rss : 0;
+        let peakArrayBuffers = baseline ? baseline.arrayBuffers : 0;
+        
+        // Sample server memory while renders are in flight
+        const sampler = setInterval(async () => {
+            const memory = await this.getServerMemory();
+            if (memory) {
+                peakRss = Math.max(peakRss, memory.rss);
+                peakArrayBuffers = Math.max(peakArrayBuffers, memory.arrayBuffers);
+            }
+        }, 100);
+        
+        const results = [];
+        for (let i = 1; i <= iterations; i++) {
+            try {
+                results.push(await this.makePostRequest(i, { html }));
+            } catch (error) {
+                results.push(error);
+            }
+        }
+        clearInterval(sampler);
+        
+        const successful = results.filter(r => r.success);
+        const durations = successful.map(r => r.duration);
+        const avgDuration = durations.length > 0 ? durations.reduce((a, b) => a + b, 0) / durations.length : 0;
+        const avgPdfSize = successful.length > 0 ? successful.reduce((a, r) => a + r.pdfSize, 0) / successful.length : 0;
+        const mbPerSecond = avgDuration > 0 ? (avgPdfSize / 1024 / 1024) / (avgDuration / 1000) : 0;
+        
+        console.log(`\n✅ Results:`);
+        console.log(`   Success Rate: ${successful.length}/${iterations}`);
+        console.log(`   HTML Size: ${(Buffer.byteLength(html) / 1024).toFixed(1)}KB`);
+        console.log(`   Average PDF Size: ${(avgPdfSize / 1024).toFixed(1)}KB`);
+        console.log(`   Average Response Time: ${avgDuration.toFixed(0)}ms`);
+        console.log(`   PDF Throughput: ${mbPerSecond.toFixed(2)}MB/s`);
+        if (baseline) {
+            console.log(`\n🧠 Server Memory:`);
+            console.log(`   RSS: ${(baseline.rss / 1024 / 1024).toFixed(1)}MB baseline, ${(peakRss / 1024 / 1024).toFixed(1)}MB peak`);
+            console.log(`   ArrayBuffers: ${(baseline.arrayBuffers / 1024 / 1024).toFixed(1)}MB baseline, ${(peakArrayBuffers / 1024 / 1024).toFixed(1)}MB peak`);
+            console.log(`   Peak overhead per PDF byte: ${avgPdfSize > 0 ? ((peakRss - baseline.rss) / avgPdfSize).toFixed(2) : 'n/a'}x`);
+        }
+        
+        return { pages, iterations, successful: successful.length, avgDuration, avgPdfSize, peakRss, baselineRss: baseline ? baseline.rss : null };
+    }
+
     async runLoadTest(requestsPerSecond, durationSeconds) {
         console.log(`\n🚀 Simple Template Load Test`);
         console.log(`   Target: ${requestsPerSecond} req/sec for ${durationSeconds} seconds`);
@@ -303,7 +441,12 @@ async function main() {
         // You can run either a single load test or full scalability test
         const args = process.argv.slice(2);
         
-        if (args.length >= 2) {
+        if (args[0] === '--large') {
+            // Large document benchmark: node simple_load_test.js --large <pages> [iterations]
+            const pages = parseInt(args[1]) || 200;
+            const iterations = parseInt(args[2]) || 5;
+            await tester.runLargeDocumentBenchmark(pages, iterations);
+        } else if (args.length >= 2) {
             // Single test: node simple_load_test.js <rps> <duration>
             const rps = parseInt(args[0]);
             const duration = parseInt(args[1]);
@@ -0,0 +1,173 @@
+const Handlebars = require('handlebars');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Data-driven templating for HTML templates
+ * Placeholders: {{customer.name}}, loops: {{#each items}}, conditionals: {{#if paid}},
+ * partials: {{> header}} loaded from PARTIALS_DIR (file name without extension)
+ */
+
+const PARTIALS_DIR = process.env.PARTIALS_DIR || path.join(__dirname, 'partials');
+const TEMPLATE_CACHE_SIZE = parseInt(process.env.TEMPLATE_CACHE_SIZE) || 50;
+
+/**
+ * Raised when request data does not satisfy a template (missing variable or partial)
+ */
+class TemplateDataError extends Error {
+    constructor(message, field, line) {
+        super(message);
+        this.name = 'TemplateDataError';
+        this.field = field;
+        this.line = line;
+    }
+}
+
+/**
+ * Raised when a template itself cannot be compiled
+ */
+class TemplateSyntaxError extends Error {
+    constructor(message, line) {
+        super(message);
+        this.name = 'TemplateSyntaxError';
+        this.line = line;
+    }
+}
+
+// Isolated instance so partials and helpers never leak into the global Handlebars
+const handlebars = Handlebars.create();
+
+// Compiled templates keyed by content hash, oldest evicted first
+const compiledCache = new Map();
+
+/**
+ * Register every partial found in PARTIALS_DIR
+ */
+function loadPartials() {
+    if (!fs.existsSync(PARTIALS_DIR)) {
+        return [];
+    }
+
+    const names = [];
+    for (const file of fs.readdirSync(PARTIALS_DIR)) {
+        const ext = path.extname(file);
+        if (ext !== '.html' && ext !== '.hbs') {
+            continue;
+        }
+        const name = path.basename(file, ext);
+        handlebars.registerPartial(name, fs.readFileSync(path.join(PARTIALS_DIR, file), 'utf8'));
+        names.push(name);
+    }
+    return names;
+}
+
+/**
+ * Compile a template, reusing a cached version when the source is unchanged
+ */
+function compileTemplate(source) {
+    const key = crypto.createHash('sha256').update(source).digest('hex');
+
+    let template = compiledCache.get(key);
+    if (template) {
+        // Refresh recency
+        compiledCache.delete(key);
+        compiledCache.set(key, template);
+        return template;
+    }
+
+    try {
+        // compile() is lazy, so parse up front to surface syntax errors here
+        handlebars.parse(source);
+        // strict: referencing a field absent from the data throws instead of rendering ''
+        template = handlebars.compile(source, { strict: true });
+    } catch (error) {
+        throw new TemplateSyntaxError(`Template could not be compiled: ${error.message}`, error.lineNumber);
+    }
+
+    compiledCache.set(key, template);
+    if (compiledCache.size > TEMPLATE_CACHE_SIZE) {
+        compiledCache.delete(compiledCache.keys().next().value);
+    }
+    return template;
+}
+
+/**
+ * Read the full expression (e.g. "customer.name") at a Handlebars error location
+ */
+function expressionAt(source, line, column) {
+    const text = source.split('\n')[line - 1] || '';
+    const match = /^[\w.@/-]+/.exec(text.slice(column));
+    return match ? match[0] : null;
+}
+
+/**
+ * Find the path whose object is missing when a lookup read `property` from undefined:
+ * for {{order.customer.name}} reading 'customer' that is "order". Returns { field, line } or null.
+ */
+function missingParentAt(source, property) {
+    const escaped = property.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`\\{\\{[^}]*?([\\w@-]+(?:\\.[\\w@-]+)*)\\.${escaped}(?![\\w@-])`);
+    const match = pattern.exec(source);
+    if (!match) {
+        return null;
+    }
+    return { field: match[1], line: source.slice(0, match.index).split('\n').length };
+}
+
+/**
+ * Merge data into a template and return the resulting HTML
+ */
+function renderTemplate(source, data = {}) {
+    const template = compileTemplate(source);
+
+    try {
+        return template(data);
+    } catch (error) {
+        const partial = /The partial (.+) could not be found/.exec(error.message);
+        if (partial) {
+            throw new TemplateDataError(`Partial '${partial[1]}' does not exist`, partial[1]);
+        }
+
+        const missing = /^"(.+)" not defined in/.exec(error.message);
+        if (missing) {
+            const field = expressionAt(source, error.lineNumber, error.column) || missing[1];
+            throw new TemplateDataError(
+                `Template variable '${field}' is missing from data (line ${error.lineNumber})`,
+                field,
+                error.lineNumber
+            );
+        }
+
+        // strict only checks the last segment of a path; an object missing before it fails the lookup
+        const unreadable = /^Cannot read properties of (?:undefined|null) \(reading '(.+)'\)$/.exec(error.message);
+        const parent = error instanceof TypeError && unreadable ? missingParentAt(source, unreadable[1]) : null;
+        if (parent) {
+            throw new TemplateDataError(
+                `Template variable '${parent.field}' is missing from data (line ${parent.line})`,
+                parent.field,
+                parent.line
+            );
+        }
+
+        throw error;
+    }
+}
+
+/**
+ * Mark markup that a {{variable}} must insert without escaping
+ */
+function rawHtml(html) {
+    return new handlebars.SafeString(html);
+}
+
+loadPartials();
+
+module.exports = {
+    compileTemplate,
+    rawHtml,
+    renderTemplate,
+    loadPartials,
+    TemplateDataError,
+    TemplateSyntaxError
+};
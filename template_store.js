@@ -0,0 +1,292 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Versioned template storage
+ * Every write creates a new immutable version; "invoice" resolves to the latest
+ * version and "invoice@3" always resolves to version 3. Version numbers are never
+ * reused: deleting a template keeps its highest version number, and a template
+ * re-created under the name continues after it, so "invoice@3" of a deleted template
+ * stays missing instead of naming different content.
+ *
+ * Backends implement: list(), versions(name), read(name, version), write(name, html), remove(name)
+ */
+
+const TEMPLATE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+
+/**
+ * Raised when a template (or a specific version of it) does not exist
+ */
+class TemplateNotFoundError extends Error {
+    constructor(name, version) {
+        super(version ? `Template '${name}' has no version ${version}` : `Template '${name}' does not exist`);
+        this.name = 'TemplateNotFoundError';
+        this.templateName = name;
+        this.version = version || null;
+    }
+}
+
+function isValidTemplateName(name) {
+    return typeof name === 'string' && TEMPLATE_NAME_PATTERN.test(name);
+}
+
+/**
+ * Split "invoice@3" into { name: 'invoice', version: 3 }; version is null for "invoice".
+ * Returns null when the reference is malformed.
+ */
+function parseTemplateRef(ref) {
+    if (typeof ref !== 'string') {
+        return null;
+    }
+
+    const match = /^([^@]+)(?:@([1-9][0-9]{0,8}))?$/.exec(ref);
+    if (!match || !isValidTemplateName(match[1])) {
+        return null;
+    }
+    return { name: match[1], version: match[2] ? parseInt(match[2]) : null };
+}
+
+function versionInfo(version, html, createdAt) {
+    return {
+        version,
+        size: Buffer.byteLength(html, 'utf8'),
+        sha256: crypto.createHash('sha256').update(html).digest('hex'),
+        createdAt
+    };
+}
+
+// Highest version number of a deleted template, kept in its directory
+const HIGH_WATER_FILE = '.last-version';
+
+/**
+ * Templates stored on disk as <dir>/<name>/<version>.html
+ */
+class FileTemplateStore {
+    constructor(dir) {
+        this.dir = path.resolve(dir);
+    }
+
+    /**
+     * Directory of one template; names outside the grammar never reach the filesystem
+     * and the result is always a direct child of the template root
+     */
+    templateDir(name) {
+        const dir = path.resolve(this.dir, String(name));
+        if (!isValidTemplateName(name) || path.dirname(dir) !== this.dir) {
+            throw new TemplateNotFoundError(name);
+        }
+        return dir;
+    }
+
+    async list() {
+        let entries;
+        try {
+            entries = await fs.promises.readdir(this.dir, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const names = entries
+            .filter(entry => entry.isDirectory() && isValidTemplateName(entry.name))
+            .map(entry => entry.name)
+            .sort();
+
+        const templates = [];
+        for (const name of names) {
+            const versions = await this.versionNumbers(name);
+            if (versions.length > 0) {
+                templates.push({ name, latestVersion: versions[versions.length - 1], versionCount: versions.length });
+            }
+        }
+        return templates;
+    }
+
+    async versionNumbers(name) {
+        try {
+            const files = await fs.promises.readdir(this.templateDir(name));
+            return files
+                .map(file => /^([1-9][0-9]*)\.html$/.exec(file))
+                .filter(Boolean)
+                .map(match => parseInt(match[1]))
+                .sort((a, b) => a - b);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Highest version number the template had when it was last deleted (0 if never)
+     */
+    async highWater(name) {
+        try {
+            return parseInt(await fs.promises.readFile(path.join(this.templateDir(name), HIGH_WATER_FILE), 'utf8')) || 0;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return 0;
+            }
+            throw error;
+        }
+    }
+
+    async versions(name) {
+        const numbers = await this.versionNumbers(name);
+        if (numbers.length === 0) {
+            throw new TemplateNotFoundError(name);
+        }
+
+        const infos = [];
+        for (const version of numbers) {
+            const file = path.join(this.templateDir(name), `${version}.html`);
+            const [html, stat] = await Promise.all([fs.promises.readFile(file, 'utf8'), fs.promises.stat(file)]);
+            infos.push(versionInfo(version, html, stat.mtime.toISOString()));
+        }
+        return infos;
+    }
+
+    async read(name, version = null) {
+        const numbers = await this.versionNumbers(name);
+        if (numbers.length === 0) {
+            throw new TemplateNotFoundError(name);
+        }
+
+        const resolved = version || numbers[numbers.length - 1];
+        if (!numbers.includes(resolved)) {
+            throw new TemplateNotFoundError(name, resolved);
+        }
+
+        const file = path.join(this.templateDir(name), `${resolved}.html`);
+        const [html, stat] = await Promise.all([fs.promises.readFile(file, 'utf8'), fs.promises.stat(file)]);
+        return { name, ...versionInfo(resolved, html, stat.mtime.toISOString()), html };
+    }
+
+    async write(name, html) {
+        const templateDir = this.templateDir(name);
+        await fs.promises.mkdir(templateDir, { recursive: true });
+
+        const numbers = await this.versionNumbers(name);
+        if (numbers.length > 0) {
+            // Re-uploading identical content does not create a new version
+            const latest = await this.read(name);
+            if (latest.html === html) {
+                return { name, version: latest.version, created: false };
+            }
+        }
+
+        // 'wx' fails if a concurrent writer already claimed the version number
+        let version = Math.max(numbers.length > 0 ? numbers[numbers.length - 1] : 0, await this.highWater(name)) + 1;
+        for (;;) {
+            try {
+                await fs.promises.writeFile(path.join(templateDir, `${version}.html`), html, { flag: 'wx' });
+                return { name, version, created: true };
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw error;
+                }
+                version++;
+            }
+        }
+    }
+
+    async remove(name) {
+        const numbers = await this.versionNumbers(name);
+        if (numbers.length === 0) {
+            throw new TemplateNotFoundError(name);
+        }
+        const templateDir = this.templateDir(name);
+        await fs.promises.writeFile(path.join(templateDir, HIGH_WATER_FILE), String(numbers[numbers.length - 1]));
+        await Promise.all(numbers.map(version => fs.promises.rm(path.join(templateDir, `${version}.html`), { force: true })));
+    }
+}
+
+/**
+ * Templates kept in process memory (lost on restart)
+ */
+class MemoryTemplateStore {
+    constructor() {
+        this.templates = new Map();
+        // name -> highest version number of a deleted template
+        this.highWater = new Map();
+    }
+
+    async list() {
+        return [...this.templates.keys()].sort().map(name => {
+            const versions = this.templates.get(name);
+            return { name, latestVersion: versions[versions.length - 1].version, versionCount: versions.length };
+        });
+    }
+
+    async versions(name) {
+        const versions = this.templates.get(name);
+        if (!versions) {
+            throw new TemplateNotFoundError(name);
+        }
+        return versions.map(({ html, ...info }) => info);
+    }
+
+    async read(name, version = null) {
+        const versions = this.templates.get(name);
+        if (!versions) {
+            throw new TemplateNotFoundError(name);
+        }
+
+        const entry = version ? versions.find(candidate => candidate.version === version) : versions[versions.length - 1];
+        if (!entry) {
+            throw new TemplateNotFoundError(name, version);
+        }
+        return { name, ...entry };
+    }
+
+    async write(name, html) {
+        const versions = this.templates.get(name) || [];
+        const latest = versions[versions.length - 1];
+        if (latest && latest.html === html) {
+            return { name, version: latest.version, created: false };
+        }
+
+        const version = (latest ? latest.version : this.highWater.get(name) || 0) + 1;
+        versions.push({ ...versionInfo(version, html, new Date().toISOString()), html });
+        this.templates.set(name, versions);
+        return { name, version, created: true };
+    }
+
+    async remove(name) {
+        const versions = this.templates.get(name);
+        if (!versions) {
+            throw new TemplateNotFoundError(name);
+        }
+        this.highWater.set(name, versions[versions.length - 1].version);
+        this.templates.delete(name);
+    }
+}
+
+/**
+ * Build the store selected by TEMPLATE_STORE (file | memory)
+ */
+function createTemplateStore() {
+    const backend = process.env.TEMPLATE_STORE || 'file';
+
+    switch (backend) {
+        case 'file':
+            return new FileTemplateStore(process.env.TEMPLATES_DIR || path.join(__dirname, 'templates'));
+        case 'memory':
+            return new MemoryTemplateStore();
+        default:
+            throw new Error(`Unknown TEMPLATE_STORE backend: ${backend}`);
+    }
+}
+
+module.exports = {
+    FileTemplateStore,
+    MemoryTemplateStore,
+    TemplateNotFoundError,
+    createTemplateStore,
+    isValidTemplateName,
+    parseTemplateRef
+};
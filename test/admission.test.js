@@ -0,0 +1,116 @@
+const assert = require('node:assert/strict');
+const { after, before, describe, test } = require('node:test');
+const { AdmissionController } = require('../admission');
+const { startService, stubBridgeEnv } = require('./service');
+
+/**
+ * Pool stand-in whose tasks finish when the test says so
+ */
+function fakePool() {
+    const pool = {
+        tasks: [],
+        run(task) {
+            return new Promise(resolve => pool.tasks.push({ task, finish: () => resolve({ pdf: null }) }));
+        }
+    };
+    return pool;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitFor(predicate, timeout = 10000) {
+    const deadline = Date.now() + timeout;
+    while (!(await predicate())) {
+        if (Date.now() > deadline) {
+            throw new Error('Condition not met in time');
+        }
+        await sleep(20);
+    }
+}
+
+describe('AdmissionController', () => {
+    test('measures how long renders waited in their lane', async () => {
+        const pool = fakePool();
+        const admitted = [];
+        const admission = new AdmissionController({
+            pool,
+            concurrency: 1,
+            maxQueued: { interactive: 5, batch: 5 },
+            renderTimeout: 10000,
+            onAdmit: admission => admitted.push(admission)
+        });
+
+        const first = admission.run({ html: '1' });
+        const second = admission.run({ html: '2' }, { lane: 'batch' });
+        assert.equal(pool.tasks.length, 1);
+
+        await sleep(100);
+        pool.tasks[0].finish();
+        await first;
+        // The next render is dispatched once the first one's bookkeeping is done
+        await sleep(10);
+        assert.equal(pool.tasks.length, 2);
+        pool.tasks[1].finish();
+        await second;
+
+        assert.deepEqual(admitted.map(({ lane }) => lane), ['interactive', 'batch']);
+        assert.ok(admitted[0].waitMs < 50);
+        assert.ok(admitted[1].waitMs >= 90, `batch render waited ${admitted[1].waitMs}ms`);
+        assert.ok(admission.stats().averageWaitMs.batch >= 18);
+    });
+
+    test('estimates at least the wait measured in a lane', async () => {
+        const pool = fakePool();
+        const admission = new AdmissionController({ pool, concurrency: 1, maxQueued: { interactive: 5, batch: 5 }, renderTimeout: 10000 });
+        const running = admission.run({ html: '1' });
+        admission.averageRenderMs = 100;
+        assert.equal(admission.estimatedWait('batch'), 100);
+
+        // Batch renders have been passed over by interactive ones
+        admission.averageWaitMs.batch = 5000;
+        assert.equal(admission.estimatedWait('batch'), 5000);
+        assert.equal(admission.estimatedWait('interactive'), 100);
+
+        pool.tasks[0].finish();
+        await running;
+    });
+});
+
+describe('admission over HTTP', () => {
+    let service;
+
+    before(async () => {
+        service = await startService({
+            ...stubBridgeEnv(),
+            POOL_MIN_THREADS: '1',
+            POOL_MAX_THREADS: '1',
+            ADMISSION_INTERACTIVE_QUEUE: '1'
+        }, { ready: true });
+    });
+
+    after(async () => {
+        await service.stop();
+    });
+
+    const admissionStats = async () => (await service.request('GET', '/health')).body.admission;
+
+    test('refuses a render with 503 QUEUE_FULL and Retry-After once its lane is full', async () => {
+        // The bridge startup check may still hold the only worker
+        await waitFor(async () => (await admissionStats()).inFlight === 0);
+        const running = service.request('POST', '/pdf', { html: '<p>Running stub:sleep=1500</p>' });
+        await waitFor(async () => (await admissionStats()).inFlight === 1);
+        const queued = service.request('POST', '/pdf', { html: '<p>Queued</p>' });
+        await waitFor(async () => (await admissionStats()).queued.interactive === 1);
+
+        const refused = await service.request('POST', '/pdf', { html: '<p>Refused</p>' });
+        assert.equal(refused.status, 503);
+        assert.equal(refused.body.code, 'QUEUE_FULL');
+        assert.ok(parseInt(refused.headers.get('retry-after')) >= 1, `Retry-After: ${refused.headers.get('retry-after')}`);
+
+        // The renders already admitted still finish
+        assert.equal((await running).status, 200);
+        assert.equal((await queued).status, 200);
+        const metrics = (await service.request('GET', '/metrics')).raw.toString();
+        assert.match(metrics, /pdf_admission_rejected_total\{lane="interactive",reason="queue_full"\} 1/);
+    });
+});
@@ -0,0 +1,72 @@
+const assert = require('node:assert/strict');
+const { describe, test } = require('node:test');
+const { TenantAuth } = require('../auth');
+
+const silentLog = { info() {}, warn() {}, error() {}, debug() {} };
+
+function tenantAuth(tenant = {}) {
+    return new TenantAuth({
+        tenants: { billing: { apiKeys: ['billing-key-0123456789'], maxConcurrentRenders: 1, ...tenant } }
+    }, silentLog);
+}
+
+describe('acquireRender', () => {
+    test('hands a released slot to the next waiter', async () => {
+        const auth = tenantAuth();
+        const tenant = auth.tenants.get('billing');
+        const release = await auth.acquireRender(tenant);
+
+        const waiting = auth.acquireRender(tenant);
+        assert.equal(auth.renderWaiters.get('billing').length, 1);
+        release();
+        (await waiting)();
+        assert.equal(auth.activeRenders.get('billing'), 0);
+        assert.equal(auth.renderWaiters.has('billing'), false);
+    });
+
+    test('drops a waiter whose signal aborts', async () => {
+        const auth = tenantAuth();
+        const tenant = auth.tenants.get('billing');
+        const release = await auth.acquireRender(tenant);
+
+        const controller = new AbortController();
+        const waiting = auth.acquireRender(tenant, { signal: controller.signal });
+        controller.abort(new Error('Render cancelled: client disconnected'));
+        await assert.rejects(waiting, /client disconnected/);
+        assert.equal(auth.renderWaiters.has('billing'), false);
+
+        // The slot goes to the next live waiter, not the cancelled one
+        const next = auth.acquireRender(tenant);
+        release();
+        (await next)();
+        assert.equal(auth.activeRenders.get('billing'), 0);
+    });
+
+    test('drops a waiter at its deadline', async () => {
+        const auth = tenantAuth();
+        const tenant = auth.tenants.get('billing');
+        const release = await auth.acquireRender(tenant);
+
+        await assert.rejects(auth.acquireRender(tenant, { deadline: Date.now() + 20 }), /timed out/);
+        assert.equal(auth.renderWaiters.has('billing'), false);
+        release();
+    });
+
+    test('refuses at once when the signal has already aborted', async () => {
+        const auth = tenantAuth();
+        const signal = AbortSignal.abort(new Error('gone'));
+        await assert.rejects(auth.acquireRender(auth.tenants.get('billing'), { signal }), /gone/);
+        assert.equal(auth.activeRenders.get('billing') || 0, 0);
+    });
+});
+
+describe('tenant configuration', () => {
+    test('rejects unknown scopes and invalid job caps', () => {
+        assert.throws(() => tenantAuth({ scopes: ['admin'] }), /scopes must be a list of templates:write, assets:write/);
+        assert.throws(() => tenantAuth({ maxPendingJobs: 0 }), /maxPendingJobs must be a positive integer/);
+    });
+
+    test('grants no scopes by default', () => {
+        assert.deepEqual(tenantAuth().tenants.get('billing').scopes, []);
+    });
+});
@@ -0,0 +1,132 @@
+const assert = require('node:assert/strict');
+const { describe, test } = require('node:test');
+const { BridgeSupervisor, isBridgeFailure } = require('../bridge_supervisor');
+
+const silentLog = { info() {}, warn() {}, error() {}, debug() {} };
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitFor(predicate, timeout = 2000) {
+    const deadline = Date.now() + timeout;
+    while (!predicate()) {
+        if (Date.now() > deadline) {
+            throw new Error('Condition not met in time');
+        }
+        await sleep(5);
+    }
+}
+
+/**
+ * Admission stand-in: renders fail with the queued errors, probe renders wait until
+ * the test settles them
+ */
+function fakeAdmission() {
+    const admission = {
+        failures: [],
+        probes: [],
+        renders: 0,
+        async run(task) {
+            if (task.html.includes('Bridge probe')) {
+                return new Promise((resolve, reject) => admission.probes.push({ resolve, reject }));
+            }
+            admission.renders++;
+            const failure = admission.failures.shift();
+            if (failure) {
+                throw failure;
+            }
+            return { pdf: Buffer.from('%PDF') };
+        }
+    };
+    return admission;
+}
+
+function supervisor(admission) {
+    return new BridgeSupervisor({
+        admission,
+        log: silentLog,
+        // Both only have to exist: the interpreter executable, the script readable
+        pythonPath: process.execPath,
+        bridgePath: __filename,
+        probeTask: { maxPdfBytes: 1024 },
+        probeTimeout: 1000,
+        failureThreshold: 2,
+        resetTimeout: 50
+    });
+}
+
+const render = { html: '<p>x</p>' };
+
+describe('isBridgeFailure', () => {
+    test('counts a bridge that could not be spawned or never got ready', () => {
+        assert.ok(isBridgeFailure(new Error('PDF generation failed: Python process error: spawn python3 ENOENT')));
+        assert.ok(isBridgeFailure(new Error('PDF generation failed: Bridge failed to start (exit code 1): ImportError')));
+        assert.ok(isBridgeFailure(new Error('PDF generation failed: Failed to send request: write EPIPE')));
+    });
+
+    test('ignores failures a document can cause', () => {
+        assert.equal(isBridgeFailure(new Error('PDF generation failed: Process failed with code null: No response frame')), false);
+        assert.equal(isBridgeFailure(new Error('PDF generation failed: Bridge exited with code -9: Unknown error')), false);
+        assert.equal(isBridgeFailure(new Error('PDF generation failed: Process failed with code null: Malformed response frame: Frame body of 9 bytes exceeds the limit of 8 bytes')), false);
+        assert.equal(isBridgeFailure(new Error('PDF generation failed: Request 1a2b3c4d timed out at its deadline')), false);
+    });
+});
+
+describe('BridgeSupervisor', () => {
+    test('opens after consecutive bridge failures, half-opens for a probe and closes when it passes', async () => {
+        const admission = fakeAdmission();
+        const breaker = supervisor(admission);
+        assert.equal(breaker.state, 'closed');
+
+        // Crashes mid-render are the document's doing and leave the circuit closed
+        admission.failures.push(
+            new Error('PDF generation failed: Process failed with code null: No response frame'),
+            new Error('PDF generation failed: Process failed with code null: No response frame')
+        );
+        await assert.rejects(breaker.run(render), /Process failed/);
+        await assert.rejects(breaker.run(render), /Process failed/);
+        assert.equal(breaker.state, 'closed');
+        assert.equal(breaker.consecutiveFailures, 0);
+
+        admission.failures.push(
+            new Error('PDF generation failed: Bridge failed to start (exit code 1): ImportError'),
+            new Error('PDF generation failed: Bridge failed to start (exit code 1): ImportError')
+        );
+        await assert.rejects(breaker.run(render), /failed to start/);
+        assert.equal(breaker.state, 'closed');
+        await assert.rejects(breaker.run(render), /failed to start/);
+        assert.equal(breaker.state, 'open');
+        assert.equal(breaker.reason, 'consecutive_failures');
+
+        // Open: renders fail fast without reaching the pool
+        const rendersBefore = admission.renders;
+        await assert.rejects(breaker.run(render), { code: 'BRIDGE_UNAVAILABLE', status: 503 });
+        assert.equal(admission.renders, rendersBefore);
+
+        // After resetTimeout one probe runs; renders still fail fast meanwhile
+        await waitFor(() => admission.probes.length === 1);
+        assert.equal(breaker.state, 'half_open');
+        await assert.rejects(breaker.run(render), { code: 'BRIDGE_UNAVAILABLE' });
+
+        admission.probes[0].resolve({ pdf: Buffer.from('%PDF') });
+        await waitFor(() => breaker.state === 'closed');
+        assert.equal(breaker.reason, null);
+        assert.equal(breaker.lastProbe.ok, true);
+        assert.ok(await breaker.run(render));
+    });
+
+    test('stays open when the probe fails', async () => {
+        const admission = fakeAdmission();
+        const breaker = supervisor(admission);
+        breaker.open('consecutive_failures');
+
+        await waitFor(() => admission.probes.length === 1);
+        admission.probes[0].reject(new Error('PDF generation failed: Bridge failed to start (exit code 1): ImportError'));
+        await waitFor(() => breaker.state === 'open');
+        assert.equal(breaker.lastProbe.ok, false);
+
+        // The next probe is scheduled another resetTimeout out
+        await waitFor(() => admission.probes.length === 2);
+        admission.probes[1].resolve({ pdf: Buffer.from('%PDF') });
+        await waitFor(() => breaker.state === 'closed');
+    });
+});
@@ -0,0 +1,22 @@
+#!/usr/bin/env python3
+"""
+Stand-in for weasyprint_bridge_secure.py that never answers, for the orphan tests
+HANGING_BRIDGE=start   never reports ready
+HANGING_BRIDGE=render  reports ready, then sleeps once a request arrives
+Either way it first starts a child of its own, which has to die with the bridge's
+process group.
+"""
+
+import os
+import subprocess
+import sys
+import time
+
+subprocess.Popen([sys.executable, '-c', 'import time; time.sleep(600)'])
+
+if os.environ.get('HANGING_BRIDGE') != 'start':
+    sys.stderr.write("WeasyPrint bridge ready\n")
+    sys.stderr.flush()
+    sys.stdin.buffer.read(8)
+
+time.sleep(600)
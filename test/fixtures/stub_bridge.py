@@ -0,0 +1,118 @@
+#!/usr/bin/env python3
+"""
+Stand-in for weasyprint_bridge_secure.py that speaks the frame protocol without
+WeasyPrint, for HTTP-level tests
+Every request is answered with a one-page PDF carrying a digest of the request body,
+so different documents give different PDFs. Markers in the HTML change the answer:
+  stub:sleep=<ms>  wait before answering
+  stub:fail        answer with a failure frame, as for a document WeasyPrint rejects
+  stub:blocked     report a blocked resource fetch and a warning
+  stub:warn        report a warning only
+Requests with "stream": true are answered with a start frame, chunk frames and a
+done frame. With --persistent it serves frames until stdin closes.
+"""
+
+import hashlib
+import json
+import re
+import struct
+import sys
+import time
+
+PREFIX = struct.Struct('>II')
+
+
+def read_exact(size):
+    data = b''
+    while len(data) < size:
+        chunk = sys.stdin.buffer.read(size - len(data))
+        if not chunk:
+            return None
+        data += chunk
+    return data
+
+
+def read_frame():
+    prefix = read_exact(PREFIX.size)
+    if prefix is None:
+        return None
+    header_length, body_length = PREFIX.unpack(prefix)
+    header = json.loads(read_exact(header_length))
+    body = read_exact(body_length) if body_length else b''
+    return header, body
+
+
+def write_frame(header, body=b''):
+    header_bytes = json.dumps(header).encode('utf-8')
+    sys.stdout.buffer.write(PREFIX.pack(len(header_bytes), len(body)) + header_bytes + body)
+    sys.stdout.buffer.flush()
+
+
+def one_page_pdf(digest):
+    objects = [
+        b'<< /Type /Catalog /Pages 2 0 R >>',
+        b'<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        b'<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] >>',
+    ]
+    pdf = b'%PDF-1.4\n% ' + digest.encode('ascii') + b'\n'
+    offsets = []
+    for number, content in enumerate(objects, 1):
+        offsets.append(len(pdf))
+        pdf += b'%d 0 obj\n' % number + content + b'\nendobj\n'
+    xref = len(pdf)
+    pdf += b'xref\n0 %d\n0000000000 65535 f \n' % (len(objects) + 1)
+    pdf += b''.join(b'%010d 00000 n \n' % offset for offset in offsets)
+    pdf += b'trailer\n<< /Size %d /Root 1 0 R >>\nstartxref\n%d\n%%%%EOF\n' % (len(objects) + 1, xref)
+    return pdf
+
+
+def answer(header, body):
+    request_id = header['request_id']
+    sleep = re.search(rb'stub:sleep=(\d+)', body)
+    if sleep:
+        time.sleep(int(sleep.group(1)) / 1000)
+    if b'stub:fail' in body:
+        write_frame({'success': False, 'request_id': request_id, 'error': 'Stub render failure'})
+        return
+
+    blocked = []
+    warnings = []
+    if b'stub:blocked' in body:
+        blocked = [{'url': 'http://10.0.0.1/logo.png', 'reason': 'private network'}]
+        warnings = [{'level': 'warning', 'message': 'Failed to load image at http://10.0.0.1/logo.png'}]
+    if b'stub:warn' in body:
+        warnings.append({'level': 'warning', 'message': 'Ignored unknown property'})
+    pdf = one_page_pdf(hashlib.sha256(body).hexdigest())
+    diagnostics = {'warnings': warnings, 'fonts': [], 'resources': []}
+    if header.get('stream'):
+        write_frame({'success': True, 'request_id': request_id, 'streaming': True, 'pages': 1,
+                     'blocked_resources': blocked, 'diagnostics': diagnostics})
+        for start in range(0, len(pdf), 256):
+            write_frame({'success': True, 'request_id': request_id, 'chunk': True}, pdf[start:start + 256])
+        write_frame({'success': True, 'request_id': request_id, 'done': True, 'size': len(pdf)})
+        return
+    write_frame({
+        'success': True,
+        'request_id': request_id,
+        'size': len(pdf),
+        'pages': 1,
+        'rss_mb': 1.0,
+        'blocked_resources': blocked,
+        'diagnostics': diagnostics
+    }, pdf)
+
+
+def main():
+    sys.stderr.write('WeasyPrint bridge ready\n')
+    sys.stderr.flush()
+    while True:
+        frame = read_frame()
+        if frame is None:
+            return
+        answer(*frame)
+        if '--persistent' not in sys.argv:
+            return
+
+
+if __name__ == '__main__':
+    main()
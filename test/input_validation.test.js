@@ -0,0 +1,92 @@
+const assert = require('node:assert/strict');
+const { after, before, describe, test } = require('node:test');
+const { startService } = require('./service');
+
+// Bad input is refused before anything reaches the render pool
+describe('request validation', () => {
+    const MAX_HTML_SIZE = 2048;
+    let service;
+
+    before(async () => {
+        service = await startService({ MAX_HTML_SIZE: String(MAX_HTML_SIZE) });
+    });
+
+    after(async () => {
+        await service.stop();
+    });
+
+    /**
+     * Assert a 400 INVALID_INPUT response whose details name field
+     */
+    function assertInvalid(response, field) {
+        assert.equal(response.status, 400);
+        assert.equal(response.body.code, 'INVALID_INPUT');
+        assert.ok(
+            response.body.details.some(detail => detail.field === field),
+            `expected details to name ${field}, got ${JSON.stringify(response.body.details)}`
+        );
+    }
+
+    test('rejects html that is not a string', async () => {
+        assertInvalid(await service.request('POST', '/pdf', { html: 42 }), 'html');
+        assertInvalid(await service.request('POST', '/pdf', { html: ['<p>a</p>'] }), 'html');
+    });
+
+    test('rejects a missing or blank html', async () => {
+        assertInvalid(await service.request('POST', '/pdf', {}), 'html');
+        assertInvalid(await service.request('POST', '/pdf', { html: '   ' }), 'html');
+    });
+
+    test('rejects a document over MAX_HTML_SIZE with 413', async () => {
+        const response = await service.request('POST', '/pdf', { html: `<p>${'a'.repeat(MAX_HTML_SIZE)}</p>` });
+        assert.equal(response.status, 413);
+        assert.equal(response.body.code, 'PAYLOAD_TOO_LARGE');
+        assert.deepEqual(response.body.details.map(detail => detail.field), ['html']);
+    });
+
+    test('rejects an unknown page size', async () => {
+        const response = await service.request('POST', '/pdf', { html: '<p>a</p>', options: { page_size: 'A11' } });
+        assertInvalid(response, 'options.page_size');
+    });
+
+    test('rejects malformed margins', async () => {
+        assertInvalid(await service.request('POST', '/pdf', { html: '<p>a</p>', options: { margin: '10 parsecs' } }), 'options.margin');
+        assertInvalid(await service.request('POST', '/pdf', { html: '<p>a</p>', options: { margin: { middle: '1cm' } } }), 'options.margin');
+    });
+
+    test('rejects unknown options and options that are not an object', async () => {
+        assertInvalid(await service.request('POST', '/pdf', { html: '<p>a</p>', options: { scale: 2 } }), 'options.scale');
+        assertInvalid(await service.request('POST', '/pdf', { html: '<p>a</p>', options: 'A4' }), 'options');
+    });
+
+    test('reads numbers and booleans from ?options[field]=value', async () => {
+        const response = await service.request('GET', '/pdf?options[zoom]=1.5&options[optimize_images]=true&options[jpeg_quality]=80&options[page_size]=A11');
+        assertInvalid(response, 'options.page_size');
+        assert.deepEqual(response.body.details.map(detail => detail.field), ['options.page_size']);
+
+        assertInvalid(await service.request('GET', '/pdf?options[zoom]=large'), 'options.zoom');
+        assertInvalid(await service.request('GET', '/pdf?options[optimize_images]=yes'), 'options.optimize_images');
+    });
+
+    test('reports every invalid field at once', async () => {
+        const response = await service.request('POST', '/pdf', { html: 1, options: { page_size: 1, zoom: 100 } });
+        assertInvalid(response, 'html');
+        assertInvalid(response, 'options.page_size');
+        assertInvalid(response, 'options.zoom');
+    });
+
+    test('rejects unsafe template names', async () => {
+        assertInvalid(await service.request('PUT', '/templates/..%2F..%2Fetc', { html: '<p>a</p>' }), 'name');
+        assertInvalid(await service.request('POST', '/pdf', { template: '../invoice' }), 'template');
+        assertInvalid(await service.request('GET', '/templates/.hidden'), 'ref');
+    });
+
+    test('names the template variable missing from data', async () => {
+        const created = await service.request('PUT', '/templates/greeting', '<p>Dear {{customer.name}}</p>', { 'Content-Type': 'text/html' });
+        assert.equal(created.status, 201);
+
+        const response = await service.request('POST', '/pdf', { template: 'greeting', data: { customer: {} } });
+        assertInvalid(response, 'data.customer.name');
+        assert.match(response.body.message, /customer\.name/);
+    });
+});
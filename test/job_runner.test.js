@@ -0,0 +1,68 @@
+const assert = require('node:assert/strict');
+const http = require('http');
+const { describe, test } = require('node:test');
+const { JobRunner } = require('../job_runner');
+const { MemoryJobStore } = require('../job_store');
+
+const silentLog = { info() {}, warn() {}, error() {}, debug() {}, child() { return silentLog; } };
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitFor(predicate, timeout = 5000) {
+    const deadline = Date.now() + timeout;
+    while (!(await predicate())) {
+        if (Date.now() > deadline) {
+            throw new Error('Condition not met in time');
+        }
+        await sleep(10);
+    }
+}
+
+function jobRunner(options) {
+    return new JobRunner({
+        store: new MemoryJobStore(),
+        render: async () => ({ pdfBuffer: Buffer.from('%PDF-1.4'), blockedResources: [] }),
+        log: silentLog,
+        concurrency: 1,
+        maxAttempts: 3,
+        retryDelay: 10,
+        ttl: 60000,
+        callbackPolicy: { allowPrivateNetworks: true },
+        ...options
+    });
+}
+
+describe('JobRunner', () => {
+    test('delivers callbacks without holding a render slot', async () => {
+        // A callback host that accepts connections and never answers
+        const received = [];
+        const server = http.createServer(req => received.push(req.url));
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        const callbackUrl = `http://127.0.0.1:${server.address().port}/hook`;
+
+        const runner = jobRunner();
+        try {
+            const first = await runner.submit({ html: '<p>1</p>', callbackUrl });
+            const second = await runner.submit({ html: '<p>2</p>', callbackUrl });
+            await waitFor(async () => (await runner.store.get(second.id)).status === 'completed');
+            assert.equal((await runner.store.get(first.id)).status, 'completed');
+            await waitFor(() => received.length === 2);
+            assert.equal(runner.active, 0);
+        } finally {
+            runner.pause();
+            server.closeAllConnections();
+            server.close();
+        }
+    });
+
+    test('stops counting a job against its tenant when the store fails it', async () => {
+        const runner = jobRunner();
+        runner.store.update = async () => {
+            throw new Error('disk full');
+        };
+        await runner.submit({ html: '<p>1</p>', tenant: 'billing' });
+        await waitFor(() => runner.unfinishedCount('billing') === 0);
+        assert.equal(runner.unfinishedCount(), 0);
+        runner.pause();
+    });
+});
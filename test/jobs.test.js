@@ -0,0 +1,122 @@
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { after, before, describe, test } = require('node:test');
+const { startService, stubBridgeEnv } = require('./service');
+
+const CALLBACK_SECRET = 'test-callback-secret';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitFor(predicate, timeout = 20000) {
+    const deadline = Date.now() + timeout;
+    while (!(await predicate())) {
+        if (Date.now() > deadline) {
+            throw new Error('Condition not met in time');
+        }
+        await sleep(50);
+    }
+}
+
+describe('jobs', () => {
+    let service;
+
+    before(async () => {
+        service = await startService({
+            ...stubBridgeEnv(),
+            REQUEST_TIMEOUT: '3000',
+            JOB_MAX_ATTEMPTS: '2',
+            JOB_RETRY_DELAY: '50',
+            JOB_CALLBACK_SECRET: CALLBACK_SECRET,
+            JOB_CALLBACK_ALLOW_PRIVATE_NETWORKS: 'true'
+        }, { ready: true });
+    });
+
+    after(async () => {
+        await service.stop();
+    });
+
+    const getJob = async id => (await service.request('GET', `/jobs/${id}`)).body;
+
+    /**
+     * Poll a job until its status is one of statuses; resolves with the job
+     */
+    async function waitForStatus(id, statuses) {
+        let job;
+        await waitFor(async () => statuses.includes((job = await getJob(id)).status));
+        return job;
+    }
+
+    test('moves a job from queued through rendering to completed', async () => {
+        const submitted = await service.request('POST', '/jobs', { html: '<p>Job stub:sleep=1000</p>', filename: 'report' });
+        assert.equal(submitted.status, 202);
+        assert.equal(submitted.body.status, 'queued');
+        assert.equal(submitted.body.attempts, 0);
+        assert.equal(submitted.headers.get('location'), `/jobs/${submitted.body.id}`);
+        const { id } = submitted.body;
+
+        await waitForStatus(id, ['rendering']);
+        const early = await service.request('GET', `/jobs/${id}/result`);
+        assert.equal(early.status, 409);
+        assert.equal(early.body.code, 'JOB_NOT_COMPLETED');
+
+        const job = await waitForStatus(id, ['completed', 'failed']);
+        assert.equal(job.status, 'completed');
+        assert.equal(job.attempts, 1);
+        assert.equal(job.progress, 100);
+        const result = await service.request('GET', `/jobs/${id}/result`);
+        assert.equal(result.status, 200);
+        assert.equal(result.headers.get('content-type'), 'application/pdf');
+        assert.equal(result.raw.length, job.size);
+        assert.equal(result.raw.subarray(0, 5).toString(), '%PDF-');
+    });
+
+    test('fails a job its document breaks without retrying', async () => {
+        const { body } = await service.request('POST', '/jobs', { html: '<p>stub:fail</p>' });
+        const job = await waitForStatus(body.id, ['completed', 'failed']);
+        assert.equal(job.status, 'failed');
+        assert.equal(job.attempts, 1);
+        assert.equal((await service.request('GET', `/jobs/${body.id}/result`)).status, 409);
+    });
+
+    test('retries a job whose render timed out up to JOB_MAX_ATTEMPTS', async () => {
+        const { body } = await service.request('POST', '/jobs', { html: '<p>stub:sleep=30000</p>' });
+        const job = await waitForStatus(body.id, ['completed', 'failed']);
+        assert.equal(job.status, 'failed');
+        assert.equal(job.attempts, 2);
+        assert.equal(job.errorCode, 'RENDER_TIMEOUT');
+    });
+
+    test('delivers a signed callback, retrying a host that failed', async () => {
+        const received = [];
+        const server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                received.push({ headers: req.headers, body });
+                res.statusCode = received.length === 1 ? 500 : 204;
+                res.end();
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        try {
+            const callbackUrl = `http://127.0.0.1:${server.address().port}/hook`;
+            const { body } = await service.request('POST', '/jobs', { html: '<p>Called back</p>', callbackUrl });
+            assert.equal(body.callback, true);
+
+            await waitFor(() => received.length === 2);
+            const { headers, body: payload } = received[1];
+            const expected = crypto.createHmac('sha256', CALLBACK_SECRET)
+                .update(`${headers['x-job-timestamp']}.${payload}`)
+                .digest('hex');
+            assert.equal(headers['x-job-signature'], `sha256=${expected}`);
+            const { job } = JSON.parse(payload);
+            assert.equal(job.id, body.id);
+            assert.equal(job.status, 'completed');
+            assert.equal(job.callbackUrl, undefined);
+        } finally {
+            server.closeAllConnections();
+            server.close();
+        }
+    });
+});
@@ -0,0 +1,67 @@
+const assert = require('node:assert/strict');
+const { describe, test } = require('node:test');
+const { Logger, redact, resolveRequestId } = require('../logger');
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+describe('redact', () => {
+    test('replaces sensitive keys at any depth', () => {
+        const fields = {
+            tenant: 'billing',
+            request: { headers: { Authorization: 'Bearer abc', 'X-Api-Key': 'key', accept: 'application/pdf' }, body: { html: '<p>secret</p>' } },
+            jobs: [{ id: 'j1', data: { ssn: '123' } }],
+            callback: { hmac_secret: 's', url: 'https://example.com/hook' }
+        };
+        assert.deepEqual(redact(fields), {
+            tenant: 'billing',
+            request: { headers: { Authorization: '[REDACTED]', 'X-Api-Key': '[REDACTED]', accept: 'application/pdf' }, body: '[REDACTED]' },
+            jobs: [{ id: 'j1', data: '[REDACTED]' }],
+            callback: { hmac_secret: '[REDACTED]', url: 'https://example.com/hook' }
+        });
+        // Absent values stay visible: "no password" is worth logging
+        assert.deepEqual(redact({ password: null, token: undefined }), { password: null, token: undefined });
+    });
+
+    test('logs Buffers and typed arrays by size only', () => {
+        assert.deepEqual(redact({ upload: Buffer.from('%PDF-1.7'), pixels: new Uint8Array(16) }), { upload: '[8 bytes]', pixels: '[16 bytes]' });
+    });
+
+    test('cuts off objects and arrays nested past the depth limit', () => {
+        assert.deepEqual(redact({ a: { b: { c: { d: { e: { f: 1 } } } } } }), { a: { b: { c: { d: { e: '[Object]' } } } } });
+        assert.deepEqual(redact({ a: { b: { c: { d: { e: [1, 2] } } } } }), { a: { b: { c: { d: { e: '[Array]' } } } } });
+    });
+
+    test('truncates long strings', () => {
+        const value = redact({ message: 'x'.repeat(5000) }).message;
+        assert.ok(value.startsWith('x'.repeat(2000)));
+        assert.match(value, /\.\.\. \(5000 chars\)$/);
+    });
+
+    test('applies to every line a Logger writes', () => {
+        const lines = [];
+        const log = new Logger({ fields: { requestId: 'r-1' }, write: (level, line) => lines.push(JSON.parse(line)) });
+        log.info('Rendered', { tenant: 'billing', options: { password: 'hunter2' } });
+        assert.equal(lines.length, 1);
+        assert.equal(lines[0].requestId, 'r-1');
+        assert.deepEqual(lines[0].options, { password: '[REDACTED]' });
+    });
+});
+
+describe('resolveRequestId', () => {
+    test('keeps a well-formed client request ID', () => {
+        assert.equal(resolveRequestId('req-42.a:b_c'), 'req-42.a:b_c');
+        assert.equal(resolveRequestId('a'.repeat(128)), 'a'.repeat(128));
+    });
+
+    test('replaces IDs that could inject into headers or logs', () => {
+        for (const header of ['abc\r\nSet-Cookie: x=1', 'abc\ndef', 'two words', '<script>', 'id"quoted', '']) {
+            assert.match(resolveRequestId(header), UUID, JSON.stringify(header));
+        }
+    });
+
+    test('replaces over-long and missing IDs', () => {
+        assert.match(resolveRequestId('a'.repeat(129)), UUID);
+        assert.match(resolveRequestId(undefined), UUID);
+        assert.match(resolveRequestId(['req-1', 'req-2']), UUID);
+    });
+});
@@ -0,0 +1,89 @@
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const path = require('path');
+const { describe, test } = require('node:test');
+const { Piscina } = require('piscina');
+const { AdmissionController } = require('../admission');
+
+// A cancelled or timed-out render must not leave its bridge, or anything the bridge
+// started, running: the whole process group has to be gone
+const PYTHON_PATH = execFileSync('sh', ['-c', 'command -v python3']).toString().trim();
+const HANGING_BRIDGE_PATH = path.join(__dirname, 'fixtures', 'hanging_bridge.py');
+// Killed grandchildren are reaped by init, which may take a moment
+const GONE_TIMEOUT = 10000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function createAdmission(mode, hangAt) {
+    const pool = new Piscina({
+        filename: path.join(__dirname, '..', 'pdf_worker.js'),
+        minThreads: 1,
+        maxThreads: 1,
+        env: { ...process.env, PYTHON_PATH, BRIDGE_PATH: HANGING_BRIDGE_PATH, BRIDGE_MODE: mode, HANGING_BRIDGE: hangAt }
+    });
+    const admission = new AdmissionController({ pool, concurrency: 1, maxQueued: { interactive: 5, batch: 5 }, renderTimeout: 30000 });
+    return { pool, admission };
+}
+
+async function runningBridgePid(admission) {
+    for (;;) {
+        const [entry] = admission.running;
+        const [pid] = entry && entry.pids ? entry.pids : [];
+        if (pid) {
+            return pid;
+        }
+        await sleep(20);
+    }
+}
+
+function groupExists(pid) {
+    try {
+        process.kill(-pid, 0);
+        return true;
+    } catch (error) {
+        assert.equal(error.code, 'ESRCH');
+        return false;
+    }
+}
+
+async function assertGroupGone(pid) {
+    const deadline = Date.now() + GONE_TIMEOUT;
+    while (groupExists(pid) && Date.now() < deadline) {
+        await sleep(100);
+    }
+    assert.throws(() => process.kill(-pid, 0), { code: 'ESRCH' });
+}
+
+for (const mode of ['spawn', 'persistent']) {
+    describe(`orphaned bridges (BRIDGE_MODE=${mode})`, () => {
+        for (const hangAt of ['start', 'render']) {
+            test(`an aborted render kills a bridge hanging at ${hangAt}`, async () => {
+                const { pool, admission } = createAdmission(mode, hangAt);
+                try {
+                    const controller = new AbortController();
+                    const render = admission.run({ html: '<p>x</p>', maxPdfBytes: 1024 * 1024 }, { signal: controller.signal });
+                    const pid = await runningBridgePid(admission);
+                    // Let the bridge reach the point where it hangs
+                    await sleep(300);
+                    controller.abort(new Error('Render cancelled: client disconnected'));
+                    await assert.rejects(render, /client disconnected/);
+                    await assertGroupGone(pid);
+                } finally {
+                    await pool.destroy();
+                }
+            });
+
+            test(`a render past its deadline kills a bridge hanging at ${hangAt}`, async () => {
+                const { pool, admission } = createAdmission(mode, hangAt);
+                try {
+                    const render = admission.run({ html: '<p>x</p>', maxPdfBytes: 1024 * 1024 }, { deadline: Date.now() + 1000 });
+                    const pid = await runningBridgePid(admission);
+                    await assert.rejects(render, /timed out/);
+                    await assertGroupGone(pid);
+                } finally {
+                    await pool.destroy();
+                }
+            });
+        }
+    });
+}
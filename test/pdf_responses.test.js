@@ -0,0 +1,134 @@
+const assert = require('node:assert/strict');
+const { after, before, describe, test } = require('node:test');
+const { PDFDocument } = require('pdf-lib');
+const { startService, stubBridgeEnv } = require('./service');
+
+const pageCount = async pdf => (await PDFDocument.load(pdf)).getPageCount();
+
+/**
+ * Entries of a stored (uncompressed) ZIP archive as { name: Buffer }, read from
+ * its central directory
+ */
+function zipEntries(zip) {
+    const end = zip.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    const count = zip.readUInt16LE(end + 10);
+    let offset = zip.readUInt32LE(end + 16);
+    const entries = {};
+    for (let i = 0; i < count; i++) {
+        const size = zip.readUInt32LE(offset + 20);
+        const nameLength = zip.readUInt16LE(offset + 28);
+        const skip = nameLength + zip.readUInt16LE(offset + 30) + zip.readUInt16LE(offset + 32);
+        const name = zip.toString('utf8', offset + 46, offset + 46 + nameLength);
+        const local = zip.readUInt32LE(offset + 42);
+        const data = local + 30 + zip.readUInt16LE(local + 26) + zip.readUInt16LE(local + 28);
+        entries[name] = zip.subarray(data, data + size);
+        offset += 46 + skip;
+    }
+    return entries;
+}
+
+describe('PDF responses', () => {
+    let service;
+
+    before(async () => {
+        service = await startService(stubBridgeEnv(), { ready: true });
+    });
+
+    after(async () => {
+        await service.stop();
+    });
+
+    test('streams a render with chunked transfer encoding', async () => {
+        const response = await service.request('POST', '/pdf?stream=true', { html: '<p>Streamed</p>' });
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('content-type'), 'application/pdf');
+        assert.equal(response.headers.get('transfer-encoding'), 'chunked');
+        assert.equal(response.headers.get('content-length'), null);
+        assert.equal(response.headers.get('x-page-count'), '1');
+        assert.equal(await pageCount(response.raw), 1);
+    });
+
+    test('answers a Range request with 206 and the requested bytes', async () => {
+        const body = { html: '<p>Ranged</p>' };
+        const whole = await service.request('POST', '/pdf', body);
+        assert.equal(whole.headers.get('accept-ranges'), 'bytes');
+
+        const partial = await service.request('POST', '/pdf', body, { Range: 'bytes=0-7' });
+        assert.equal(partial.status, 206);
+        assert.equal(partial.headers.get('content-range'), `bytes 0-7/${whole.raw.length}`);
+        assert.equal(partial.raw.toString(), '%PDF-1.4');
+
+        const tail = await service.request('POST', '/pdf', body, { Range: 'bytes=-6' });
+        assert.equal(tail.status, 206);
+        assert.deepEqual(tail.raw, whole.raw.subarray(-6));
+
+        const outside = await service.request('POST', '/pdf', body, { Range: `bytes=${whole.raw.length}-` });
+        assert.equal(outside.status, 416);
+        assert.equal(outside.body.code, 'RANGE_NOT_SATISFIABLE');
+        assert.equal(outside.headers.get('content-range'), `bytes */${whole.raw.length}`);
+    });
+
+    test('merges the documents a postprocess spec prepends and appends', async () => {
+        const created = await service.request('PUT', '/templates/terms', '<p>Terms</p>', { 'Content-Type': 'text/html' });
+        assert.equal(created.status, 201);
+        const response = await service.request('POST', '/pdf', {
+            html: '<p>Body</p>',
+            postprocess: { prepend: [{ html: '<h1>Cover</h1>' }], append: [{ template: 'terms' }] }
+        });
+        assert.equal(response.status, 200);
+        assert.equal(await pageCount(response.raw), 3);
+
+        const missing = await service.request('POST', '/pdf', { html: '<p>Body</p>', postprocess: { append: [{ template: 'nothing' }] } });
+        assert.equal(missing.status, 400);
+        assert.equal(missing.body.code, 'TEMPLATE_NOT_FOUND');
+    });
+
+    test('returns a batch as a ZIP with a manifest', async () => {
+        const response = await service.request('POST', '/pdf/batch', {
+            filename: 'monthly',
+            items: [{ html: '<p>One</p>', filename: 'one' }, { html: '<p>stub:fail</p>', filename: 'broken' }, { html: '<p>Two</p>', filename: 'two' }]
+        });
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('content-type'), 'application/zip');
+        assert.match(response.headers.get('content-disposition'), /filename="monthly\.zip"/);
+
+        const entries = zipEntries(response.raw);
+        assert.deepEqual(Object.keys(entries).sort(), ['manifest.json', 'one.pdf', 'two.pdf']);
+        assert.equal(await pageCount(entries['one.pdf']), 1);
+        const manifest = JSON.parse(entries['manifest.json']);
+        assert.equal(manifest.total, 3);
+        assert.equal(manifest.succeeded, 2);
+        assert.deepEqual(manifest.items.filter(item => !item.success).map(item => item.index), [1]);
+    });
+
+    test('returns a batch as one merged PDF', async () => {
+        const response = await service.request('POST', '/pdf/batch', {
+            format: 'merged',
+            items: [{ html: '<p>One</p>' }, { html: '<p>stub:fail</p>' }, { html: '<p>Two</p>' }]
+        });
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('content-type'), 'application/pdf');
+        assert.equal(response.headers.get('x-batch-succeeded'), '2');
+        assert.equal(response.headers.get('x-batch-failed-items'), '1');
+        assert.equal(await pageCount(response.raw), 2);
+
+        const failed = await service.request('POST', '/pdf/batch', { format: 'merged', items: [{ html: '<p>stub:fail</p>' }] });
+        assert.equal(failed.status, 422);
+        assert.equal(failed.body.code, 'BATCH_FAILED');
+    });
+
+    test('exposes render, admission and HTTP metrics', async () => {
+        assert.equal((await service.request('POST', '/pdf', { html: '<p>Counted</p>' })).status, 200);
+        const batch = await service.request('POST', '/pdf/batch', { format: 'merged', items: [{ html: '<p>Counted</p>' }, { html: '<p>stub:fail</p>' }] });
+        assert.equal(batch.status, 200);
+        const response = await service.request('GET', '/metrics');
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /^text\/plain/);
+        const text = response.raw.toString();
+        assert.match(text, /^pdf_render_duration_seconds_count\{template="inline",outcome="success"\} [1-9]/m);
+        assert.match(text, /^pdf_admission_wait_seconds_count\{lane="interactive"\} [1-9]/m);
+        assert.match(text, /^pdf_admission_wait_seconds_count\{lane="batch"\} [1-9]/m);
+        assert.match(text, /^pdf_render_errors_total\{category="bridge_error"\} [1-9]/m);
+        assert.match(text, /^http_requests_total\{method="POST",route="\/pdf",status="200"\} [1-9]/m);
+    });
+});
@@ -0,0 +1,115 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, before, describe, test } = require('node:test');
+const { RenderCache } = require('../render_cache');
+const { startService, stubBridgeEnv } = require('./service');
+
+const silentLog = { info() {}, warn() {}, error() {}, debug() {} };
+
+describe('RenderCache', () => {
+    test('keeps the meta of an entry on disk', async () => {
+        const diskDir = fs.mkdtempSync(path.join(os.tmpdir(), 'render-cache-test-'));
+        const config = { memoryMaxBytes: 1024, diskMaxBytes: 1024, diskDir, ttl: 60000, log: silentLog };
+        try {
+            const meta = { pageCount: 2, blockedResources: [], diagnostics: { warnings: [] } };
+            await new RenderCache(config).set('a'.repeat(64), Buffer.from('%PDF-1.4'), meta);
+
+            // A new process finds the entry through the disk tier
+            const cached = await new RenderCache(config).get('a'.repeat(64));
+            assert.equal(cached.tier, 'DISK');
+            assert.deepEqual(cached.meta, meta);
+            assert.equal(cached.pdf.toString(), '%PDF-1.4');
+        } finally {
+            fs.rmSync(diskDir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('render cache', () => {
+    let service;
+
+    before(async () => {
+        service = await startService({ ...stubBridgeEnv(), RENDER_CACHE: 'true', RENDER_CACHE_DISK_MB: '0' }, { ready: true });
+    });
+
+    after(async () => {
+        await service.stop();
+    });
+
+    const putTemplate = (name, html) => service.request('PUT', `/templates/${name}`, html, { 'Content-Type': 'text/html' });
+
+    test('misses once a template merged by postprocess is re-uploaded', async () => {
+        assert.equal((await putTemplate('cover', '<h1>Cover v1</h1>')).status, 201);
+        const body = { html: '<p>Report</p>', postprocess: { prepend: [{ template: 'cover' }] } };
+
+        const first = await service.request('POST', '/pdf', body);
+        assert.equal(first.status, 200);
+        assert.equal(first.headers.get('x-cache'), 'MISS');
+        const second = await service.request('POST', '/pdf', body);
+        assert.equal(second.headers.get('x-cache'), 'HIT-MEMORY');
+
+        assert.equal((await putTemplate('cover', '<h1>Cover v2</h1>')).status, 201);
+        const third = await service.request('POST', '/pdf', body);
+        assert.equal(third.status, 200);
+        assert.equal(third.headers.get('x-cache'), 'MISS');
+        assert.notEqual(third.headers.get('etag'), first.headers.get('etag'));
+    });
+
+    test('answers If-None-Match with the ETag with 304', async () => {
+        const body = { html: '<p>Revalidated</p>' };
+        const first = await service.request('POST', '/pdf', body);
+        const etag = first.headers.get('etag');
+        assert.match(etag, /^"[0-9a-f]{64}"$/);
+
+        for (const ifNoneMatch of [etag, `W/${etag}`, `"other", ${etag}`, '*']) {
+            const revalidated = await service.request('POST', '/pdf', body, { 'If-None-Match': ifNoneMatch });
+            assert.equal(revalidated.status, 304, ifNoneMatch);
+            assert.equal(revalidated.raw.length, 0);
+        }
+        const changed = await service.request('POST', '/pdf', { html: '<p>Changed</p>' }, { 'If-None-Match': etag });
+        assert.equal(changed.status, 200);
+        assert.notEqual(changed.headers.get('etag'), etag);
+    });
+
+    test('bypasses the lookup for Cache-Control: no-cache and stores nothing for no-store', async () => {
+        const body = { html: '<p>Bypassed</p>' };
+        const stored = await service.request('POST', '/pdf', body);
+        assert.equal(stored.headers.get('x-cache'), 'MISS');
+        const bypassed = await service.request('POST', '/pdf', body, { 'Cache-Control': 'no-cache' });
+        assert.equal(bypassed.status, 200);
+        assert.equal(bypassed.headers.get('x-cache'), 'BYPASS');
+        assert.equal(bypassed.headers.get('etag'), stored.headers.get('etag'));
+        assert.equal((await service.request('POST', '/pdf', body)).headers.get('x-cache'), 'HIT-MEMORY');
+
+        const unstored = { html: '<p>Not stored</p>' };
+        assert.equal((await service.request('POST', '/pdf', unstored, { 'Cache-Control': 'no-store' })).headers.get('x-cache'), 'BYPASS');
+        assert.equal((await service.request('POST', '/pdf', unstored)).headers.get('x-cache'), 'MISS');
+
+        const { cache } = (await service.request('GET', '/health')).body;
+        assert.ok(cache.bypassed >= 2);
+    });
+
+    test('repeats the render headers on a hit', async () => {
+        const body = { html: '<p>Headers stub:warn</p>' };
+        const first = await service.request('POST', '/pdf', body);
+        assert.equal(first.headers.get('x-cache'), 'MISS');
+        const second = await service.request('POST', '/pdf', body);
+        assert.equal(second.headers.get('x-cache'), 'HIT-MEMORY');
+        for (const header of ['x-page-count', 'x-render-warnings']) {
+            assert.equal(second.headers.get(header), '1', header);
+            assert.equal(second.headers.get(header), first.headers.get(header), header);
+        }
+    });
+
+    test('does not store a render with a blocked resource fetch', async () => {
+        const body = { html: '<img src="http://10.0.0.1/logo.png"> stub:blocked' };
+        for (let i = 0; i < 2; i++) {
+            const response = await service.request('POST', '/pdf', body);
+            assert.equal(response.status, 200);
+            assert.equal(response.headers.get('x-cache'), 'MISS');
+            assert.equal(response.headers.get('x-blocked-resources'), '1');
+        }
+    });
+});
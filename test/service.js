@@ -0,0 +1,129 @@
+const { execFileSync, spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Run the service (index.js) in a child process for HTTP-level tests
+ * Stores live in a temporary directory and no Python interpreter is configured,
+ * so requests that get past validation fail with 503 BRIDGE_UNAVAILABLE, unless the
+ * env names one, e.g. stubBridgeEnv() for fixtures/stub_bridge.py.
+ */
+
+const INDEX_PATH = path.join(__dirname, '..', 'index.js');
+const STARTUP_TIMEOUT = 15000;
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Env that renders with the stub bridge (see fixtures/stub_bridge.py)
+ */
+function stubBridgeEnv() {
+    return {
+        PYTHON_PATH: execFileSync('sh', ['-c', 'command -v python3']).toString().trim(),
+        BRIDGE_PATH: path.join(__dirname, 'fixtures', 'stub_bridge.py')
+    };
+}
+
+async function waitUntil(baseUrl, child, probePath) {
+    const deadline = Date.now() + STARTUP_TIMEOUT;
+    while (Date.now() < deadline) {
+        if (child.exitCode !== null) {
+            throw new Error(`Service exited with code ${child.exitCode} during startup`);
+        }
+        try {
+            const response = await fetch(`${baseUrl}${probePath}`);
+            if (response.ok) {
+                return;
+            }
+        } catch {
+            // not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error(`Service did not answer ${probePath} within ${STARTUP_TIMEOUT}ms`);
+}
+
+/**
+ * Start the service with env on top of the test defaults; with ready, wait for
+ * /health/ready (the bridge startup check passed) instead of /health/live
+ * Returns { baseUrl, request(method, path, body, headers), stop() }; request resolves with
+ * { status, headers, body (parsed JSON, else null), raw (the body as a Buffer) }
+ */
+async function startService(env = {}, { ready = false } = {}) {
+    const port = await freePort();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdf-service-test-'));
+    const child = spawn(process.execPath, [INDEX_PATH], {
+        env: {
+            ...process.env,
+            PORT: String(port),
+            LOG_LEVEL: 'error',
+            PYTHON_PATH: path.join(dir, 'no-python'),
+            TEMPLATE_STORE: 'memory',
+            JOB_STORE: 'memory',
+            ASSET_STORE_DIR: path.join(dir, 'asset_store'),
+            ASSETS_DIR: path.join(dir, 'assets'),
+            RENDER_CACHE: 'false',
+            TRACING_EXPORTER: 'none',
+            ...env
+        },
+        stdio: ['ignore', 'ignore', 'pipe']
+    });
+    // Kept for the startup error; the missing interpreter alone logs an error
+    let stderr = '';
+    child.stderr.on('data', (chunk) => {
+        stderr = (stderr + chunk).slice(-2000);
+    });
+    const exited = new Promise(resolve => child.once('exit', resolve));
+    const baseUrl = `http://127.0.0.1:${port}`;
+
+    const stop = async () => {
+        if (child.exitCode === null && child.signalCode === null) {
+            child.kill('SIGTERM');
+        }
+        await exited;
+        fs.rmSync(dir, { recursive: true, force: true });
+    };
+
+    try {
+        await waitUntil(baseUrl, child, ready ? '/health/ready' : '/health/live');
+    } catch (error) {
+        await stop();
+        error.message += `\n${stderr}`;
+        throw error;
+    }
+
+    const request = async (method, urlPath, body, headers = {}) => {
+        const json = body !== undefined && typeof body !== 'string';
+        const response = await fetch(`${baseUrl}${urlPath}`, {
+            method,
+            headers: { ...(json ? { 'Content-Type': 'application/json' } : {}), ...headers },
+            body: json ? JSON.stringify(body) : body
+        });
+        const raw = Buffer.from(await response.arrayBuffer());
+        let parsed = null;
+        try {
+            parsed = JSON.parse(raw.toString('utf8'));
+        } catch {
+            // not JSON (a PDF or an empty body)
+        }
+        return { status: response.status, headers: response.headers, body: parsed, raw };
+    };
+
+    return { baseUrl, request, stop };
+}
+
+module.exports = {
+    startService,
+    stubBridgeEnv
+};
@@ -0,0 +1,112 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, before, describe, test } = require('node:test');
+const { FileTemplateStore, MemoryTemplateStore, TemplateNotFoundError, isValidTemplateName, parseTemplateRef } = require('../template_store');
+const { TemplateDataError, renderTemplate } = require('../template_engine');
+
+describe('template names', () => {
+    test('accepts names in the grammar', () => {
+        assert.ok(isValidTemplateName('invoice'));
+        assert.ok(isValidTemplateName('Invoice_2-en'));
+        assert.deepEqual(parseTemplateRef('invoice@3'), { name: 'invoice', version: 3 });
+    });
+
+    test('rejects names that could leave the template root', () => {
+        for (const name of ['..', '../x', 'a/b', 'a\\b', '.hidden', '-x', '', 'a'.repeat(65), 'x\0', 42, null]) {
+            assert.equal(isValidTemplateName(name), false, `${JSON.stringify(name)} should be invalid`);
+            assert.equal(parseTemplateRef(name), null);
+        }
+        assert.equal(parseTemplateRef('invoice@0'), null);
+        assert.equal(parseTemplateRef('invoice@x'), null);
+    });
+});
+
+describe('FileTemplateStore', () => {
+    let root;
+    let store;
+
+    before(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'template-store-test-'));
+        store = new FileTemplateStore(path.join(root, 'templates'));
+    });
+
+    after(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    test('writes immutable versions', async () => {
+        assert.deepEqual(await store.write('invoice', '<p>1</p>'), { name: 'invoice', version: 1, created: true });
+        assert.deepEqual(await store.write('invoice', '<p>1</p>'), { name: 'invoice', version: 1, created: false });
+        assert.deepEqual(await store.write('invoice', '<p>2</p>'), { name: 'invoice', version: 2, created: true });
+        assert.equal((await store.read('invoice', 1)).html, '<p>1</p>');
+    });
+
+    test('never touches paths outside the template root', async () => {
+        for (const name of ['../escaped', '..', 'nested/name']) {
+            await assert.rejects(store.write(name, '<p>x</p>'), TemplateNotFoundError);
+            await assert.rejects(store.read(name), TemplateNotFoundError);
+            await assert.rejects(store.remove(name), TemplateNotFoundError);
+        }
+        assert.deepEqual(fs.readdirSync(root), ['templates']);
+    });
+});
+
+/**
+ * A deleted name must not hand out a version number it already used
+ */
+async function assertVersionsSurviveDelete(store) {
+    await store.write('receipt', '<p>1</p>');
+    await store.write('receipt', '<p>2</p>');
+    await store.remove('receipt');
+    await assert.rejects(store.read('receipt'), TemplateNotFoundError);
+    assert.deepEqual(await store.list(), []);
+
+    assert.deepEqual(await store.write('receipt', '<p>new</p>'), { name: 'receipt', version: 3, created: true });
+    await assert.rejects(store.read('receipt', 1), TemplateNotFoundError);
+    assert.equal((await store.read('receipt')).html, '<p>new</p>');
+    assert.equal((await store.read('receipt', 3)).html, '<p>new</p>');
+    assert.deepEqual(await store.list(), [{ name: 'receipt', latestVersion: 3, versionCount: 1 }]);
+}
+
+describe('deleting a template', () => {
+    test('keeps its version numbers on disk', async () => {
+        const root = fs.mkdtempSync(path.join(os.tmpdir(), 'template-store-test-'));
+        try {
+            await assertVersionsSurviveDelete(new FileTemplateStore(root));
+        } finally {
+            fs.rmSync(root, { recursive: true, force: true });
+        }
+    });
+
+    test('keeps its version numbers in memory', async () => {
+        await assertVersionsSurviveDelete(new MemoryTemplateStore());
+    });
+});
+
+describe('renderTemplate', () => {
+    test('merges data', () => {
+        assert.equal(renderTemplate('<p>{{customer.name}}</p>', { customer: { name: 'Ada' } }), '<p>Ada</p>');
+    });
+
+    test('names the missing field in strict mode', () => {
+        assert.throws(
+            () => renderTemplate('<h1>Invoice</h1>\n<p>{{customer.name}}</p>', { customer: {} }),
+            (error) => {
+                assert.ok(error instanceof TemplateDataError);
+                assert.equal(error.field, 'customer.name');
+                assert.equal(error.line, 2);
+                return true;
+            }
+        );
+    });
+
+    test('names a missing parent object', () => {
+        assert.throws(() => renderTemplate('<p>{{order.customer.name}}</p>', {}), { name: 'TemplateDataError', field: 'order' });
+    });
+
+    test('names a missing partial', () => {
+        assert.throws(() => renderTemplate('{{> no_such_partial}}', {}), { name: 'TemplateDataError', field: 'no_such_partial' });
+    });
+});
@@ -0,0 +1,71 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, before, describe, test } = require('node:test');
+const { startService } = require('./service');
+
+const ADMIN_KEY = 'admin-key-0123456789';
+const BILLING_KEY = 'billing-key-0123456789';
+
+describe('tenant isolation', () => {
+    let dir;
+    let service;
+
+    before(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tenants-test-'));
+        const tenantsFile = path.join(dir, 'tenants.json');
+        fs.writeFileSync(tenantsFile, JSON.stringify({
+            tenants: {
+                admin: { apiKeys: [ADMIN_KEY], scopes: ['templates:write', 'assets:write'] },
+                billing: { apiKeys: [BILLING_KEY], maxPendingJobs: 1 }
+            }
+        }));
+        // Jobs cannot render without a bridge; a long retry delay keeps them unfinished
+        service = await startService({ TENANTS_FILE: tenantsFile, JOB_RETRY_DELAY: '600000', JOB_MAX_QUEUED: '2' });
+    });
+
+    after(async () => {
+        await service.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const as = key => ({ 'X-API-Key': key });
+
+    test('only tenants with templates:write change templates', async () => {
+        const html = '<p>{{name}}</p>';
+        const refused = await service.request('PUT', '/templates/statement', html, { 'Content-Type': 'text/html', ...as(BILLING_KEY) });
+        assert.equal(refused.status, 403);
+        assert.equal(refused.body.code, 'FORBIDDEN');
+
+        const created = await service.request('PUT', '/templates/statement', html, { 'Content-Type': 'text/html', ...as(ADMIN_KEY) });
+        assert.equal(created.status, 201);
+
+        const removal = await service.request('DELETE', '/templates/statement', undefined, as(BILLING_KEY));
+        assert.equal(removal.status, 403);
+        assert.equal((await service.request('GET', '/templates/statement', undefined, as(BILLING_KEY))).status, 200);
+    });
+
+    test('only tenants with assets:write change assets', async () => {
+        const png = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+        const refused = await service.request('PUT', '/assets/images/logo', png, { 'Content-Type': 'image/png', ...as(BILLING_KEY) });
+        assert.equal(refused.status, 403);
+        assert.equal(refused.body.code, 'FORBIDDEN');
+        assert.equal((await service.request('DELETE', '/assets/images/logo', undefined, as(BILLING_KEY))).status, 403);
+    });
+
+    test('caps unfinished jobs per tenant and in total', async () => {
+        const first = await service.request('POST', '/jobs', { html: '<p>1</p>' }, as(BILLING_KEY));
+        assert.equal(first.status, 202);
+
+        const second = await service.request('POST', '/jobs', { html: '<p>2</p>' }, as(BILLING_KEY));
+        assert.equal(second.status, 429);
+        assert.equal(second.body.code, 'CONCURRENCY_LIMIT');
+
+        assert.equal((await service.request('POST', '/jobs', { html: '<p>3</p>' }, as(ADMIN_KEY))).status, 202);
+        const full = await service.request('POST', '/jobs', { html: '<p>4</p>' }, as(ADMIN_KEY));
+        assert.equal(full.status, 503);
+        assert.equal(full.body.code, 'QUEUE_FULL');
+        assert.ok(full.headers.get('retry-after'));
+    });
+});
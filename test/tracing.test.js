@@ -0,0 +1,32 @@
+const assert = require('node:assert/strict');
+const { describe, test } = require('node:test');
+const { parseTraceparent } = require('../tracing');
+
+const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+const SPAN_ID = '00f067aa0ba902b7';
+
+describe('parseTraceparent', () => {
+    test('reads the trace and parent span of a version 00 header', () => {
+        assert.deepEqual(parseTraceparent(`00-${TRACE_ID}-${SPAN_ID}-01`), { traceId: TRACE_ID, spanId: SPAN_ID });
+        assert.deepEqual(parseTraceparent(` 00-${TRACE_ID}-${SPAN_ID}-00 `), { traceId: TRACE_ID, spanId: SPAN_ID });
+    });
+
+    test('rejects all-zero trace and span IDs', () => {
+        assert.equal(parseTraceparent(`00-${'0'.repeat(32)}-${SPAN_ID}-01`), null);
+        assert.equal(parseTraceparent(`00-${TRACE_ID}-${'0'.repeat(16)}-01`), null);
+    });
+
+    test('rejects malformed headers', () => {
+        for (const header of [
+            undefined,
+            '',
+            `01-${TRACE_ID}-${SPAN_ID}-01`,
+            `00-${TRACE_ID.toUpperCase()}-${SPAN_ID}-01`,
+            `00-${TRACE_ID.slice(1)}-${SPAN_ID}-01`,
+            `00-${TRACE_ID}-${SPAN_ID}`,
+            `00-${TRACE_ID}-${SPAN_ID}-01-extra`
+        ]) {
+            assert.equal(parseTraceparent(header), null, JSON.stringify(header));
+        }
+    });
+});
@@ -0,0 +1,273 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * OpenTelemetry-compatible spans, exported as OTLP/JSON (ExportTraceServiceRequest)
+ *   TRACING_EXPORTER=none  spans are dropped (default)
+ *   TRACING_EXPORTER=otlp  POSTed to TRACING_OTLP_ENDPOINT, e.g. a local OpenTelemetry Collector
+ *   TRACING_EXPORTER=file  appended to TRACING_FILE, one export request per line
+ * Every request gets a server span continuing the caller's W3C traceparent; its
+ * renders add pdf.queue_wait, pdf.bridge_spawn and pdf.bridge_render spans, and
+ * writing the response an http.response span. Spans are batched and exported every
+ * TRACING_FLUSH_INTERVAL ms; attributes never carry documents or query strings.
+ */
+
+const SPAN_KIND = { INTERNAL: 1, SERVER: 2 };
+const STATUS_CODE = { UNSET: 0, OK: 1, ERROR: 2 };
+
+const TRACEPARENT_PATTERN = /^00-([0-9a-f]{32})-([0-9a-f]{16})-[0-9a-f]{2}$/;
+const MAX_BUFFERED_SPANS = 2048;
+const EXPORT_BATCH_SIZE = 512;
+const EXPORT_TIMEOUT_MS = 5000;
+
+/**
+ * { traceId, spanId } of a W3C traceparent header, or null when absent or malformed
+ */
+function parseTraceparent(header) {
+    const match = typeof header === 'string' ? TRACEPARENT_PATTERN.exec(header.trim()) : null;
+    if (!match || /^0+$/.test(match[1]) || /^0+$/.test(match[2])) {
+        return null;
+    }
+    return { traceId: match[1], spanId: match[2] };
+}
+
+function otlpValue(value) {
+    if (typeof value === 'boolean') {
+        return { boolValue: value };
+    }
+    if (Number.isInteger(value)) {
+        return { intValue: String(value) };
+    }
+    if (typeof value === 'number') {
+        return { doubleValue: value };
+    }
+    return { stringValue: String(value) };
+}
+
+function otlpAttributes(attributes) {
+    return Object.entries(attributes)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => ({ key, value: otlpValue(value) }));
+}
+
+function unixNano(ms) {
+    return (BigInt(Math.round(ms * 1000)) * 1000n).toString();
+}
+
+class Span {
+    constructor(tracer, { name, traceId, parentSpanId, kind, startTime, attributes }) {
+        this.tracer = tracer;
+        this.name = name;
+        this.traceId = traceId;
+        this.spanId = crypto.randomBytes(8).toString('hex');
+        this.parentSpanId = parentSpanId;
+        this.kind = kind;
+        this.startTime = startTime;
+        this.endTime = null;
+        this.attributes = { ...attributes };
+        this.status = { code: STATUS_CODE.UNSET };
+    }
+
+    setAttributes(attributes) {
+        Object.assign(this.attributes, attributes);
+        return this;
+    }
+
+    /**
+     * Mark the span failed; only the error's name and message are kept
+     */
+    recordError(error) {
+        this.status = { code: STATUS_CODE.ERROR, message: (error && error.message) || String(error) };
+        this.attributes['exception.type'] = (error && (error.code || error.name)) || 'Error';
+        return this;
+    }
+
+    /**
+     * End the span (at endTime, epoch ms) and hand it to the exporter; later calls do nothing
+     */
+    end(endTime = Date.now()) {
+        if (this.endTime === null) {
+            this.endTime = Math.max(endTime, this.startTime);
+            this.tracer.record(this);
+        }
+    }
+
+    toOtlp() {
+        const span = {
+            traceId: this.traceId,
+            spanId: this.spanId,
+            name: this.name,
+            kind: this.kind,
+            startTimeUnixNano: unixNano(this.startTime),
+            endTimeUnixNano: unixNano(this.endTime),
+            attributes: otlpAttributes(this.attributes),
+            status: this.status
+        };
+        if (this.parentSpanId) {
+            span.parentSpanId = this.parentSpanId;
+        }
+        return span;
+    }
+}
+
+/**
+ * POST export requests to an OTLP/HTTP JSON endpoint
+ */
+class OtlpHttpExporter {
+    constructor(endpoint) {
+        this.endpoint = endpoint;
+    }
+
+    async export(request) {
+        const response = await fetch(this.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(request),
+            signal: AbortSignal.timeout(EXPORT_TIMEOUT_MS)
+        });
+        if (!response.ok) {
+            throw new Error(`collector answered ${response.status}`);
+        }
+    }
+}
+
+/**
+ * Append export requests to a file, one JSON document per line
+ */
+class FileExporter {
+    constructor(file) {
+        this.file = path.resolve(file);
+    }
+
+    async export(request) {
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.promises.appendFile(this.file, `${JSON.stringify(request)}\n`);
+    }
+}
+
+class Tracer {
+    /**
+     * @param {object} options
+     * @param {object|null} options.exporter   export(request) promise; null drops every span
+     * @param {string} options.serviceName     service.name resource attribute
+     * @param {object} options.log
+     * @param {number} options.flushInterval   ms between exports
+     */
+    constructor({ exporter, serviceName, log, flushInterval }) {
+        this.exporter = exporter;
+        this.serviceName = serviceName;
+        this.log = log;
+        this.buffer = [];
+        this.dropped = 0;
+        this.timer = null;
+        if (exporter) {
+            this.timer = setInterval(() => this.flush(), flushInterval);
+            this.timer.unref();
+        }
+    }
+
+    get enabled() {
+        return this.exporter !== null;
+    }
+
+    /**
+     * Start a span under parent (a Span, or the { traceId, spanId } of parseTraceparent);
+     * without one it starts a new trace
+     */
+    startSpan(name, { parent = null, kind = SPAN_KIND.INTERNAL, startTime = Date.now(), attributes = {} } = {}) {
+        return new Span(this, {
+            name,
+            traceId: parent ? parent.traceId : crypto.randomBytes(16).toString('hex'),
+            parentSpanId: parent ? parent.spanId : null,
+            kind,
+            startTime,
+            attributes
+        });
+    }
+
+    record(span) {
+        if (!this.exporter) {
+            return;
+        }
+        if (this.buffer.length >= MAX_BUFFERED_SPANS) {
+            // The exporter cannot keep up; losing spans beats growing without bound
+            this.dropped++;
+            return;
+        }
+        this.buffer.push(span);
+        if (this.buffer.length >= EXPORT_BATCH_SIZE) {
+            this.flush();
+        }
+    }
+
+    /**
+     * Export the buffered spans; failures are logged, never thrown
+     */
+    async flush() {
+        while (this.buffer.length > 0) {
+            const spans = this.buffer.splice(0, EXPORT_BATCH_SIZE);
+            try {
+                await this.exporter.export(this.exportRequest(spans));
+            } catch (error) {
+                this.log.warn(`Exporting ${spans.length} span(s) failed: ${error.message}`);
+                return;
+            }
+        }
+        if (this.dropped > 0) {
+            this.log.warn(`Dropped ${this.dropped} span(s) while the exporter was behind`);
+            this.dropped = 0;
+        }
+    }
+
+    exportRequest(spans) {
+        return {
+            resourceSpans: [{
+                resource: { attributes: otlpAttributes({ 'service.name': this.serviceName }) },
+                scopeSpans: [{
+                    scope: { name: 'pdf-service' },
+                    spans: spans.map(span => span.toOtlp())
+                }]
+            }]
+        };
+    }
+
+    /**
+     * Stop the export timer and export what is left
+     */
+    async shutdown() {
+        clearInterval(this.timer);
+        if (this.exporter) {
+            await this.flush();
+        }
+    }
+}
+
+/**
+ * Build the tracer from TRACING_EXPORTER, TRACING_OTLP_ENDPOINT, TRACING_FILE,
+ * TRACING_FLUSH_INTERVAL and OTEL_SERVICE_NAME
+ */
+function createTracer(log) {
+    const kind = process.env.TRACING_EXPORTER || 'none';
+    let exporter = null;
+    if (kind === 'otlp') {
+        exporter = new OtlpHttpExporter(process.env.TRACING_OTLP_ENDPOINT || 'http://localhost:4318/v1/traces');
+    } else if (kind === 'file') {
+        exporter = new FileExporter(process.env.TRACING_FILE || path.join(__dirname, 'traces.jsonl'));
+    } else if (kind !== 'none') {
+        throw new Error(`TRACING_EXPORTER must be none, otlp or file, got ${kind}`);
+    }
+    return new Tracer({
+        exporter,
+        serviceName: process.env.OTEL_SERVICE_NAME || 'pdf-service',
+        log,
+        flushInterval: parseInt(process.env.TRACING_FLUSH_INTERVAL) || 5000
+    });
+}
+
+module.exports = {
+    SPAN_KIND,
+    Tracer,
+    createTracer,
+    parseTraceparent
+};
@@ -0,0 +1,205 @@
+const { invalidInput } = require('./api_errors');
+const { ASSET_KINDS, isValidAssetName } = require('./asset_store');
+const { isValidJobId } = require('./job_store');
+const { coerceQueryOptions, validateRenderOptions } = require('./render_options');
+const { parsePageRanges } = require('./pdf_postprocess');
+const { parseTemplateRef } = require('./template_store');
+
+/**
+ * Validation for route params and query strings
+ * Rules take (value, field) and return { value }, { error } or { errors: [{ field, message }] },
+ * like the validators in render_options.js. validateRequest() applies a schema
+ * and leaves the normalized values on req.valid.
+ */
+
+const TEMPLATE_NAME_RULE = 'must contain only letters, digits, "-" and "_" (max 64 characters)';
+
+/**
+ * Read an object field that may arrive as a JSON string (multipart or query string)
+ */
+function parseObjectField(value, field, errors) {
+    if (value === undefined) {
+        return {};
+    }
+
+    let parsed = value;
+    if (typeof parsed === 'string') {
+        try {
+            parsed = JSON.parse(parsed);
+        } catch (error) {
+            errors.push({ field, message: `${field} must be valid JSON` });
+            return {};
+        }
+    }
+    if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        errors.push({ field, message: `${field} must be an object` });
+        return {};
+    }
+    return parsed;
+}
+
+const rules = {
+    // "name" or "name@version"
+    templateRef(value) {
+        return parseTemplateRef(value)
+            ? { value }
+            : { error: `${TEMPLATE_NAME_RULE}, optionally followed by @<version>` };
+    },
+
+    // "name" only; versions are assigned by the store
+    templateName(value) {
+        const ref = parseTemplateRef(value);
+        return ref && ref.version === null
+            ? { value }
+            : { error: `${TEMPLATE_NAME_RULE}; versions are assigned automatically` };
+    },
+
+    // /assets/:kind/:name
+    assetKind(value) {
+        return ASSET_KINDS.includes(value) ? { value } : { error: "must be 'fonts' or 'images'" };
+    },
+
+    assetName(value) {
+        return isValidAssetName(value) ? { value } : { error: TEMPLATE_NAME_RULE };
+    },
+
+    // @font-face family of an uploaded font; absent leaves it to the asset name
+    fontFamily(value) {
+        if (value === undefined) {
+            return { value: null };
+        }
+        return typeof value === 'string' && /^[A-Za-z0-9][A-Za-z0-9 _-]{0,63}$/.test(value)
+            ? { value }
+            : { error: 'must contain only letters, digits, spaces, "-" and "_" (max 64 characters)' };
+    },
+
+    fontStyle(value) {
+        if (value === undefined) {
+            return { value: 'normal' };
+        }
+        return ['normal', 'italic', 'oblique'].includes(value)
+            ? { value }
+            : { error: "must be 'normal', 'italic' or 'oblique'" };
+    },
+
+    jobId(value) {
+        return isValidJobId(value) ? { value } : { error: 'must be a job id' };
+    },
+
+    // Query string switch: absent, "true"/"false" or "1"/"0"
+    flag(value) {
+        if (value === undefined) {
+            return { value: false };
+        }
+        if (value === 'true' || value === '1') {
+            return { value: true };
+        }
+        return value === 'false' || value === '0' ? { value: false } : { error: 'must be true or false' };
+    },
+
+    // Response format of /pdf; "jpg" is accepted for jpeg, absent leaves it to the Accept header
+    outputFormat(value) {
+        if (value === undefined) {
+            return { value: null };
+        }
+        const format = value === 'jpg' ? 'jpeg' : value;
+        return ['pdf', 'png', 'jpeg'].includes(format)
+            ? { value: format }
+            : { error: "must be 'pdf', 'png' or 'jpeg'" };
+    },
+
+    // Page ranges such as "1-3,5,8-"
+    pageRanges(value) {
+        if (value === undefined) {
+            return { value: null };
+        }
+        const ranges = parsePageRanges(value);
+        return ranges ? { value: ranges } : { error: 'must be page ranges such as "1-3,5,8-"' };
+    },
+
+    jsonObject(value, field) {
+        const errors = [];
+        const parsed = parseObjectField(value, field, errors);
+        return errors.length > 0 ? { errors } : { value: parsed };
+    },
+
+    // ?options=<json> arrives typed, ?options[zoom]=1.5 arrives as text
+    renderOptions(value, field) {
+        const parsed = rules.jsonObject(value, field);
+        if (parsed.errors) {
+            return parsed;
+        }
+        const raw = typeof value === 'string' ? parsed.value : coerceQueryOptions(parsed.value);
+        const { options, errors } = validateRenderOptions(raw, field);
+        return errors.length > 0 ? { errors } : { value: options };
+    }
+};
+
+/**
+ * Rule for an optional whole number from min to max (query strings arrive as text); absent is null
+ */
+function integerBetween(min, max) {
+    return (value) => {
+        if (value === undefined) {
+            return { value: null };
+        }
+        const number = typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value;
+        return Number.isInteger(number) && number >= min && number <= max
+            ? { value: number }
+            : { error: `must be a whole number from ${min} to ${max}` };
+    };
+}
+
+/**
+ * Rule leaving an absent value null
+ */
+function optional(rule) {
+    return (value, field) => (value === undefined ? { value: null } : rule(value, field));
+}
+
+/**
+ * Validate defaultValue in place of an absent value
+ */
+function withDefault(rule, defaultValue) {
+    return (value, field) => rule(value === undefined ? defaultValue : value, field);
+}
+
+/**
+ * Middleware validating req.params and req.query against a schema:
+ *   validateRequest({ params: { id: rules.jobId }, query: { template: withDefault(rules.templateRef, 'template') } })
+ * Failures are passed on as an INVALID_INPUT ApiError listing every problem.
+ */
+function validateRequest(schema) {
+    return (req, res, next) => {
+        const errors = [];
+        const valid = {};
+
+        for (const source of ['params', 'query']) {
+            for (const [field, rule] of Object.entries(schema[source] || {})) {
+                const result = rule(req[source][field], field);
+                if (result.errors) {
+                    errors.push(...result.errors);
+                } else if (result.error) {
+                    errors.push({ field, message: `${field} ${result.error}` });
+                } else {
+                    valid[field] = result.value;
+                }
+            }
+        }
+
+        if (errors.length > 0) {
+            return next(invalidInput(errors, 'Request parameters are invalid'));
+        }
+        req.valid = valid;
+        next();
+    };
+}
+
+module.exports = {
+    integerBetween,
+    optional,
+    parseObjectField,
+    rules,
+    validateRequest,
+    withDefault
+};
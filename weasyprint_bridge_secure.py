@@ -1,105 +1,875 @@
 #!/usr/bin/env python3
 """
 Secure WeasyPrint bridge for Node.js
-Uses JSON for input/output communication with request ID verification
+Uses length-prefixed binary frames for input/output with request ID verification
+
+Frame: [uint32 header length][uint32 body length][header JSON][body bytes] (big-endian)
+  Request:  header {"css": "...", "options": {...}, "fetch_policy": {...}, "request_id": "...", "correlation_id": "...",
+                    "fonts": [{"name": "acme", "family": "Acme Sans", "weight": 400, "style": "normal"}],
+                    "max_pdf_bytes": 104857600, "stream": false}, body = HTML (UTF-8)
+            options are validated by render_options.js before they reach the bridge,
+            fonts are the uploaded fonts of asset_store.js, registered as @font-face rules
+  Response: header {"success": true, "request_id": "...", "size": 123, "pages": 2, "rss_mb": 80.5,
+                    "blocked_resources": [{"url": "...", "reason": "..."}],
+                    "diagnostics": {"warnings": [{"level": "warning", "message": "..."}], "fonts": ["DejaVu Sans"],
+                                    "resources": [{"url": "...", "status": "loaded", "size": 123}]}}, body = PDF
+            warnings are WeasyPrint's log records, resources every fetch but data: URLs
+            ("loaded", "blocked" or "failed"; failures carry a "reason")
+  Streamed response ("stream": true), PDF bytes are sent while WeasyPrint writes them:
+            {"success": true, "request_id": "...", "streaming": true, "pages": 2, "blocked_resources": [...],
+             "diagnostics": {...}}   (as of layout: fonts are only known once the PDF is written, so empty)
+            {"success": true, "request_id": "...", "chunk": true}, body = next PDF bytes   (repeated)
+            {"success": true, "request_id": "...", "done": true, "size": 123}
+  A failure is a single {"success": false, "error": "..."} frame, also in place of a chunk.
+  Secure request: header {"op": "secure", "security": {...}, "request_id": "...", "max_pdf_bytes": ...},
+            body = PDF; answered like a render with the encrypted and/or signed PDF
+            (security is built by pdf_security.js; needs pikepdf and pyHanko)
+  Rasterize request: header {"op": "rasterize", "raster": {"format": "png", "dpi": 150, "pages": [...],
+                    "width": null, "max_pixels": ...}, "request_id": "...", "max_pdf_bytes": ...}, body = PDF
+            Response: header {"success": true, ..., "images": [{"page": 1, "width": 1240, "height": 1754,
+                    "size": 123}]}, body = the images back to back (needs pypdfium2 and Pillow)
+
+A PDF growing past max_pdf_bytes fails the request with "PDF exceeds the limit of N bytes".
+
+Resources referenced by the document (<img src>, <link>, url()) are fetched
+through SandboxedFetcher, which enforces the fetch_policy built by index.js.
+asset://fonts/<name> and asset://images/<name> URLs read uploaded assets from the
+policy's asset_store_dir (<dir>/<kind>/<name>.json points at <dir>/blobs/<sha256>).
+
+Logging: after the "WeasyPrint bridge ready" line, stderr carries JSON log lines
+({"time", "level", "msg", "requestId", ...}) at LOG_LEVEL or above; requestId is the
+request's correlation_id, the X-Request-Id of the HTTP request behind it. pdf_worker.js
+writes them into the service log.
+
+Modes:
+  (default)     read a single request frame, respond and exit
+  --persistent  read request frames back to back until stdin closes, answering each
+                before reading the next (the worker's encodeRequest writes one frame per
+                request, no delimiter in between: the length prefix marks where it ends)
 """
 
+import os
+import re
 import sys
 import json
-import base64
+import time
+import logging
+import socket
+import struct
+import functools
+import http.client
+import resource
+import ipaddress
+import mimetypes
+import urllib.error
+import urllib.request
+from datetime import datetime, timezone
 from io import BytesIO
+from urllib.parse import urlparse
 
 # Pre-import WeasyPrint components for faster execution
 from weasyprint import HTML, CSS
 from weasyprint.text.fonts import FontConfiguration
+from weasyprint.urls import default_url_fetcher
 
 # Global font configuration (cached for performance)
 FONT_CONFIG = FontConfiguration()
 
-def generate_pdf_secure(html_content, css_content=None):
-    """Generate PDF and return as bytes"""
+# PDF bytes per chunk frame in streaming mode
+STREAM_CHUNK_BYTES = 256 * 1024
+
+# asset://<kind>/<name> URLs (names as in asset_store.js)
+ASSET_URL_PATTERN = re.compile(r'^asset://(fonts|images)/([A-Za-z0-9][A-Za-z0-9_-]{0,63})$')
+SHA256_PATTERN = re.compile(r'^[0-9a-f]{64}$')
+
+# Levels of the service log (see logger.js)
+LOG_LEVELS = {'debug': 10, 'info': 20, 'warn': 30, 'error': 40}
+LOG_LEVEL = LOG_LEVELS.get(os.environ.get('LOG_LEVEL', 'info').lower(), LOG_LEVELS['info'])
+
+# CSS length units in points, for orienting explicit page dimensions
+POINTS_PER_UNIT = {'pt': 1, 'pc': 12, 'in': 72, 'cm': 72 / 2.54, 'mm': 72 / 25.4, 'q': 72 / 101.6, 'px': 0.75}
+
+
+def log_event(level, message, **fields):
+    """Write a JSON log line to stderr (never document content: fields are counts, sizes and ids)"""
+    if LOG_LEVELS[level] < LOG_LEVEL:
+        return
+    record = {
+        'time': datetime.now(timezone.utc).isoformat(timespec='milliseconds').replace('+00:00', 'Z'),
+        'level': level,
+        'msg': message,
+        'pid': os.getpid(),
+        **fields
+    }
+    sys.stderr.write(json.dumps(record) + '\n')
+    sys.stderr.flush()
+
+
+def request_fields(header):
+    """Log fields identifying a request"""
+    return {
+        'requestId': header.get('correlation_id'),
+        'bridgeRequestId': header.get('request_id', 'unknown'),
+        'op': header.get('op', 'render')
+    }
+
+
+def length_in_points(length):
+    """Convert a CSS length like "210mm" to points"""
+    value, unit = re.match(r'^(\d+(?:\.\d+)?)(mm|cm|in|pt|pc|px|q)?$', length.lower()).groups()
+    return float(value) * POINTS_PER_UNIT.get(unit, 0)
+
+
+def build_page_css(options):
+    """@page rules for page_size, orientation and margin overrides (None when not requested)"""
+    declarations = []
+    
+    page_size = options.get('page_size')
+    orientation = options.get('orientation')
+    if page_size and ' ' in page_size:
+        # Explicit dimensions: orientation decides which side is the longer one
+        width, height = page_size.split(' ')
+        if orientation and (length_in_points(width) > length_in_points(height)) != (orientation == 'landscape'):
+            width, height = height, width
+        declarations.append(f'size: {width} {height} !important;')
+    elif page_size or orientation:
+        declarations.append(f"size: {' '.join(filter(None, [page_size, orientation]))} !important;")
+    
+    margin = options.get('margin')
+    if isinstance(margin, dict):
+        for side, value in margin.items():
+            declarations.append(f'margin-{side}: {value} !important;')
+    elif margin:
+        declarations.append(f'margin: {margin} !important;')
+    
+    if not declarations:
+        return None
+    # !important lets these user-level rules override the template's own @page rules
+    return '@page { ' + ' '.join(declarations) + ' }'
+
+
+class ResourceBlocked(Exception):
+    """A fetch refused by the policy; the message is the reason reported back"""
+
+
+class _PinnedConnection:
+    """
+    Connect to an address validated beforehand instead of resolving the host again,
+    so a DNS answer that changes between check and connect (rebinding) cannot reach
+    another address. The Host header, SNI and certificate checks still use the URL's host.
+    """
+    
+    def __init__(self, host, *args, address=None, **kwargs):
+        super().__init__(host, *args, **kwargs)
+        if address is not None:
+            self._create_connection = lambda host_port, *rest: socket.create_connection((address, host_port[1]), *rest)
+
+
+class _PinnedHTTPConnection(_PinnedConnection, http.client.HTTPConnection):
+    pass
+
+
+class _PinnedHTTPSConnection(_PinnedConnection, http.client.HTTPSConnection):
+    pass
+
+
+class _PolicyHTTPHandler(urllib.request.HTTPHandler):
+    """Check every request against the policy, redirect hops included, and connect to the checked address"""
+    
+    def __init__(self, fetcher):
+        super().__init__()
+        self.fetcher = fetcher
+    
+    def http_open(self, req):
+        address = self.fetcher.check_http_url(req.full_url)
+        return self.do_open(functools.partial(_PinnedHTTPConnection, address=address), req)
+
+
+class _PolicyHTTPSHandler(urllib.request.HTTPSHandler):
+    """HTTPS counterpart of _PolicyHTTPHandler"""
+    
+    def __init__(self, fetcher):
+        super().__init__()
+        self.fetcher = fetcher
+    
+    def https_open(self, req):
+        address = self.fetcher.check_http_url(req.full_url)
+        return self.do_open(functools.partial(_PinnedHTTPSConnection, address=address), req, context=self._context)
+
+
+class SandboxedFetcher:
+    """
+    URL fetcher enforcing a fetch policy:
+      allowed_schemes         e.g. ["data", "file", "https"]
+      allowed_hosts           exact hosts or "*.example.com" wildcards for http(s)
+      allow_private_networks  allow hosts resolving to loopback/private/link-local addresses
+      assets_dir              the only directory file:// URLs may read from
+      max_resource_bytes      per-resource size cap
+      timeout_ms              per-resource time cap
+      max_resources           fetches allowed per document (data: and asset: URLs excluded)
+      asset_store_dir         where asset:// URLs are read from (always allowed)
+    Refused fetches are collected in self.blocked and raised so WeasyPrint skips them;
+    self.resources reports every fetch but data: URLs for diagnostics.
+    """
+    
+    MAX_REPORTED_URL = 300
+    MAX_REPORTED = 50
+    MAX_REPORTED_RESOURCES = 200
+    
+    def __init__(self, policy):
+        policy = policy or {}
+        self.schemes = {scheme.lower() for scheme in policy.get('allowed_schemes', ['data'])}
+        self.hosts = [host.lower() for host in policy.get('allowed_hosts', [])]
+        self.allow_private = bool(policy.get('allow_private_networks', False))
+        self.assets_dir = os.path.realpath(policy['assets_dir']) if policy.get('assets_dir') else None
+        self.max_bytes = policy.get('max_resource_bytes', 10 * 1024 * 1024)
+        self.timeout = policy.get('timeout_ms', 10000) / 1000
+        self.max_resources = policy.get('max_resources', 100)
+        self.asset_store_dir = policy.get('asset_store_dir')
+        self.count = 0
+        self.blocked = []
+        self.resources = []
+    
+    @property
+    def base_url(self):
+        """Relative URLs resolve inside the assets directory"""
+        return (self.assets_dir + os.sep) if self.assets_dir else None
+    
+    def __call__(self, url, *args, **kwargs):
+        try:
+            result = self.fetch(url)
+        except ResourceBlocked as error:
+            if len(self.blocked) < self.MAX_REPORTED:
+                self.blocked.append({'url': url[:self.MAX_REPORTED_URL], 'reason': str(error)})
+            self.report(url, {'status': 'blocked', 'reason': str(error)})
+            raise
+        except Exception as error:
+            self.report(url, {'status': 'failed', 'reason': str(error)[:self.MAX_REPORTED_URL]})
+            raise
+        self.report(url, {'status': 'loaded', 'size': len(result.get('string') or b'')})
+        return result
+    
+    def report(self, url, outcome):
+        """Record a fetch in self.resources; inline data: URLs are not reported"""
+        if urlparse(url).scheme.lower() == 'data' or len(self.resources) >= self.MAX_REPORTED_RESOURCES:
+            return
+        self.resources.append({'url': url[:self.MAX_REPORTED_URL], **outcome})
+    
+    def fetch(self, url):
+        scheme = urlparse(url).scheme.lower()
+        if scheme == 'asset':
+            return self.fetch_asset(url)
+        if scheme not in self.schemes:
+            raise ResourceBlocked('scheme_not_allowed')
+        if scheme == 'data':
+            return default_url_fetcher(url)
+        
+        self.count += 1
+        if self.count > self.max_resources:
+            raise ResourceBlocked('too_many_resources')
+        
+        if scheme == 'file':
+            return self.fetch_file(url)
+        if scheme in ('http', 'https'):
+            return self.fetch_http(url)
+        raise ResourceBlocked('scheme_not_allowed')
+    
+    def fetch_file(self, url):
+        path = os.path.realpath(urllib.request.url2pathname(urlparse(url).path))
+        if not self.assets_dir or os.path.commonpath([path, self.assets_dir]) != self.assets_dir:
+            raise ResourceBlocked('outside_assets_dir')
+        if os.path.getsize(path) > self.max_bytes:
+            raise ResourceBlocked('too_large')
+        
+        with open(path, 'rb') as resource_file:
+            data = resource_file.read()
+        return {'string': data, 'mime_type': mimetypes.guess_type(path)[0], 'redirected_url': url}
+    
+    def fetch_asset(self, url):
+        match = ASSET_URL_PATTERN.match(url)
+        if not match or not self.asset_store_dir:
+            raise ValueError('not a known asset')
+        kind, name = match.groups()
+        try:
+            with open(os.path.join(self.asset_store_dir, kind, name + '.json')) as manifest:
+                entry = json.load(manifest)
+            if not SHA256_PATTERN.match(entry.get('sha256', '')):
+                raise ValueError('asset manifest is invalid')
+            with open(os.path.join(self.asset_store_dir, 'blobs', entry['sha256']), 'rb') as blob:
+                data = blob.read()
+        except OSError:
+            raise ValueError(f'asset {kind}/{name} does not exist')
+        return {'string': data, 'mime_type': entry.get('mimeType'), 'redirected_url': url}
+    
+    def check_http_url(self, url):
+        """
+        Raise ResourceBlocked unless url points at an allowed, public host.
+        Returns the address to connect to, or None to let the connection resolve
+        the host itself (private networks allowed).
+        """
+        parsed = urlparse(url)
+        if parsed.scheme.lower() not in self.schemes or parsed.scheme.lower() not in ('http', 'https'):
+            raise ResourceBlocked('scheme_not_allowed')
+        
+        host = (parsed.hostname or '').lower()
+        if not any(host == allowed or (allowed.startswith('*.') and host.endswith(allowed[1:]))
+                   for allowed in self.hosts):
+            raise ResourceBlocked('host_not_allowed')
+        
+        if self.allow_private:
+            return None
+        addresses = [info[4][0].split('%')[0] for info in socket.getaddrinfo(host, parsed.port or None, type=socket.SOCK_STREAM)]
+        if not all(ipaddress.ip_address(address).is_global for address in addresses):
+            raise ResourceBlocked('private_address')
+        return addresses[0]
+    
+    def fetch_http(self, url):
+        # The handlers check each hop; no proxies, the connection goes to the checked address
+        opener = urllib.request.build_opener(urllib.request.ProxyHandler({}), _PolicyHTTPHandler(self),
+                                             _PolicyHTTPSHandler(self))
+        deadline = time.monotonic() + self.timeout
+        
+        try:
+            request = urllib.request.Request(url, headers={'User-Agent': 'WeasyPrint'})
+            with opener.open(request, timeout=self.timeout) as response:
+                declared = response.headers.get('Content-Length')
+                if declared and declared.isdigit() and int(declared) > self.max_bytes:
+                    raise ResourceBlocked('too_large')
+                
+                chunks = []
+                total = 0
+                while True:
+                    if time.monotonic() > deadline:
+                        raise ResourceBlocked('timeout')
+                    chunk = response.read(64 * 1024)
+                    if not chunk:
+                        break
+                    total += len(chunk)
+                    if total > self.max_bytes:
+                        raise ResourceBlocked('too_large')
+                    chunks.append(chunk)
+                
+                return {
+                    'string': b''.join(chunks),
+                    'mime_type': response.headers.get_content_type(),
+                    'encoding': response.headers.get_param('charset'),
+                    'redirected_url': response.geturl()
+                }
+        except socket.timeout:
+            raise ResourceBlocked('timeout')
+        except urllib.error.URLError as error:
+            if isinstance(error.reason, socket.timeout):
+                raise ResourceBlocked('timeout')
+            raise
+
+
+def apply_metadata(document, metadata):
+    """Set title, author, subject and keywords on the rendered document"""
+    if 'title' in metadata:
+        document.metadata.title = metadata['title']
+    if 'author' in metadata:
+        document.metadata.authors = [metadata['author']]
+    if 'subject' in metadata:
+        document.metadata.description = metadata['subject']
+    if 'keywords' in metadata:
+        document.metadata.keywords = list(metadata['keywords'])
+
+
+# The @font-face stylesheet of the uploaded fonts, kept while the font list is unchanged
+# so that a persistent bridge registers each font with FONT_CONFIG only once
+_font_stylesheet = {'key': None, 'css': None}
+
+
+def uploaded_fonts_stylesheet(fonts, fetcher):
+    """CSS registering the uploaded fonts under their families (None without uploaded fonts)"""
+    if not fonts:
+        return None
+    key = json.dumps(fonts, sort_keys=True)
+    if _font_stylesheet['key'] != key:
+        # family and name are restricted to letters, digits, spaces, "-" and "_" by index.js
+        rules = [
+            f'@font-face {{ font-family: "{font["family"]}"; src: url("asset://fonts/{font["name"]}"); '
+            f'font-weight: {int(font["weight"])}; font-style: {font["style"]}; }}'
+            for font in fonts
+        ]
+        _font_stylesheet['css'] = CSS(string='\n'.join(rules), url_fetcher=fetcher, font_config=FONT_CONFIG)
+        _font_stylesheet['key'] = key
+    return _font_stylesheet['css']
+
+
+class WarningCollector(logging.Handler):
+    """
+    Collects WeasyPrint's log records at WARNING and above (unsupported CSS, missing
+    fonts, images that failed to load) while attached to its logger
+    """
+    
+    MAX_REPORTED = 100
+    MAX_MESSAGE = 500
+    
+    def __init__(self):
+        super().__init__(logging.WARNING)
+        self.warnings = []
+        self.logger = logging.getLogger('weasyprint')
+    
+    def emit(self, record):
+        if len(self.warnings) < self.MAX_REPORTED:
+            try:
+                message = record.getMessage()
+            except Exception:
+                message = str(record.msg)
+            self.warnings.append({'level': record.levelname.lower(), 'message': message[:self.MAX_MESSAGE]})
+    
+    def __enter__(self):
+        if self.logger.getEffectiveLevel() > logging.WARNING:
+            self.logger.setLevel(logging.WARNING)
+        self.logger.addHandler(self)
+        return self
+    
+    def __exit__(self, *exc_info):
+        self.logger.removeHandler(self)
+
+
+def used_fonts(document):
+    """Family names of the fonts written to the PDF (empty where WeasyPrint does not expose them)"""
+    families = set()
+    for font in getattr(document, 'fonts', {}).values():
+        family = getattr(font, 'family', None)
+        if isinstance(family, bytes):
+            family = family.decode('utf-8', 'replace')
+        if family:
+            families.add(family)
+    return sorted(families)
+
+
+def diagnostics_report(warnings, fetcher, fonts=None):
+    """The "diagnostics" of a render response"""
+    return {'warnings': warnings.warnings, 'fonts': fonts or [], 'resources': fetcher.resources}
+
+
+class DocumentTooLarge(Exception):
+    """The PDF grew past the request's max_pdf_bytes"""
+
+
+class PdfOutput:
+    """
+    write_pdf target enforcing max_pdf_bytes. With emit set, PDF bytes are handed
+    to emit in STREAM_CHUNK_BYTES pieces instead of being kept in memory.
+    """
+
+    def __init__(self, max_bytes=None, emit=None):
+        self.max_bytes = max_bytes
+        self.emit = emit
+        self.buffer = BytesIO()
+        self.size = 0
+
+    def write(self, data):
+        self.size += len(data)
+        if self.max_bytes and self.size > self.max_bytes:
+            raise DocumentTooLarge(f"PDF exceeds the limit of {self.max_bytes} bytes")
+        self.buffer.write(data)
+        if self.emit and self.buffer.tell() >= STREAM_CHUNK_BYTES:
+            self.emit_pending()
+        return len(data)
+
+    def flush(self):
+        pass
+
+    def emit_pending(self):
+        """Hand buffered bytes to emit (streaming mode)"""
+        data = self.buffer.getvalue()
+        if data:
+            self.emit(data)
+            self.buffer = BytesIO()
+
+    def getvalue(self):
+        return self.buffer.getvalue()
+
+
+def generate_pdf_secure(html_content, css_content=None, options=None, fetcher=None, output=None, on_layout=None,
+                        fonts=None):
+    """
+    Lay out the document and write the PDF to output (a PdfOutput); on_layout is
+    called with the page count before writing starts. fonts are the uploaded fonts
+    to make available. Returns (page count, fonts used).
+    """
+    options = options or {}
+    fetcher = fetcher or SandboxedFetcher(None)
     try:
-        # Create HTML object with isolated context
-        html_doc = HTML(string=html_content, base_url=".")
+        # Create HTML object with isolated context; every resource goes through the fetcher
+        html_doc = HTML(string=html_content, base_url=fetcher.base_url, url_fetcher=fetcher,
+                        media_type=options.get('media_type', 'print'))
         
         # Prepare stylesheets using cached font config
         stylesheets = []
+        fonts_css = uploaded_fonts_stylesheet(fonts, fetcher)
+        if fonts_css:
+            stylesheets.append(fonts_css)
         if css_content:
-            stylesheets.append(CSS(string=css_content, font_config=FONT_CONFIG))
-        
-        # Generate PDF in isolated memory buffer
-        pdf_buffer = BytesIO()
-        html_doc.write_pdf(
-            pdf_buffer,
-            stylesheets=stylesheets,
-            font_config=FONT_CONFIG,
-            optimize_images=False
-        )
+            stylesheets.append(CSS(string=css_content, base_url=fetcher.base_url, url_fetcher=fetcher,
+                                   font_config=FONT_CONFIG))
+        page_css = build_page_css(options)
+        if page_css:
+            stylesheets.append(CSS(string=page_css, font_config=FONT_CONFIG))
+        
+        # Layout options
+        render_options = {
+            'stylesheets': stylesheets,
+            'font_config': FONT_CONFIG,
+            'presentational_hints': options.get('presentational_hints', False),
+            'optimize_images': options.get('optimize_images', False)
+        }
+        if 'jpeg_quality' in options:
+            render_options['jpeg_quality'] = options['jpeg_quality']
         
-        return pdf_buffer.getvalue()
+        document = html_doc.render(**render_options)
+        apply_metadata(document, options.get('metadata', {}))
+        if on_layout:
+            on_layout(len(document.pages))
         
+        # Output options
+        pdf_options = {'zoom': options.get('zoom', 1)}
+        for key in ('pdf_variant', 'pdf_version'):
+            if key in options:
+                pdf_options[key] = options[key]
+        
+        document.write_pdf(output, **pdf_options)
+        
+        return len(document.pages), used_fonts(document)
+        
+    except DocumentTooLarge:
+        raise
     except Exception as e:
         raise Exception(f"PDF generation failed: {str(e)}")
 
 
-def main():
+def pikepdf_permissions(pikepdf, permissions):
+    """Map pdf_security.js permissions onto pikepdf's"""
+    return pikepdf.Permissions(
+        accessibility=True,
+        extract=permissions['copy'],
+        modify_annotation=permissions['annotate'],
+        modify_assembly=permissions['modify'],
+        modify_form=permissions['modify'] or permissions['annotate'],
+        modify_other=permissions['modify'],
+        print_lowres=permissions['print'] != 'none',
+        print_highres=permissions['print'] == 'full'
+    )
+
+
+def secure_pdf(pdf_bytes, security):
     """
-    Main function - JSON input/output communication
-    Input: {"html": "...", "css": "...", "request_id": "..."}
-    Output: {"success": true, "request_id": "...", "pdf_base64": "..."}
+    Encrypt (pikepdf, AES-256) and then sign (pyHanko, PKCS#12 from the keystore) a PDF.
+    Signing comes last, as an incremental update, so the signature covers the encrypted file.
     """
-    try:
-        # Signal readiness
-        sys.stderr.write("WeasyPrint bridge ready\n")
-        sys.stderr.flush()
+    encryption = security.get('encryption')
+    sign = security.get('sign')
+    
+    if encryption:
+        import pikepdf
+        with pikepdf.open(BytesIO(pdf_bytes)) as pdf:
+            output = BytesIO()
+            pdf.save(output, encryption=pikepdf.Encryption(
+                user=encryption['user_password'],
+                owner=encryption['owner_password'],
+                R=6,
+                allow=pikepdf_permissions(pikepdf, encryption['permissions'])
+            ))
+            pdf_bytes = output.getvalue()
+    
+    if sign:
+        from pyhanko.pdf_utils.incremental_writer import IncrementalPdfFileWriter
+        from pyhanko.sign import fields, signers
+        from pyhanko.stamp import TextStampStyle
+        
+        passphrase = sign['passphrase'].encode('utf-8') if sign.get('passphrase') else None
+        signer = signers.SimpleSigner.load_pkcs12(sign['pkcs12'], passphrase=passphrase)
+        if signer is None:
+            raise Exception("Signing key could not be loaded")
         
-        # Read single request from stdin
-        line = sys.stdin.readline()
-        if not line:
-            sys.exit(1)
+        writer = IncrementalPdfFileWriter(BytesIO(pdf_bytes))
+        if encryption:
+            writer.encrypt(encryption['owner_password'])
         
-        # Parse JSON input
-        input_data = json.loads(line.strip())
+        field_name = 'Signature1'
+        if sign['visible']:
+            page_count = int(writer.root['/Pages']['/Count'])
+            box = sign['box']
+            field_spec = fields.SigFieldSpec(
+                field_name,
+                on_page=0 if sign['page'] == 'first' else page_count - 1,
+                box=(box['x'], box['y'], box['x'] + box['width'], box['y'] + box['height'])
+            )
+        else:
+            field_spec = fields.SigFieldSpec(field_name)
         
+        # Stamp text is a %-template: escape caller-supplied text
+        stamp_lines = ['Digitally signed by %(signer)s', 'Date: %(ts)s']
+        if sign.get('reason'):
+            stamp_lines.append('Reason: ' + sign['reason'].replace('%', '%%'))
+        
+        pdf_signer = signers.PdfSigner(
+            signers.PdfSignatureMetadata(
+                field_name=field_name,
+                reason=sign.get('reason'),
+                location=sign.get('location'),
+                contact_info=sign.get('contact')
+            ),
+            signer=signer,
+            new_field_spec=field_spec,
+            stamp_style=TextStampStyle(stamp_text='\n'.join(stamp_lines))
+        )
+        pdf_bytes = pdf_signer.sign_pdf(writer).getvalue()
+    
+    return pdf_bytes
+
+
+def page_selected(ranges, number):
+    """True when 1-based page number lies in ranges ([{"from", "to"}], to None for the last page)"""
+    if not ranges:
+        return True
+    return any(number >= r['from'] and (r['to'] is None or number <= r['to']) for r in ranges)
+
+
+def rasterize_pdf(pdf_bytes, raster, max_bytes=None):
+    """
+    Render the selected pages of a PDF to PNG or JPEG with pypdfium2, at raster['dpi'] or
+    scaled to raster['width'] pixels (thumbnails). Returns (images, data): one
+    {page, width, height, size} per image and the encoded images back to back.
+    """
+    import pypdfium2 as pdfium
+    
+    image_format = 'JPEG' if raster.get('format') == 'jpeg' else 'PNG'
+    max_pixels = raster.get('max_pixels')
+    document = pdfium.PdfDocument(pdf_bytes)
+    try:
+        images = []
+        data = BytesIO()
+        for index in range(len(document)):
+            if not page_selected(raster.get('pages'), index + 1):
+                continue
+            page = document[index]
+            try:
+                page_width, page_height = page.get_width(), page.get_height()
+                scale = raster['width'] / page_width if raster.get('width') else raster.get('dpi', 150) / 72
+                width, height = round(page_width * scale), round(page_height * scale)
+                if max_pixels and width * height > max_pixels:
+                    raise Exception(f"Page image exceeds the limit of {max_pixels} pixels")
+                
+                image = page.render(scale=scale).to_pil()
+                encoded = BytesIO()
+                if image_format == 'JPEG':
+                    image.convert('RGB').save(encoded, 'JPEG', quality=85)
+                else:
+                    image.save(encoded, 'PNG', optimize=True)
+            finally:
+                page.close()
+            
+            images.append({'page': index + 1, 'width': width, 'height': height, 'size': encoded.tell()})
+            data.write(encoded.getvalue())
+            if max_bytes and data.tell() > max_bytes:
+                raise DocumentTooLarge(f"Images exceed the limit of {max_bytes} bytes")
+        return images, data.getvalue()
+    finally:
+        document.close()
+
+
+# Ops on a finished PDF, with the prefix their failures are reported under
+PDF_OPS = {'secure': 'PDF security failed', 'rasterize': 'Rasterizing failed'}
+
+
+def handle_pdf_op(header, body, send):
+    """Process an op on the PDF in body ("secure" or "rasterize"). Returns True on success."""
+    request_id = header.get('request_id', 'unknown')
+    op = header.get('op')
+    max_bytes = header.get('max_pdf_bytes')
+    started = time.monotonic()
+    try:
+        response = {'success': True, 'request_id': request_id, 'pages': None, 'blocked_resources': []}
+        if op == 'secure':
+            output = secure_pdf(body, header.get('security') or {})
+            if max_bytes and len(output) > max_bytes:
+                raise DocumentTooLarge(f"PDF exceeds the limit of {max_bytes} bytes")
+        else:
+            response['images'], output = rasterize_pdf(body, header.get('raster') or {}, max_bytes)
+        response['size'] = len(output)
+        send(response, output)
+        log_event('info', f"{op} completed", durationMs=elapsed_ms(started), size=len(output), **request_fields(header))
+        return True
+    except Exception as e:
+        log_event('warn', f"{op} failed", durationMs=elapsed_ms(started), error=str(e), **request_fields(header))
+        send({
+            'success': False,
+            'request_id': request_id,
+            'error': f"{PDF_OPS[op]}: {str(e)}"
+        })
+        return False
+
+
+def elapsed_ms(started):
+    """Milliseconds since a time.monotonic() reading"""
+    return round((time.monotonic() - started) * 1000)
+
+
+def current_rss_mb():
+    """Resident set size of this process in MB (peak RSS where /proc is unavailable)"""
+    try:
+        with open('/proc/self/statm') as statm:
+            return int(statm.read().split()[1]) * os.sysconf('SC_PAGE_SIZE') / (1024 * 1024)
+    except (OSError, ValueError):
+        return resource.getrusage(resource.RUSAGE_SELF).ru_maxrss / 1024
+
+
+FRAME_PREFIX = struct.Struct('>II')
+
+
+def read_exact(stream, size):
+    """Read exactly size bytes, or None if the stream ends first"""
+    data = b''
+    while len(data) < size:
+        chunk = stream.read(size - len(data))
+        if not chunk:
+            return None
+        data += chunk
+    return data
+
+
+def read_frame(stream):
+    """Read one (header, body) frame, or None at end of stream"""
+    prefix = read_exact(stream, FRAME_PREFIX.size)
+    if prefix is None:
+        return None
+    
+    header_length, body_length = FRAME_PREFIX.unpack(prefix)
+    header_bytes = read_exact(stream, header_length)
+    body = read_exact(stream, body_length) if body_length else b''
+    if header_bytes is None or body is None:
+        return None
+    
+    return json.loads(header_bytes.decode('utf-8')), body
+
+
+def write_frame(stream, header, body=b''):
+    """Write one (header, body) frame and flush"""
+    header_bytes = json.dumps(header).encode('utf-8')
+    stream.write(FRAME_PREFIX.pack(len(header_bytes), len(body)))
+    stream.write(header_bytes)
+    stream.write(body)
+    stream.flush()
+
+
+def handle_request(header, body, send):
+    """
+    Process one request frame, writing the response frame(s) with send(header, body).
+    Returns True on success.
+    """
+    if header.get('op') in PDF_OPS:
+        return handle_pdf_op(header, body, send)
+    
+    request_id = header.get('request_id', 'unknown')
+    fetcher = SandboxedFetcher(header.get('fetch_policy'))
+    warnings = WarningCollector()
+    streaming = bool(header.get('stream'))
+    sent = {'bytes': 0}
+    started = time.monotonic()
+    log_event('debug', 'Render started', htmlBytes=len(body), streaming=streaming, **request_fields(header))
+    
+    def emit(data):
+        send({'success': True, 'request_id': request_id, 'chunk': True}, data)
+        sent['bytes'] += len(data)
+    
+    def start_stream(page_count):
+        send({
+            'success': True,
+            'request_id': request_id,
+            'streaming': True,
+            'pages': page_count,
+            'blocked_resources': fetcher.blocked,
+            'diagnostics': diagnostics_report(warnings, fetcher)
+        })
+    
+    try:
         # Extract parameters
-        html_content = input_data.get('html', '')
-        css_content = input_data.get('css', None)
-        request_id = input_data.get('request_id', 'unknown')
+        html_content = body.decode('utf-8')
+        css_content = header.get('css', None)
         
         if not html_content:
-            response = {
+            send({
                 'success': False,
                 'request_id': request_id,
                 'error': 'HTML content is required'
-            }
-            print(json.dumps(response))
-            sys.exit(1)
+            })
+            return False
         
-        # Generate PDF
-        pdf_bytes = generate_pdf_secure(html_content, css_content)
+        # Generate PDF, in memory or chunk by chunk
+        output = PdfOutput(header.get('max_pdf_bytes'), emit if streaming else None)
+        with warnings:
+            page_count, fonts = generate_pdf_secure(html_content, css_content, header.get('options') or {}, fetcher,
+                                                    output, start_stream if streaming else None,
+                                                    header.get('fonts'))
         
-        # Prepare JSON response
-        response = {
-            'success': True,
-            'request_id': request_id,
-            'pdf_base64': base64.b64encode(pdf_bytes).decode('utf-8'),
-            'size': len(pdf_bytes)
-        }
-        
-        # Send JSON response
-        print(json.dumps(response))
-        sys.exit(0)
+        if streaming:
+            output.emit_pending()
+            send({'success': True, 'request_id': request_id, 'done': True, 'size': sent['bytes']})
+            size = sent['bytes']
+        else:
+            pdf_bytes = output.getvalue()
+            send({
+                'success': True,
+                'request_id': request_id,
+                'size': len(pdf_bytes),
+                'pages': page_count,
+                'blocked_resources': fetcher.blocked,
+                'diagnostics': diagnostics_report(warnings, fetcher, fonts)
+            }, pdf_bytes)
+            size = len(pdf_bytes)
+        log_event('info', 'Render completed', durationMs=elapsed_ms(started), pages=page_count, size=size,
+                  warnings=len(warnings.warnings), blockedResources=len(fetcher.blocked), **request_fields(header))
+        return True
         
     except Exception as e:
-        # Error response in JSON format
-        response = {
+        log_event('warn', 'Render failed', durationMs=elapsed_ms(started), error=str(e),
+                  blockedResources=len(fetcher.blocked), **request_fields(header))
+        send({
             'success': False,
-            'request_id': input_data.get('request_id', 'unknown') if 'input_data' in locals() else 'unknown',
-            'error': str(e)
-        }
-        print(json.dumps(response))
+            'request_id': request_id,
+            'error': str(e),
+            'blocked_resources': fetcher.blocked
+        })
+        return False
+
+
+def send_response(response, body=b''):
+    """Write one response frame to stdout"""
+    response['rss_mb'] = round(current_rss_mb(), 1)
+    write_frame(sys.stdout.buffer, response, body)
+
+
+def main():
+    """
+    Main function - framed input/output communication (see module docstring)
+    """
+    persistent = '--persistent' in sys.argv[1:]
+    
+    # Signal readiness
+    sys.stderr.write("WeasyPrint bridge ready\n")
+    sys.stderr.flush()
+    
+    if persistent:
+        # Serve requests until the worker closes stdin
+        while True:
+            frame = read_frame(sys.stdin.buffer)
+            if frame is None:
+                break
+            handle_request(*frame, send_response)
+        sys.exit(0)
+    
+    # Read single request from stdin
+    frame = read_frame(sys.stdin.buffer)
+    if frame is None:
         sys.exit(1)
+    
+    sys.exit(0 if handle_request(*frame, send_response) else 1)
 
 
 if __name__ == '__main__':
-    main() 
\ No newline at end of file
+    main()